@@ -52,6 +52,11 @@ def process_plan(zipcode_data: Dict, plan: Dict) -> Dict:
     row['zipcode'] = zipcode_data.get('zipcode')
     row['state'] = zipcode_data.get('state')
     row['city'] = zipcode_data.get('city')
+    row['zipcode_planType'] = zipcode_data.get('planType')
+    row['zipcode_planYear'] = zipcode_data.get('planYear')
+    row['zipcode_subsidy'] = zipcode_data.get('subsidy')
+    row['zipcode_drugList'] = zipcode_data.get('drugList')
+    row['zipcode_providerList'] = zipcode_data.get('providerList')
     row['zipcode_status'] = zipcode_data.get('status')
     row['zipcode_totalPlans'] = zipcode_data.get('totalPlans')
     row['zipcode_plansWithDetails'] = zipcode_data.get('plansWithDetails')
@@ -62,7 +67,15 @@ def process_plan(zipcode_data: Dict, plan: Dict) -> Dict:
     row['plan_planId'] = plan.get('planId')
     row['plan_planName'] = plan.get('planName')
     row['plan_planType'] = plan.get('planType')
+    row['plan_planYear'] = plan.get('planYear')
+    row['plan_subsidy'] = plan.get('subsidy')
+    row['plan_drugList'] = plan.get('drugList')
+    row['plan_providerList'] = plan.get('providerList')
+    row['plan_countyName'] = plan.get('countyName')
+    row['plan_fips'] = plan.get('fips')
     row['plan_monthlyPremium'] = plan.get('monthlyPremium')
+    row['plan_drugsCovered'] = plan.get('drugsCovered')
+    row['plan_providersInNetwork'] = plan.get('providersInNetwork')
     row['plan_estimatedAnnualCost'] = plan.get('estimatedAnnualCost')
     row['plan_starRating'] = plan.get('starRating')
     row['plan_detailsUrl'] = plan.get('detailsUrl')
@@ -110,10 +123,11 @@ def main():
     # Sort columns for consistent order
     # Priority order for important columns first
     priority_cols = [
-        'zipcode_index', 'zipcode', 'state', 'city', 'zipcode_status',
+        'zipcode_index', 'zipcode', 'state', 'city', 'zipcode_planType', 'zipcode_planYear', 'zipcode_subsidy', 'zipcode_drugList', 'zipcode_providerList', 'zipcode_status',
         'zipcode_totalPlans', 'zipcode_plansWithDetails', 'zipcode_error',
-        'plan_status', 'plan_planId', 'plan_planName', 'plan_planType', 
-        'plan_monthlyPremium', 'plan_estimatedAnnualCost', 'plan_starRating', 
+        'plan_status', 'plan_planId', 'plan_planName', 'plan_planType', 'plan_planYear', 'plan_subsidy', 'plan_drugList', 'plan_providerList',
+        'plan_countyName', 'plan_fips',
+        'plan_monthlyPremium', 'plan_estimatedAnnualCost', 'plan_drugsCovered', 'plan_providersInNetwork', 'plan_starRating', 
         'plan_detailsUrl', 'plan_error', 'plan_scrapedAt',
     ]
     
@@ -0,0 +1,389 @@
+/**
+ * API capture - read plan data from the JSON the plan compare app loads over XHR
+ * With --api, the search and plan details responses of every page are saved and the plan records
+ * are built from them. The DOM extractors still run and fill whatever the JSON does not carry,
+ * and they are the only source when no response was captured.
+ *
+ * Layout (under config.outputDir):
+ *   api/<zipcode>/<scenario>/<fips>/search-p1.json
+ *   api/<zipcode>/<scenario>/<fips>/plan-<planId>.json
+ */
+
+import { writeFile, mkdir } from 'fs/promises';
+import { config } from './config.js';
+import { scenarioKey } from './scenarios.js';
+import { normalizePlanCosts, normalizeDetailCosts, buildDrugTierMatrix } from './normalize.js';
+import { parsePlanId, describePlan, classifySnp } from './identifiers.js';
+import { canonicalizeCardBenefits } from './taxonomy.js';
+
+const API_DIR = 'api';
+
+// Field names of the API payloads, first match wins - camelCase as well as snake_case
+const SUMMARY_FIELDS = {
+    planName: ['planName', 'plan_name', 'name'],
+    carrier: ['carrier', 'organizationName', 'organization_name', 'parentOrganization', 'parent_organization'],
+    starRating: ['starRating', 'overallStarRating', 'overall_star_rating', 'star_rating'],
+    monthlyPremium: ['monthlyPremium', 'monthly_premium', 'totalMonthlyPremium', 'total_monthly_premium'],
+    yearlyCost: ['yearlyCost', 'estimatedAnnualCost', 'estimated_annual_cost', 'annualCost', 'annual_cost'],
+    healthDeductible: ['healthDeductible', 'health_deductible', 'annualDeductible', 'annual_deductible'],
+    drugDeductible: ['drugDeductible', 'drug_deductible', 'drugPlanDeductible', 'drug_plan_deductible'],
+    maxOutOfPocket: ['maxOutOfPocket', 'max_out_of_pocket', 'maximumOopc', 'maximum_oopc'],
+    primaryDoctorCopay: ['primaryDoctorCopay', 'primary_doctor_copay'],
+    specialistCopay: ['specialistCopay', 'specialist_copay'],
+    hasDrugCoverage: ['hasDrugCoverage', 'has_drug_coverage'],
+    benefits: ['benefits']
+};
+
+const DETAIL_FIELDS = {
+    planTypeLabel: ['planTypeLabel', 'plan_type_label', 'planTypeDescription', 'plan_type_description'],
+    // Only the plan's own website field - a generic url is usually the API or details page link
+    planWebsite: ['planWebsite', 'plan_website', 'website'],
+    nonMemberPhone: ['nonMemberPhone', 'non_member_phone', 'phone'],
+    memberPhone: ['memberPhone', 'member_phone'],
+    tiers: ['tiers', 'drugTiers', 'drug_tiers']
+};
+
+// Set by enableApiCapture() - responses are only captured when --api is given
+let apiRoot = null;
+
+// Capture state per page, see attachApiCapture()
+const captures = new WeakMap();
+
+/**
+ * First non-empty value among the given field names
+ */
+function pick(item, names) {
+    for (const name of names) {
+        const value = item[name];
+        if (value !== undefined && value !== null && value !== '') return value;
+    }
+    return null;
+}
+
+/**
+ * Dollar amount as the site shows it - the API may send numbers where the cards show text
+ */
+function moneyText(value) {
+    if (typeof value !== 'number') return value;
+    return '$' + value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+/**
+ * Star rating as the data-stars string of the cards - a number, a string or { rating }
+ */
+function ratingText(value) {
+    if (value && typeof value === 'object') value = value.rating;
+    return value === null || value === undefined ? null : String(value);
+}
+
+/**
+ * Plan ID of an API plan record - the joined form or its contract, plan and segment parts
+ * @param {Object} item - Plan record of a search or plan details payload
+ * @returns {string|null} Plan ID such as "H1234-015-0"
+ */
+export function apiPlanId(item) {
+    if (!item) return null;
+    const joined = pick(item, ['planId', 'plan_id_full', 'fullPlanId', 'id']);
+    if (typeof joined === 'string' && parsePlanId(joined)) return joined;
+
+    const contract = pick(item, ['contractId', 'contract_id']);
+    const pbp = pick(item, ['pbpId', 'pbp_id', 'planId', 'plan_id']);
+    if (!contract || pbp === null) return null;
+    const segment = pick(item, ['segmentId', 'segment_id']);
+    return `${contract}-${String(pbp).padStart(3, '0')}-${segment === null ? '0' : segment}`;
+}
+
+/**
+ * Key to match plans of the API and the DOM - "H1234-015-0" equals "2026-H1234-15-0"
+ */
+function planMatchKey(planId) {
+    const parts = parsePlanId(planId);
+    return parts ? `${parts.contractId}-${parts.pbpId}-${parts.segmentId || '0'}` : null;
+}
+
+/**
+ * Plans of a search payload
+ * @param {Object|Array} payload - Search response body
+ * @returns {Array<Object>} Plan records
+ */
+export function searchPayloadPlans(payload) {
+    if (Array.isArray(payload)) return payload;
+    if (!payload || typeof payload !== 'object') return [];
+    const plans = payload.plans || payload.results || payload.data;
+    return Array.isArray(plans) ? plans : [];
+}
+
+/**
+ * Plan summary from one plan of a search payload, with the fields of extractPlanList()
+ * Fields the payload does not have are null and are filled from the plan card
+ * @param {Object} item - Plan record of the search payload
+ * @returns {Object} Plan summary
+ */
+export function planSummaryFromApi(item) {
+    const value = field => pick(item, SUMMARY_FIELDS[field]);
+    const benefits = value('benefits');
+    const hasDrugCoverage = value('hasDrugCoverage');
+    const offered = benefits && typeof benefits === 'object' && !Array.isArray(benefits)
+        ? Object.fromEntries(Object.entries(benefits).map(([label, available]) => [label, Boolean(available)]))
+        : null;
+
+    return {
+        planName: value('planName'),
+        planId: apiPlanId(item),
+        carrier: value('carrier'),
+        starRating: ratingText(value('starRating')),
+        monthlyPremium: moneyText(value('monthlyPremium')),
+        yearlyCost: moneyText(value('yearlyCost')),
+        healthDeductible: moneyText(value('healthDeductible')),
+        drugDeductible: moneyText(value('drugDeductible')),
+        maxOutOfPocket: moneyText(value('maxOutOfPocket')),
+        benefits: offered ? canonicalizeCardBenefits(offered, value('planName')) : null,
+        primaryDoctorCopay: value('primaryDoctorCopay'),
+        specialistCopay: value('specialistCopay'),
+        hasDrugCoverage: hasDrugCoverage === null ? null : Boolean(hasDrugCoverage)
+    };
+}
+
+/**
+ * Plan details from a plan details payload, in the shape of extractPlanDetails()
+ * @param {Object} payload - Plan details response body
+ * @returns {Object} Plan details - sections the payload does not have are left out
+ */
+export function planDetailsFromApi(payload) {
+    const item = payload && payload.plan && typeof payload.plan === 'object' ? payload.plan : payload || {};
+    const summary = planSummaryFromApi(item);
+    const value = field => pick(item, DETAIL_FIELDS[field]);
+    const tiers = value('tiers');
+
+    return {
+        planName: summary.planName,
+        planType: value('planTypeLabel'),
+        carrier: summary.carrier,
+        planWebsite: value('planWebsite'),
+        nonMemberPhone: value('nonMemberPhone'),
+        memberPhone: value('memberPhone'),
+        whatYouPay: {
+            monthly_premium: summary.monthlyPremium,
+            maximum_you_pay: summary.maxOutOfPocket
+        },
+        overview: {
+            premiums: { total_monthly_premium: summary.monthlyPremium },
+            deductibles: {
+                health_deductible: summary.healthDeductible,
+                drug_deductible: summary.drugDeductible
+            }
+        },
+        drugCoverage: {
+            tiers: Array.isArray(tiers)
+                ? tiers.map(tier => ({
+                    tier: String(pick(tier, ['tier', 'tierName', 'tier_name', 'label']) || '').replace(/<br\s*\/?>/gi, '\n'),
+                    initialCoverage: pick(tier, ['initialCoverage', 'initial_coverage']),
+                    catastrophic: pick(tier, ['catastrophic', 'catastrophicCoverage', 'catastrophic_coverage'])
+                }))
+                : []
+        },
+        starRatings: { overall: summary.starRating }
+    };
+}
+
+/**
+ * Merge a record built from the API over the DOM record of the same plan
+ * API values win; null, empty strings and empty arrays fall back to the DOM value, objects merge key by key
+ * @param {*} apiValue - Value from the API
+ * @param {*} domValue - Value from the DOM
+ * @returns {*} Merged value
+ */
+export function mergeApiRecord(apiValue, domValue) {
+    const isObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+    if (isObject(apiValue) && isObject(domValue)) {
+        const merged = { ...domValue };
+        for (const [key, value] of Object.entries(apiValue)) {
+            merged[key] = mergeApiRecord(value, domValue[key]);
+        }
+        return merged;
+    }
+    if (apiValue === null || apiValue === undefined || apiValue === '') return domValue === undefined ? apiValue : domValue;
+    if (Array.isArray(apiValue) && apiValue.length === 0 && domValue !== undefined) return domValue;
+    return apiValue;
+}
+
+/**
+ * Plan list of a results page from its search payload and the plan cards
+ * Cards keep their order, details link and card-only fields; plans only in the payload are appended.
+ * Every plan of the payload keeps its position in it as payloadIndex, see rankPlans()
+ * @param {Object|Array} payload - Search response body, null when none was captured
+ * @param {Array<Object>} domPlans - extractPlanList() result
+ * @returns {Array<Object>} Plans, each with dataSource 'api' or 'dom'
+ */
+export function mergePlanList(payload, domPlans) {
+    const apiPlans = searchPayloadPlans(payload).map(planSummaryFromApi).filter(p => p.planId)
+        .map((plan, payloadIndex) => ({ ...plan, payloadIndex }));
+    const byKey = new Map(apiPlans.map(p => [planMatchKey(p.planId), p]));
+    const used = new Set();
+
+    const plans = domPlans.map(domPlan => {
+        const key = planMatchKey(domPlan.planId);
+        const apiPlan = key ? byKey.get(key) : null;
+        if (!apiPlan) return { ...domPlan, dataSource: 'dom' };
+        used.add(key);
+        return finishPlan({ ...mergeApiRecord(apiPlan, domPlan), planId: domPlan.planId, dataSource: 'api' });
+    });
+
+    for (const apiPlan of apiPlans) {
+        const key = planMatchKey(apiPlan.planId);
+        if (used.has(key)) continue;
+        used.add(key);
+        plans.push(finishPlan({ ...apiPlan, detailsUrl: null, dataSource: 'api' }));
+    }
+
+    return plans;
+}
+
+/**
+ * Recompute the fields extractPlanList() derives from the merged values
+ */
+function finishPlan(plan) {
+    plan.costs = normalizePlanCosts(plan);
+    return Object.assign(plan, describePlan(plan.planId, plan.planName));
+}
+
+/**
+ * Plan details from the plan details payload and the details page
+ * @param {Object} payload - Plan details response body, null when none was captured
+ * @param {Object} domDetails - extractPlanDetails() result
+ * @returns {Object} Details with dataSource 'api' or 'dom'
+ */
+export function mergePlanDetails(payload, domDetails) {
+    if (!payload) return { ...domDetails, dataSource: 'dom' };
+
+    const details = mergeApiRecord(planDetailsFromApi(payload), domDetails);
+    details.dataSource = 'api';
+    details.snpType = classifySnp(details.planType, details.planName);
+    details.costs = normalizeDetailCosts(details);
+    if (details.drugCoverage) {
+        details.drugCoverage.tierMatrix = buildDrugTierMatrix(details.drugCoverage);
+    }
+    return details;
+}
+
+/**
+ * Turn on API capture for this run
+ * @param {string} outputDir - Crawl output directory
+ */
+export function enableApiCapture(outputDir = config.outputDir) {
+    apiRoot = `${outputDir}/${API_DIR}`;
+    console.log(`Capturing plan compare API responses to ${apiRoot}`);
+}
+
+/**
+ * Listen to the search and plan details responses of a page
+ * Call before the page navigates (Crawlee preNavigationHooks) so the first search is not missed.
+ * Does nothing without --api; attaching twice keeps the first listener
+ * @param {import('playwright').Page} page - Playwright page object
+ */
+export function attachApiCapture(page) {
+    if (!apiRoot || captures.has(page)) return;
+
+    const capture = { search: null, plans: new Map(), pending: new Set() };
+    captures.set(page, capture);
+
+    page.on('response', response => {
+        const url = response.url();
+        const kind = config.apiPatterns.search.test(url) ? 'search'
+            : config.apiPatterns.planDetails.test(url) ? 'plan' : null;
+        if (!kind || !response.ok()) return;
+
+        const reading = response.json()
+            .then(payload => {
+                const record = { url, status: response.status(), capturedAt: new Date().toISOString(), payload };
+                if (kind === 'search') {
+                    capture.search = record;
+                } else {
+                    const item = payload && payload.plan && typeof payload.plan === 'object' ? payload.plan : payload;
+                    const key = planMatchKey(apiPlanId(item));
+                    if (key) capture.plans.set(key, record);
+                }
+            })
+            .catch(() => { })  // Not JSON, or the page navigated before the body was read
+            .finally(() => capture.pending.delete(reading));
+        capture.pending.add(reading);
+    });
+}
+
+/**
+ * Wait for response bodies that are still being read
+ */
+async function settle(capture) {
+    while (capture.pending.size > 0) {
+        await Promise.all([...capture.pending]);
+    }
+}
+
+/**
+ * Make a value safe to use in a file name
+ */
+function safeName(value) {
+    return String(value).replace(/[^A-Za-z0-9_-]+/g, '_');
+}
+
+/**
+ * Save a captured response next to the others of its zipcode, scenario and county
+ * Failures are logged and never interrupt the crawl
+ */
+async function saveRecord(info, name, record) {
+    try {
+        const scenarioDir = safeName(scenarioKey(info).split('|').slice(1).join('_'));
+        const dir = `${apiRoot}/${safeName(info.zipcode)}/${scenarioDir}/${safeName(info.fips || 'default')}`;
+        await mkdir(dir, { recursive: true });
+        await writeFile(`${dir}/${name}.json`, JSON.stringify(record));
+    } catch (err) {
+        console.warn(`  [API] Could not save ${name}: ${err.message}`);
+    }
+}
+
+/**
+ * Plan list of the results page on screen, built from its search response
+ * Without --api or a captured response the plan cards are returned as they are
+ * @param {import('playwright').Page} page - Playwright page object
+ * @param {Object} info - Zipcode, scenario and county of the page
+ * @param {number} pageNumber - Results page number
+ * @param {Array<Object>} domPlans - extractPlanList() result
+ * @param {string|null} sortOrder - Sort order walked for --sort-orders, names the capture file apart from the crawled listing
+ * @returns {Promise<Array<Object>>} Plans
+ */
+export async function apiPlanList(page, info, pageNumber, domPlans, sortOrder = null) {
+    const capture = captures.get(page);
+    if (!capture) return domPlans;
+
+    await settle(capture);
+    const record = capture.search;
+    capture.search = null;  // The next results page has its own response
+    if (!record) return mergePlanList(null, domPlans);
+
+    await saveRecord(info, sortOrder ? `search-${safeName(sortOrder)}-p${pageNumber}` : `search-p${pageNumber}`, record);
+    return mergePlanList(record.payload, domPlans);
+}
+
+/**
+ * Details of the plan on screen, built from its plan details response
+ * Without --api or a captured response the DOM details are returned as they are
+ * @param {import('playwright').Page} page - Playwright page object
+ * @param {Object} info - Zipcode, scenario and county of the plan
+ * @param {string} planId - Plan ID
+ * @param {Object} domDetails - extractPlanDetails() result
+ * @returns {Promise<Object>} Details
+ */
+export async function apiPlanDetails(page, info, planId, domDetails) {
+    const capture = captures.get(page);
+    if (!capture) return domDetails;
+
+    await settle(capture);
+    const key = planMatchKey(planId);
+    const record = key ? capture.plans.get(key) : null;
+    if (!record) return mergePlanDetails(null, domDetails);
+
+    capture.plans.delete(key);
+    await saveRecord(info, `plan-${safeName(planId)}`, record);
+    return mergePlanDetails(record.payload, domDetails);
+}
@@ -3,24 +3,31 @@
  * Updated based on actual HTML structure from medicare.gov
  */
 
+// Site serving plan compare - MEDICARE_SITE_URL points the crawler at another copy, such as test/mock-site
+const siteUrl = (process.env.MEDICARE_SITE_URL || 'https://www.medicare.gov').replace(/\/+$/, '');
+
 export const config = {
-    // Base URL for Medicare Plan Compare
-    baseUrl: 'https://www.medicare.gov/plan-compare/#/?year=2026&lang=en',
+    // Base URL for Medicare Plan Compare ({year} is filled per crawl scenario)
+    baseUrl: `${siteUrl}/plan-compare/#/?year={year}&lang=en`,
 
     // Direct search URL template (skip wizard by going directly to search results)
-    searchUrlTemplate: 'https://www.medicare.gov/plan-compare/#/search-results?plan_type=PLAN_TYPE_MAPD&zip={zipcode}&fips={fips}&year=2026&lang=en',
+    searchUrlTemplate: `${siteUrl}/plan-compare/#/search-results?plan_type={planType}&zip={zipcode}&fips={fips}&year={year}&lang=en`,
 
     // Plan details URL template
-    planDetailsUrlTemplate: 'https://www.medicare.gov/plan-compare/#/plan-details/{planId}?plan_type=PLAN_TYPE_MAPD&zip={zipcode}&fips={fips}&year=2026&lang=en',
+    planDetailsUrlTemplate: `${siteUrl}/plan-compare/#/plan-details/{planId}?plan_type={planType}&zip={zipcode}&fips={fips}&year={year}&lang=en`,
 
     // Input/Output paths
     inputFile: './ZipCodes.csv',
+    crosswalkFile: './ZipCountyCrosswalk.csv', // Zipcode -> county FIPS, used by --direct
     outputDir: './output',
 
     // Crawler settings
     maxConcurrency: 1, // Process one zipcode at a time to avoid rate limiting
     maxRequestRetries: 3,
     requestHandlerTimeoutSecs: 600, // 10 minutes per request (for large zipcodes)
+    paginationAttempts: 3, // Clicks per results page until the pagination shows it as the active page
+    incompleteRequeues: 2, // Extra visits of a county whose collected plans fall short of the results total
+    wizardMaxSteps: 12, // Wizard screens handled before giving up on reaching the search results
 
     // Browser settings
     headless: true, // Set to false for debugging (visible browser)
@@ -37,14 +44,22 @@ export const config = {
     timeouts: {
         navigation: 90000,  // 90 seconds for slow page loads
         element: 30000,
-        planLoad: 60000
+        planLoad: 60000,
+        directResults: 20000,  // Wait for plan cards on a direct search URL before falling back to the wizard
+        wizardScreen: 15000    // Wait for the wizard to leave a screen after answering it
+    },
+
+    // XHR calls of the plan compare app captured with --api, matched against the response URL
+    apiPatterns: {
+        search: /\/plans\/search\b|\/api\/search\b/,
+        planDetails: /\/plan-compare\/plan\/|\/api\/plans\//
     },
 
     // Selectors based on actual HTML structure
     selectors: {
         // Plan listing page
         planCardsList: '.e2e-search-results-list, [data-testid="search-results-list"], ol.SearchResults__results-list',
-        planCards: '.SearchResults__plan-card, [data-cy="e2e-plan-card-plan-type-mapd"], [data-cy="e2e-plan-card-plan-type-ma"], li.e2e-plan-card',
+        planCards: '.SearchResults__plan-card, [data-cy="e2e-plan-card-plan-type-mapd"], [data-cy="e2e-plan-card-plan-type-ma"], [data-cy="e2e-plan-card-plan-type-pdp"], li.e2e-plan-card',
 
         // Plan card elements
         planName: '.PlanCard__header, h2[data-cy="plan-card-header"]',
@@ -67,10 +82,14 @@ export const config = {
         // Plan details link
         planDetailsLink: '.e2e-plan-details-btn, a[aria-label*="Plan details"]',
 
+        // Sort order dropdown of the results page
+        sortSelect: 'select#sort-by, select[name="sort"], select[aria-label*="Sort"], select[id*="sort"]',
+
         // Pagination
         totalResults: '#total-plan-results',
         nextPageButton: 'button:has-text("Next"), [aria-label*="next page"], .ds-c-pagination__next',
         paginationInfo: '.Pagination, .ds-c-pagination',
+        currentPage: '.ds-c-pagination [aria-current="page"], .Pagination [aria-current="page"], .ds-c-pagination__item--active',
 
         // Plan Details Page
         detailsPageHeader: '.PlanDetailsPagePlanInfo h1, .e2e-plan-details-plan-header',
@@ -83,10 +102,120 @@ export const config = {
     },
 
     // Plan types
+    // code: value of the plan_type URL parameter on the results page
+    // coverageSelectors: options to click in the wizard's "What coverage are you looking for" step
+    // MA and MAPD share the Part C option - the results are narrowed by plan_type afterwards
     planTypes: {
-        MAPD: 'PLAN_TYPE_MAPD',  // Medicare Advantage with drug coverage
-        MA: 'PLAN_TYPE_MA',      // Medicare Advantage without drug
-        PDP: 'PLAN_TYPE_PDP'     // Prescription Drug Plan
+        MAPD: {  // Medicare Advantage with drug coverage
+            code: 'PLAN_TYPE_MAPD',
+            coverageSelectors: [
+                '#what-coverage-mapd',
+                'input[value="MEDICARE_ADVANTAGE_PLAN"]',
+                'label[for="what-coverage-mapd"]',
+                '[data-testid="what-coverage-mapd"]',
+                'input[name="coverage-selector-select-plan-type"][value="MEDICARE_ADVANTAGE_PLAN"]'
+            ]
+        },
+        MA: {    // Medicare Advantage without drug
+            code: 'PLAN_TYPE_MA',
+            coverageSelectors: [
+                '#what-coverage-mapd',
+                'input[value="MEDICARE_ADVANTAGE_PLAN"]',
+                'label[for="what-coverage-mapd"]',
+                '[data-testid="what-coverage-mapd"]',
+                'input[name="coverage-selector-select-plan-type"][value="MEDICARE_ADVANTAGE_PLAN"]'
+            ]
+        },
+        PDP: {   // Prescription Drug Plan
+            code: 'PLAN_TYPE_PDP',
+            coverageSelectors: [
+                '#what-coverage-pdp',
+                'input[value="PRESCRIPTION_DRUG_PLAN"]',
+                'label[for="what-coverage-pdp"]',
+                '[data-testid="what-coverage-pdp"]',
+                'input[name="coverage-selector-select-plan-type"][value="PRESCRIPTION_DRUG_PLAN"]'
+            ]
+        }
+    },
+
+    // Sort orders of the search results, recorded with each plan's rank (--sort-orders)
+    // pattern: matched against the options of the sort dropdown - the combined drug + premium order first,
+    // its label contains "premium" too
+    sortOrders: {
+        'drug-premium': { pattern: /drug\s*(?:\+|and|&)\s*premium/i },
+        premium: { pattern: /monthly premium|lowest premium/i },
+        'star-rating': { pattern: /star rating/i }
+    },
+
+    // Plan types crawled when --plan-type is not given
+    defaultPlanTypes: ['MAPD'],
+
+    // Plan years crawled when --year is not given
+    defaultYears: [2026],
+
+    // Programs offered in the wizard's "Do you get help paying for Medicare" step
+    // labelText: matched against the checkbox labels when none of the selectors is found
+    subsidyPrograms: {
+        medicaid: {
+            labelText: 'Medicaid',
+            selectors: ['input[value="medicaid"]', 'input[value="MEDICAID"]', 'input#medicaid', 'label[for="medicaid"]']
+        },
+        ssi: {    // Supplemental Security Income
+            labelText: 'Supplemental Security Income',
+            selectors: ['input[value="ssi"]', 'input[value="SSI"]', 'input#ssi', 'label[for="ssi"]']
+        },
+        msp: {    // Medicare Savings Program
+            labelText: 'Medicare Savings Program',
+            selectors: ['input[value="msp"]', 'input[value="MSP"]', 'input#msp', 'label[for="msp"]']
+        },
+        'extra-help': {  // Extra Help / Low-Income Subsidy (LIS)
+            labelText: 'Extra Help',
+            selectors: ['input[value="lis"]', 'input[value="LIS"]', 'input[value="extraHelp"]', 'input#extra-help', 'label[for="lis"]']
+        }
+    },
+
+    // Subsidy profiles crawled when --subsidy is not given
+    defaultSubsidies: ['none'],
+
+    // Controls of the wizard screens - the screens themselves are told apart in wizard.js
+    wizardSelectors: {
+        zipInput: 'input[name*="zip"], input[id*="zip"], #zip-code',
+        countyChoice: 'input[name="county"][type="radio"], [data-testid*="coverage-selector-fips"]',
+        helpQuestion: 'input[name="subsidyTypes"], input[name*="subsidy"]',
+        drugsQuestion: '#yes-drugs, #no-drugs, input[name="drugs"]',
+        password: 'input[type="password"]',
+        continueButton: ['button:has-text("Continue")', 'button:has-text("Next")', 'a:has-text("Continue")', 'a:has-text("Next")', 'button[type="submit"]'],
+        // Not submit/continue, which leads to the login prompt
+        findPlans: ['button:has-text("Find Plans")', 'a:has-text("Find Plans")', '[data-testid*="find-plans"]', 'button:has-text("Search Plans")', 'button:has-text("View Plans")'],
+        noHelp: [
+            'input[name="subsidyTypes"][value="none"]', 'input[value="none"]', 'input#none', 'label[for="none"]',
+            'input[value="noSubsidy"]', '#no-help', '[data-testid*="no-help"]', 'label:has-text("I don\'t get help")'
+        ],
+        noDrugs: ['#no-drugs', 'input[value="no"]', 'input[value="false"]', '[data-testid*="no-drugs"]', 'label:has-text("No")'],
+        skipProviders: ['[data-testid="continue-to-plans"]', 'button:has-text("Skip Adding Providers")', 'button:has-text("Skip")', 'a:has-text("Skip")']
+    },
+
+    // Drug search in the wizard, used for scenarios with a --drugs list
+    drugSelectors: {
+        yesDrugs: ['input[value="yes"]', 'input[value="true"]', '#yes-drugs', 'label:has-text("Yes")'],
+        searchInput: 'input#drug-search, input[name*="drug-search"], input[aria-label*="drug name" i], input[placeholder*="drug" i]',
+        suggestion: '[role="option"], .mct-c-drug-search__suggestion, [data-testid*="drug-suggestion"]',
+        addDrugButton: 'button:has-text("Add drug"), [data-testid="add-drug"]',
+        dosageSelect: 'select#dosage, select[name*="dosage"], select[id*="dosage"]',
+        quantityInput: 'input#quantity, input[name*="quantity"], input[id*="quantity"]',
+        frequencySelect: 'select#frequency, select[name*="frequency"], select[id*="frequency"]',
+        confirmDrugButton: 'button:has-text("Add to my drug list"), button:has-text("Add to drug list"), [data-testid*="confirm-drug"]',
+        doneButton: 'button:has-text("Done adding drugs"), [data-testid*="done-adding-drugs"], button:has-text("Done")',
+        skipPharmacy: 'button:has-text("Skip adding pharmacies"), button:has-text("Continue without"), [data-testid*="skip-pharmacy"]'
+    },
+
+    // Provider search in the wizard, used for scenarios with a --providers list
+    providerSelectors: {
+        searchInput: 'input#provider-search, input[name*="provider-search"], input[aria-label*="provider" i], input[placeholder*="doctor" i]',
+        searchButton: 'button:has-text("Search"), [data-testid*="provider-search-button"]',
+        result: '[data-testid*="provider-result"], .mct-c-provider-search__result, .ProviderSearchResult',
+        addButton: 'button:has-text("Add")',
+        doneButton: 'button:has-text("Done adding providers"), button:has-text("Continue to plans"), [data-testid="continue-to-plans"]'
     }
 };
 
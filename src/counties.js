@@ -0,0 +1,110 @@
+/**
+ * County selection for zipcodes that span more than one county
+ * The wizard shows one radio option per county after the zipcode is entered
+ */
+
+// Based on actual HTML: <input name="county" type="radio"> inside .mct-c-coverage-selector-v2__county-choice
+const COUNTY_SELECTORS = [
+    'input[name="county"][type="radio"]',
+    '[data-testid*="coverage-selector-fips"]',
+    '.mct-c-coverage-selector-v2__county-choice input[type="radio"]'
+];
+
+/**
+ * List the county options currently shown by the wizard
+ * @param {import('playwright').Page} page - Playwright page object
+ * @returns {Promise<Object>} { selector, options: [{ index, fips, countyName, checked }] }
+ */
+export async function listCountyOptions(page) {
+    for (const selector of COUNTY_SELECTORS) {
+        try {
+            const options = await page.$$eval(selector, elements => elements.map((el, index) => {
+                const input = el.matches('input') ? el : el.querySelector('input');
+
+                // FIPS code is the radio value or part of its test id ("coverage-selector-fips-29510")
+                const attrs = [input ? input.value : '', el.getAttribute('data-testid'), input ? input.id : '']
+                    .filter(Boolean)
+                    .join(' ');
+                const fipsMatch = attrs.match(/\b(\d{5})\b/);
+
+                let label = input && input.id ? document.querySelector(`label[for="${input.id}"]`) : null;
+                if (!label) label = el.closest('label');
+
+                return {
+                    index,
+                    fips: fipsMatch ? fipsMatch[1] : null,
+                    countyName: label ? label.textContent.trim() : null,
+                    checked: input ? input.checked : false
+                };
+            }));
+
+            if (options.length > 0) {
+                return { selector, options };
+            }
+        } catch {
+            continue;
+        }
+    }
+
+    return { selector: null, options: [] };
+}
+
+/**
+ * Select a county in the wizard
+ * Without a FIPS code the pre-selected county (or the first one) is used
+ * @param {import('playwright').Page} page - Playwright page object
+ * @param {string|null} fips - FIPS code of the county to select
+ * @returns {Promise<Object>} { counties: [{ fips, countyName }], county }
+ */
+export async function selectCounty(page, fips = null) {
+    const { selector, options } = await listCountyOptions(page);
+
+    if (options.length === 0) {
+        return { counties: [], county: fips ? { fips, countyName: null } : null };
+    }
+
+    const target = fips
+        ? options.find(o => o.fips === fips)
+        : (options.find(o => o.checked) || options[0]);
+
+    if (!target) {
+        throw new Error(`County ${fips} is not offered for this zipcode`);
+    }
+
+    if (!target.checked) {
+        const handles = await page.$$(selector);
+        await handles[target.index].click();
+    }
+
+    return {
+        counties: options.map(o => ({ fips: o.fips, countyName: o.countyName })),
+        county: { fips: target.fips, countyName: target.countyName }
+    };
+}
+
+/**
+ * Read the FIPS code from a plan compare URL
+ * @param {string} url - Search results or plan details URL
+ * @returns {string|null} FIPS code
+ */
+export function fipsFromUrl(url) {
+    const match = String(url || '').match(/[?&]fips=(\d{5})/);
+    return match ? match[1] : null;
+}
+
+/**
+ * Fill in what the county step could not tell us once the results page is loaded
+ * Single-county zipcodes show no county options, so the FIPS comes from the results URL
+ * @param {Object} selection - Result of selectCounty()
+ * @param {string} resultsUrl - URL of the search results page
+ * @returns {Object} { counties, county } with at least one county
+ */
+export function completeCountySelection(selection, resultsUrl) {
+    const county = {
+        fips: (selection.county && selection.county.fips) || fipsFromUrl(resultsUrl),
+        countyName: selection.county ? selection.county.countyName : null
+    };
+
+    const counties = selection.counties.length > 0 ? selection.counties : [county];
+    return { counties, county };
+}
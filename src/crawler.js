@@ -1,425 +1,46 @@
 /**
- * Core Crawler - Medicare Plan Wizard Navigation
+ * Core Crawler - Medicare plan results and details, after wizard.js has reached the search results
  */
 
 import { PlaywrightCrawler, Dataset } from 'crawlee';
 import { config, sleep } from './config.js';
-import { extractPlanList, extractPlanDetails, hasNextPage, goToNextPage, goToPage, getTotalPlanInfo } from './extractors.js';
+import { extractPlanList, extractPlanDetails, goToResultsPage, getTotalPlanInfo } from './extractors.js';
 import { appendToJSON } from './exporters.js';
-
-/**
- * Navigate through the Medicare wizard steps
- * @param {import('playwright').Page} page - Playwright page object
- * @param {string} zipcode - Zipcode to search for
- * @returns {Promise<boolean>} True if navigation was successful
- */
-async function navigateWizard(page, zipcode) {
-    console.log(`\n=== Navigating wizard for zipcode: ${zipcode} ===`);
-
-    try {
-        // Wait for page to stabilize
-        await page.waitForLoadState('domcontentloaded', { timeout: config.timeouts.navigation });
-        await sleep(config.delays.afterPageLoad);
-
-        console.log('Current URL:', page.url());
-
-        // Step 1: Enter zipcode
-        console.log('Step 1: Entering zipcode...');
-
-        const zipcodeInput = await page.waitForSelector(
-            'input[name*="zip"], input[id*="zip"], #zip-code',
-            { timeout: config.timeouts.element }
-        );
-
-        await zipcodeInput.click({ clickCount: 3 });
-        await zipcodeInput.fill(zipcode);
-        console.log(`  Entered zipcode: ${zipcode}`);
-        await sleep(config.delays.betweenActions);
-
-        // Step 1.5: Check if county selection is required
-        console.log('Step 1.5: Checking for county selection...');
-        await sleep(1000); // Wait for county options to appear
-        
-        const countySelectors = [
-            'input[name="county"][type="radio"]',
-            '[data-testid*="coverage-selector-fips"]',
-            '.mct-c-coverage-selector-v2__county-choice input[type="radio"]'
-        ];
-
-        for (const selector of countySelectors) {
-            try {
-                const countyOptions = await page.$$(selector);
-                if (countyOptions.length > 0) {
-                    // Check if any is already selected
-                    let alreadySelected = false;
-                    for (const option of countyOptions) {
-                        const isChecked = await option.isChecked();
-                        if (isChecked) {
-                            alreadySelected = true;
-                            console.log('  County already selected');
-                            break;
-                        }
-                    }
-                    
-                    // If none selected, select the first one
-                    if (!alreadySelected) {
-                        const firstOption = countyOptions[0];
-                        await firstOption.click();
-                        console.log(`  Selected first county option (${countyOptions.length} options available)`);
-                    }
-                    break;
-                }
-            } catch (e) {
-                continue;
-            }
-        }
-
-        await sleep(config.delays.betweenActions);
-
-        // Step 2: Click first Continue to go to plan type selection
-        console.log('Step 2: Clicking Continue to see plan types...');
-        await clickContinueButton(page);
-        await sleep(config.delays.afterPageLoad);
-
-        // Step 3: Select Medicare Advantage Plan (Part C)
-        // Based on actual HTML: <input id="what-coverage-mapd" value="MEDICARE_ADVANTAGE_PLAN">
-        console.log('Step 3: Selecting Medicare Advantage Plan (Part C)...');
-
-        const planTypeSelectors = [
-            '#what-coverage-mapd',  // Exact ID from HTML
-            'input[value="MEDICARE_ADVANTAGE_PLAN"]',  // Exact value from HTML
-            'label[for="what-coverage-mapd"]',  // The label
-            '[data-testid="what-coverage-mapd"]',  // data-testid
-            'input[name="coverage-selector-select-plan-type"][value="MEDICARE_ADVANTAGE_PLAN"]'
-        ];
-
-        let planTypeSelected = false;
-        for (const selector of planTypeSelectors) {
-            try {
-                const element = await page.$(selector);
-                if (element) {
-                    const isVisible = await element.isVisible();
-                    if (isVisible) {
-                        await element.click();
-                        console.log(`  Selected Medicare Advantage using: ${selector}`);
-                        planTypeSelected = true;
-                        break;
-                    }
-                }
-            } catch (e) {
-                continue;
-            }
-        }
-
-        if (!planTypeSelected) {
-            // Try waiting for the element
-            try {
-                await page.waitForSelector('#what-coverage-mapd', { timeout: 10000 });
-                await page.click('#what-coverage-mapd');
-                console.log('  Selected Medicare Advantage using waitForSelector');
-                planTypeSelected = true;
-            } catch {
-                console.log('  Warning: Could not find Medicare Advantage selector');
-            }
-        }
-
-        await sleep(config.delays.betweenActions);
-
-        // Step 4: Click "Find Plans" button (NOT submit/continue which triggers login)
-        console.log('Step 4: Clicking Find Plans button...');
-
-        const findPlansSelectors = [
-            'button:has-text("Find Plans")',
-            'a:has-text("Find Plans")',
-            '[data-testid*="find-plans"]',
-            'button:has-text("Search Plans")',
-            'button:has-text("View Plans")'
-        ];
-
-        let findPlansClicked = false;
-        for (const selector of findPlansSelectors) {
-            try {
-                const button = await page.$(selector);
-                if (button) {
-                    const isVisible = await button.isVisible();
-                    if (isVisible) {
-                        await button.click();
-                        console.log(`  Clicked Find Plans using: ${selector}`);
-                        findPlansClicked = true;
-                        break;
-                    }
-                }
-            } catch {
-                continue;
-            }
-        }
-
-        if (!findPlansClicked) {
-            // Try waiting for Find Plans button
-            try {
-                await page.waitForSelector('button:has-text("Find Plans")', { timeout: 10000 });
-                await page.click('button:has-text("Find Plans")');
-                console.log('  Clicked Find Plans using waitForSelector');
-                findPlansClicked = true;
-            } catch {
-                console.log('  Warning: Could not find Find Plans button');
-            }
-        }
-
-        await page.waitForLoadState('domcontentloaded', { timeout: config.timeouts.navigation });
-        await sleep(config.delays.afterPageLoad);
-        console.log('  Current URL:', page.url());
-
-        // Step 5: Handle "Do you get help paying for Medicare" question
-        // Page shows: Medicaid, SSI, Medicare Savings Program, Extra Help checkboxes
-        // And "I don't get help from any of these programs" option
-        console.log('Step 5: Looking for help/subsidy question...');
-
-        // Wait for the page to show the help question
-        await page.waitForSelector('input[type="checkbox"], input[type="radio"]', { timeout: 10000 }).catch(() => {});
-        await sleep(1000);
-
-        const noHelpSelectors = [
-            // New page format - "I don't get help from any of these programs"
-            'input[value="none"]',
-            'input#none',
-            'input[id*="none"]',
-            'label[for="none"]',
-            'input[name="subsidyTypes"][value="none"]',
-            'input[name*="subsidy"][value="none"]',
-            'input[name*="help"][value="none"]',
-            // Try checkbox/radio with "none" value
-            'input[type="checkbox"][value="none"]',
-            'input[type="radio"][value="none"]',
-            // Older format
-            'input[value="noSubsidy"]',
-            'input[value="no"]',
-            'label:has-text("I don\'t get help")',
-            'label:has-text("No, I don\'t")',
-            '#no-help',
-            '[data-testid*="no-help"]',
-            '[data-testid*="noSubsidy"]',
-            '[data-testid*="none"]'
-        ];
-
-        let helpSelected = false;
-        for (const selector of noHelpSelectors) {
-            try {
-                const element = await page.$(selector);
-                if (element) {
-                    const isVisible = await element.isVisible();
-                    if (isVisible) {
-                        await element.click();
-                        console.log(`  Selected no help using: ${selector}`);
-                        helpSelected = true;
-                        break;
-                    }
-                }
-            } catch {
-                continue;
-            }
-        }
-
-        // If still not selected, try by text content
-        if (!helpSelected) {
-            try {
-                const labels = await page.$$('label');
-                for (const label of labels) {
-                    const text = await label.textContent();
-                    if (text && (text.toLowerCase().includes("don't get help") || text.toLowerCase().includes("i don't get"))) {
-                        await label.click();
-                        console.log('  Selected "no help" by label text');
-                        helpSelected = true;
-                        break;
-                    }
-                }
-            } catch { }
-        }
-
-        // If still not selected, try clicking via JavaScript evaluation
-        if (!helpSelected) {
-            try {
-                const clicked = await page.evaluate(() => {
-                    // Find by text content
-                    const labels = document.querySelectorAll('label');
-                    for (const label of labels) {
-                        if (label.textContent.toLowerCase().includes("don't get help")) {
-                            label.click();
-                            return true;
-                        }
-                    }
-                    // Find input with none value
-                    const inputs = document.querySelectorAll('input[value="none"], input[value="noSubsidy"]');
-                    if (inputs.length > 0) {
-                        inputs[0].click();
-                        return true;
-                    }
-                    return false;
-                });
-                if (clicked) {
-                    console.log('  Selected "no help" via page.evaluate');
-                    helpSelected = true;
-                }
-            } catch { }
-        }
-
-        await sleep(config.delays.betweenActions);
-        await clickContinueButton(page);
-        await sleep(config.delays.afterPageLoad);
-
-        // Step 6: Handle drug coverage question - Select No
-        console.log('Step 6: Looking for drug coverage question...');
-
-        const noDrugSelectors = [
-            'input[value="no"]',
-            'input[value="false"]',
-            'label:has-text("No, I don\'t")',
-            'label:has-text("No")',
-            '#no-drugs',
-            '[data-testid*="no-drugs"]'
-        ];
-
-        for (const selector of noDrugSelectors) {
-            try {
-                const element = await page.$(selector);
-                if (element) {
-                    const isVisible = await element.isVisible();
-                    if (isVisible) {
-                        await element.click();
-                        console.log(`  Selected No using: ${selector}`);
-                        break;
-                    }
-                }
-            } catch {
-                continue;
-            }
-        }
-
-        await sleep(config.delays.betweenActions);
-        await clickContinueButton(page);
-        await sleep(config.delays.afterPageLoad);
-
-        // Step 7: Skip Adding Providers
-        console.log('Step 7: Looking for skip providers option...');
-
-        const skipSelectors = [
-            '[data-testid="continue-to-plans"]',  // Exact selector from HTML
-            'button:has-text("Skip Adding Providers")',
-            'button:has-text("Skip")',
-            'a:has-text("Skip")'
-        ];
-
-        for (const selector of skipSelectors) {
-            try {
-                const element = await page.$(selector);
-                if (element) {
-                    const isVisible = await element.isVisible();
-                    if (isVisible) {
-                        await element.click();
-                        console.log(`  Skipped providers using: ${selector}`);
-                        break;
-                    }
-                }
-            } catch {
-                continue;
-            }
-        }
-
-        // If no skip button, try clicking Continue
-        await clickContinueButton(page);
-        await sleep(config.delays.afterPageLoad);
-
-        // Wait for plan results page
-        console.log('Waiting for plan results...');
-        await page.waitForLoadState('domcontentloaded', { timeout: config.timeouts.navigation });
-        await sleep(config.delays.afterPageLoad);
-
-        console.log('Wizard navigation completed!');
-        console.log('Final URL:', page.url());
-        return true;
-
-    } catch (err) {
-        console.error(`Wizard navigation failed: ${err.message}`);
-        // Take screenshot on error for debugging
-        try {
-            await page.screenshot({ path: './output/error_screenshot.png' });
-            console.log('Error screenshot saved to ./output/error_screenshot.png');
-        } catch { }
-        return false;
-    }
-}
-
-/**
- * Helper function to click Continue/Next button
- */
-async function clickContinueButton(page) {
-    const continueSelectors = [
-        'button:has-text("Continue")',
-        'button:has-text("Next")',
-        'a:has-text("Continue")',
-        'a:has-text("Next")',
-        'button[type="submit"]'
-    ];
-
-    for (const selector of continueSelectors) {
-        try {
-            const button = await page.$(selector);
-            if (button) {
-                const isVisible = await button.isVisible();
-                if (isVisible) {
-                    await button.click();
-                    console.log(`  Clicked continue/next: ${selector}`);
-                    await page.waitForLoadState('domcontentloaded', { timeout: config.timeouts.navigation });
-                    return true;
-                }
-            }
-        } catch {
-            continue;
-        }
-    }
-    return false;
-}
-
-/**
- * Helper function to click a button by text
- */
-async function clickButton(page, textOptions) {
-    for (const text of textOptions) {
-        try {
-            const button = await page.$(`button:has-text("${text}"), a:has-text("${text}")`);
-            if (button) {
-                await button.click();
-                console.log(`  Clicked button: ${text}`);
-                return true;
-            }
-        } catch {
-            continue;
-        }
-    }
-    return false;
-}
+import { scenarioKey, pickScenario, describeScenario, buildStartUrl, supportsDirectUrl } from './scenarios.js';
+import { buildSearchUrl, buildPlanDetailsUrl, openDirectResults } from './direct.js';
+import { navigateWizard } from './wizard.js';
+import { saveSnapshot, detailsSnapshotHook } from './snapshots.js';
+import { downloadPlanDocuments } from './documents.js';
+import { attachApiCapture, apiPlanList, apiPlanDetails } from './apiCapture.js';
+import { rankPlans, getActiveSortOrder, collectSortRanks } from './ranking.js';
 
 /**
  * Extract all plans for a given zipcode
  * Uses two-phase approach:
  * Phase 1: Collect all plan summaries and URLs by navigating through all pages
  * Phase 2: Visit each plan URL to extract detailed information
+ * Results pages that cannot be reached or only repeat plans already seen are listed in missingPages;
+ * fewer plans than the results total makes the collection incomplete
  * @param {import('playwright').Page} page - Playwright page object
  * @param {Object} zipcodeInfo - Zipcode information
- * @returns {Promise<Array>} Array of plan data
+ * @param {Object} options - Extraction options
+ * @param {boolean} options.skipDetailsIfIncomplete - Return no plans for an incomplete collection, the caller requeues it
+ * @returns {Promise<Object>} { plans, collection: { totalPlans, collectedPlans, missingPages, incomplete } }
  */
-async function extractAllPlans(page, zipcodeInfo) {
+async function extractAllPlans(page, zipcodeInfo, options = {}) {
     const allPlans = [];
     const planSummaries = []; // Collect all plan summaries first
     const processedPlanIds = new Set();
+    const missingPages = [];
     let pageNum = 1;
 
     // Get total plans count first
     const { totalPlans, totalPages, plansPerPage } = await getTotalPlanInfo(page);
     console.log('\n' + '='.repeat(60));
-    console.log(`PLAN SUMMARY FOR ZIPCODE: ${zipcodeInfo.zipcode}`);
+    console.log(`PLAN SUMMARY FOR ZIPCODE: ${zipcodeInfo.zipcode} (${describeScenario(zipcodeInfo)}) - ${zipcodeInfo.countyName || 'county'} ${zipcodeInfo.fips || ''}`);
     console.log('='.repeat(60));
-    console.log(`Total Plans: ${totalPlans} | Pages: ${totalPages} | Per Page: ${plansPerPage}`);
+    const sortOrder = await getActiveSortOrder(page);
+    console.log(`Total Plans: ${totalPlans} | Pages: ${totalPages} | Per Page: ${plansPerPage} | Sorted by: ${sortOrder || 'unknown'}`);
     console.log('='.repeat(60));
 
     // ============================================
@@ -430,21 +51,18 @@ async function extractAllPlans(page, zipcodeInfo) {
     for (let p = 1; p <= totalPages; p++) {
         console.log(`\n  [Page ${p}/${totalPages}]`);
 
-        // Navigate to page if not the first one
-        if (p > 1) {
-            // Click pagination button for this page number
-            const pageButtonClicked = await clickPaginationButton(page, p);
-            if (!pageButtonClicked) {
-                console.log(`  [WARN] Could not navigate to page ${p}, stopping collection`);
-                break;
-            }
-            await page.waitForSelector(config.selectors.planCards, { timeout: 15000 }).catch(() => { });
-            await sleep(1000);
+        // Navigate to page if not the first one - verified against the active page of the pagination
+        if (p > 1 && !(await goToResultsPage(page, p))) {
+            console.log(`  [WARN] Could not navigate to page ${p}, skipping it`);
+            missingPages.push({ page: p, reason: 'unreachable' });
+            continue;
         }
 
-        // Extract plan list from current page
-        const planList = await extractPlanList(page);
+        // Extract plan list from current page - ranked over all pages after the API merge,
+        // so plans only in the search payload get a rank too
+        const planList = rankPlans(await apiPlanList(page, zipcodeInfo, p, await extractPlanList(page)), p, plansPerPage, sortOrder);
         console.log(`  Found ${planList.length} plans`);
+        await saveSnapshot(page, zipcodeInfo, 'results', { pageNumber: p });
 
         // Add unique plans to our collection
         let newOnThisPage = 0;
@@ -464,13 +82,27 @@ async function extractAllPlans(page, zipcodeInfo) {
             break;
         }
 
-        // Stop if no new plans found (loop detected)
+        // A page with no new plans repeats an earlier one
         if (newOnThisPage === 0) {
-            console.log(`  [WARN] No new plans on page ${p}, stopping collection`);
-            break;
+            console.log(`  [WARN] No new plans on page ${p}, it repeats an earlier page`);
+            missingPages.push({ page: p, reason: 'repeated' });
         }
     }
 
+    const collection = {
+        totalPlans,
+        collectedPlans: planSummaries.length,
+        missingPages,
+        incomplete: planSummaries.length < totalPlans
+    };
+    if (collection.incomplete) {
+        console.log(`\n  [WARN] Incomplete results: collected ${planSummaries.length} of ${totalPlans} plans${missingPages.length > 0 ? ` (missing pages ${missingPages.map(m => m.page).join(', ')})` : ''}`);
+        if (options.skipDetailsIfIncomplete) return { plans: [], collection };
+    }
+
+    // Ranks of the plans under the other sort orders (--sort-orders)
+    await collectSortRanks(page, planSummaries, zipcodeInfo);
+
     console.log(`\n>>> Phase 1 complete: Collected ${planSummaries.length} unique plans\n`);
 
     // ============================================
@@ -484,6 +116,11 @@ async function extractAllPlans(page, zipcodeInfo) {
         const plan = planSummaries[i];
         const planId = plan.planId || 'N/A';
 
+        // Cards without a details link - build the URL from the plan ID and county
+        if (!plan.detailsUrl && plan.planId && zipcodeInfo.fips) {
+            plan.detailsUrl = buildPlanDetailsUrl(plan.planId, zipcodeInfo.zipcode, zipcodeInfo.fips, zipcodeInfo);
+        }
+
         console.log(`  [${i + 1}/${planSummaries.length}] ${plan.planName || 'Unknown'} (${planId})`);
 
         // Check if browser/page is still alive before proceeding
@@ -508,7 +145,9 @@ async function extractAllPlans(page, zipcodeInfo) {
                 await sleep(1000);
 
                 // Extract detailed information
-                const details = await extractPlanDetails(page);
+                const domDetails = await extractPlanDetails(page, { onSnapshot: detailsSnapshotHook(page, zipcodeInfo, plan.planId) });
+                const details = await apiPlanDetails(page, zipcodeInfo, plan.planId, domDetails);
+                await downloadPlanDocuments(page, { ...zipcodeInfo, ...plan }, details.documents);
                 const extractedFields = Object.keys(details).filter(k => details[k] && k !== 'error' && k !== 'pageUrl');
                 console.log(`     <- Extracted ${extractedFields.length} fields`);
 
@@ -556,7 +195,7 @@ async function extractAllPlans(page, zipcodeInfo) {
     const failedCount = allPlans.filter(p => p.error).length;
 
     console.log('\n' + '='.repeat(60));
-    console.log(`CRAWL COMPLETE: ${zipcodeInfo.zipcode}`);
+    console.log(`CRAWL COMPLETE: ${zipcodeInfo.zipcode} ${zipcodeInfo.fips || ''}`);
     console.log(`Plans: ${allPlans.length} | Unique IDs: ${processedPlanIds.size}`);
     console.log(`Success: ${successCount}/${allPlans.length} | Failed: ${failedCount}`);
     if (browserClosed) {
@@ -564,58 +203,7 @@ async function extractAllPlans(page, zipcodeInfo) {
     }
     console.log('='.repeat(60) + '\n');
 
-    return allPlans;
-}
-
-/**
- * Click on a specific page number in pagination
- * @param {import('playwright').Page} page - Playwright page object
- * @param {number} targetPage - Page number to click
- * @returns {Promise<boolean>} True if successful
- */
-async function clickPaginationButton(page, targetPage) {
-    try {
-        // Try to find and click pagination button with specific page number
-        const selectors = [
-            `button[aria-label*="Page ${targetPage}"]`,
-            `a[aria-label*="Page ${targetPage}"]`,
-            `.ds-c-pagination__item button:has-text("${targetPage}")`,
-            `[data-testid="pagination-page-${targetPage}"]`,
-            `.Pagination button:has-text("${targetPage}")`
-        ];
-
-        for (const selector of selectors) {
-            try {
-                const button = await page.$(selector);
-                if (button) {
-                    const isVisible = await button.isVisible();
-                    if (isVisible) {
-                        await button.click();
-                        await page.waitForLoadState('domcontentloaded', { timeout: config.timeouts.navigation });
-                        console.log(`  Clicked page ${targetPage} button`);
-                        return true;
-                    }
-                }
-            } catch {
-                continue;
-            }
-        }
-
-        // Fallback: try clicking "Next" button (targetPage - 1) times if we're on page 1
-        // This is less reliable so we only use it as fallback
-        const nextButton = await page.$('.ds-c-pagination__item--next button, button[aria-label*="next page"], button:has-text("Next")');
-        if (nextButton) {
-            await nextButton.click();
-            await page.waitForLoadState('domcontentloaded', { timeout: config.timeouts.navigation });
-            console.log(`  Clicked Next (fallback for page ${targetPage})`);
-            return true;
-        }
-
-        return false;
-    } catch (err) {
-        console.error(`  Error navigating to page ${targetPage}:`, err.message);
-        return false;
-    }
+    return { plans: allPlans, collection };
 }
 
 /**
@@ -654,9 +242,11 @@ function isBrowserClosedError(err) {
 /**
  * Create and configure the PlaywrightCrawler
  * @param {Array} zipcodesData - Array of zipcode objects to crawl
+ * @param {Object} options - Crawl options
+ * @param {boolean} options.direct - Open search results URLs directly when the county is known and the scenario allows it
  * @returns {PlaywrightCrawler} Configured crawler instance
  */
-export function createCrawler(zipcodesData) {
+export function createCrawler(zipcodesData, options = {}) {
     const allResults = [];
     const errors = [];
 
@@ -672,24 +262,86 @@ export function createCrawler(zipcodesData) {
             }
         },
 
-        async requestHandler({ page, request, log }) {
-            const zipcodeInfo = request.userData;
-            const { zipcode, state, city } = zipcodeInfo;
+        // Listen for the plan compare API before the first navigation (--api)
+        preNavigationHooks: [
+            async ({ page }) => attachApiCapture(page)
+        ],
 
-            log.info(`Processing zipcode: ${zipcode} (${city}, ${state})`);
+        async requestHandler({ page, request, log, crawler: self }) {
+            const { zipcode, state, city, planType, planYear, subsidy, drugList, providerList, fips } = request.userData;
+            const scenario = pickScenario(request.userData);
+
+            log.info(`Processing zipcode: ${zipcode} (${city}, ${state}) - ${describeScenario(scenario)}${fips ? ` county ${fips}` : ''}`);
 
             try {
-                // Navigate through the wizard
-                const wizardSuccess = await navigateWizard(page, zipcode);
+                let wizardResult = null;
+
+                // Direct mode - skip the wizard when the search results URL renders plan cards
+                if (options.direct && fips && supportsDirectUrl(scenario)) {
+                    if (await openDirectResults(page, buildSearchUrl(zipcode, fips, scenario))) {
+                        log.info(`Opened search results directly for ${zipcode} county ${fips}`);
+                        wizardResult = { counties: [], county: { fips, countyName: request.userData.countyName || null } };
+                    } else {
+                        log.info(`No plan cards on direct URL for ${zipcode} county ${fips}, falling back to wizard`);
+                        await page.goto(buildStartUrl(scenario), { waitUntil: 'domcontentloaded' });
+                    }
+                }
+
+                // Navigate through the wizard - throws a WizardError naming the screen it got stuck on
+                if (!wizardResult) {
+                    wizardResult = await navigateWizard(page, zipcode, scenario, fips);
+                }
 
-                if (!wizardSuccess) {
-                    throw new Error('Failed to navigate wizard');
+                // First visit of a multi-county zipcode - crawl the other counties as their own requests
+                if (!fips && wizardResult.counties.length > 1) {
+                    const otherCounties = wizardResult.counties.filter(c => c.fips && c.fips !== wizardResult.county.fips);
+                    log.info(`Zipcode ${zipcode} spans ${wizardResult.counties.length} counties, queueing ${otherCounties.length} more`);
+                    await self.addRequests(otherCounties.map(c => ({
+                        url: options.direct && supportsDirectUrl(scenario) ? buildSearchUrl(zipcode, c.fips, scenario) : buildStartUrl(scenario),
+                        uniqueKey: `zipcode-${scenarioKey(request.userData)}-${c.fips}`,
+                        userData: { ...request.userData, fips: c.fips }
+                    })));
                 }
 
-                // Extract all plans
-                const plans = await extractAllPlans(page, zipcodeInfo);
+                // Extract all plans - every record carries the county it was crawled for
+                const { incompleteAttempts: attempt = 0, ...requestInfo } = request.userData;
+                const zipcodeInfo = {
+                    ...requestInfo,
+                    countyName: wizardResult.county.countyName,
+                    fips: wizardResult.county.fips
+                };
+                const canRequeue = attempt < config.incompleteRequeues;
+                const { plans, collection } = await extractAllPlans(page, zipcodeInfo, { skipDetailsIfIncomplete: canRequeue });
+
+                // Fewer plans than the results total - visit the county again, or report it after the last visit
+                if (collection.incomplete && canRequeue) {
+                    log.warning(`Collected ${collection.collectedPlans} of ${collection.totalPlans} plans for zipcode ${zipcode}, requeueing (${attempt + 1}/${config.incompleteRequeues})`);
+                    await self.addRequests([{
+                        url: options.direct && zipcodeInfo.fips && supportsDirectUrl(scenario) ? buildSearchUrl(zipcode, zipcodeInfo.fips, scenario) : buildStartUrl(scenario),
+                        uniqueKey: `${request.uniqueKey.replace(/-incomplete-\d+$/, '')}-incomplete-${attempt + 1}`,
+                        userData: { ...request.userData, fips: zipcodeInfo.fips, incompleteAttempts: attempt + 1 }
+                    }]);
+                    await sleep(config.delays.betweenZipcodes);
+                    return;
+                }
+                if (collection.incomplete) {
+                    errors.push({
+                        zipcode,
+                        state,
+                        city,
+                        planType,
+                        planYear,
+                        subsidy,
+                        drugList,
+                        providerList,
+                        fips: zipcodeInfo.fips || null,
+                        error: `Incomplete results: collected ${collection.collectedPlans} of ${collection.totalPlans} plans`,
+                        ...collection,
+                        timestamp: new Date().toISOString()
+                    });
+                }
 
-                log.info(`Extracted ${plans.length} plans for zipcode ${zipcode}`);
+                log.info(`Extracted ${plans.length} ${describeScenario(scenario)} plans for zipcode ${zipcode}`);
 
                 // Store results
                 await Dataset.pushData(plans);
@@ -701,7 +353,14 @@ export function createCrawler(zipcodesData) {
                     zipcode,
                     state,
                     city,
+                    planType,
+                    planYear,
+                    subsidy,
+                    drugList,
+                    providerList,
+                    fips: fips || null,
                     error: err.message,
+                    wizardScreen: err.screen || null,
                     timestamp: new Date().toISOString()
                 });
             }
@@ -711,13 +370,19 @@ export function createCrawler(zipcodesData) {
         },
 
         async failedRequestHandler({ request, log }) {
-            const { zipcode, state, city } = request.userData;
-            log.error(`Request failed for zipcode ${zipcode} after retries`);
+            const { zipcode, state, city, planType, planYear, subsidy, drugList, providerList, fips } = request.userData;
+            log.error(`Request failed for zipcode ${zipcode} (${describeScenario(request.userData)}) after retries`);
 
             errors.push({
                 zipcode,
                 state,
                 city,
+                planType,
+                planYear,
+                subsidy,
+                drugList,
+                providerList,
+                fips: fips || null,
                 error: 'Max retries exceeded',
                 timestamp: new Date().toISOString()
             });
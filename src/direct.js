@@ -0,0 +1,103 @@
+/**
+ * Direct-URL mode - open the search results page without clicking through the wizard
+ * Zipcodes are resolved to county FIPS codes with a local crosswalk file
+ */
+
+import { readFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import { parse } from 'csv-parse/sync';
+import { config, sleep } from './config.js';
+import { fillUrlTemplate } from './scenarios.js';
+
+/**
+ * Load the zipcode -> county crosswalk
+ * Expected format (same delimiter as ZipCodes.csv, one row per zipcode and county, County is optional):
+ *   Zip Code;FIPS;County
+ *   63101;29510;St. Louis City
+ * ZipCountyCrosswalk.sample.csv covers a few zipcodes of ZipCodes.csv, see the README for the full data
+ * @param {string} filePath - Path to the crosswalk CSV
+ * @returns {Promise<Map<string, Array>>} zipcode -> [{ fips, countyName }]
+ * @throws {Error} When the file is missing or has no zipcode/FIPS rows - direct mode cannot run without it
+ */
+export async function loadCrosswalk(filePath = config.crosswalkFile) {
+    const crosswalk = new Map();
+
+    if (!existsSync(filePath)) {
+        throw new Error(`Crosswalk file not found: ${filePath} - --direct needs it (see ZipCountyCrosswalk.sample.csv)`);
+    }
+
+    const fileContent = await readFile(filePath, 'utf-8');
+    const records = parse(fileContent, {
+        delimiter: ';',
+        columns: true,
+        skip_empty_lines: true,
+        trim: true
+    });
+
+    for (const row of records) {
+        const zipcode = row['Zip Code'] || row.zipcode || row.ZipCode;
+        const fips = row.FIPS || row.fips || row['County FIPS'];
+        if (!zipcode || !fips) continue;
+
+        const counties = crosswalk.get(zipcode) || [];
+        const paddedFips = fips.padStart(5, '0');
+        if (!counties.some(c => c.fips === paddedFips)) {
+            counties.push({ fips: paddedFips, countyName: row.County || row.county || null });
+        }
+        crosswalk.set(zipcode, counties);
+    }
+
+    if (crosswalk.size === 0) {
+        throw new Error(`Crosswalk ${filePath} has no zipcode/FIPS rows - expected the columns Zip Code;FIPS;County`);
+    }
+
+    console.log(`Loaded crosswalk for ${crosswalk.size} zipcodes from ${filePath}`);
+    return crosswalk;
+}
+
+/**
+ * Build the search results URL for a zipcode, county and scenario
+ * @param {string} zipcode - Zipcode
+ * @param {string} fips - County FIPS code
+ * @param {Object} scenario - Plan type and plan year
+ * @returns {string} Search results URL
+ */
+export function buildSearchUrl(zipcode, fips, scenario) {
+    return fillUrlTemplate(config.searchUrlTemplate, scenario)
+        .replace('{zipcode}', zipcode)
+        .replace('{fips}', fips);
+}
+
+/**
+ * Build a plan details URL, for plan cards that have no details link
+ * @param {string} planId - Plan ID from the plan card
+ * @param {string} zipcode - Zipcode
+ * @param {string} fips - County FIPS code
+ * @param {Object} scenario - Plan type and plan year
+ * @returns {string} Plan details URL
+ */
+export function buildPlanDetailsUrl(planId, zipcode, fips, scenario) {
+    return fillUrlTemplate(config.planDetailsUrlTemplate, scenario)
+        .replace('{planId}', planId)
+        .replace('{zipcode}', zipcode)
+        .replace('{fips}', fips);
+}
+
+/**
+ * Open the search results URL and wait for plan cards
+ * @param {import('playwright').Page} page - Playwright page object
+ * @param {string} url - Search results URL from buildSearchUrl()
+ * @returns {Promise<boolean>} True if plan cards rendered, false if the wizard is needed
+ */
+export async function openDirectResults(page, url) {
+    try {
+        if (page.url() !== url) {
+            await page.goto(url, { waitUntil: 'domcontentloaded', timeout: config.timeouts.navigation });
+        }
+        await page.waitForSelector(config.selectors.planCards, { timeout: config.timeouts.directResults });
+        await sleep(config.delays.afterPageLoad);
+        return true;
+    } catch {
+        return false;
+    }
+}
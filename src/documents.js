@@ -0,0 +1,183 @@
+/**
+ * Plan documents - Evidence of Coverage, Summary of Benefits, formulary, provider and pharmacy directories
+ * Classifies the document links of a plan details page and, with --documents, downloads the PDFs
+ *
+ * Layout (under config.outputDir):
+ *   documents/<planYear>/<planId>/<type>-<language>.pdf
+ */
+
+import { writeFile, mkdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import { dirname } from 'path';
+import { config } from './config.js';
+
+const DOCUMENT_DIR = 'documents';
+
+// Document types - checked in order, the combined directory before its parts
+const DOCUMENT_TYPES = [
+    { type: 'evidence_of_coverage', pattern: /evidence of coverage|\bEOC\b/i },
+    { type: 'summary_of_benefits', pattern: /summary of benefits|\bSB\b/i },
+    { type: 'annual_notice_of_change', pattern: /annual notice of change|\bANOC\b/i },
+    { type: 'formulary', pattern: /formulary|drug list|list of covered drugs/i },
+    { type: 'provider_pharmacy_directory', pattern: /provider\s*(?:\/|and|&)\s*pharmacy directory/i },
+    { type: 'provider_directory', pattern: /provider directory|find a (?:doctor|provider)|provider search/i },
+    { type: 'pharmacy_directory', pattern: /pharmacy directory|find a pharmacy|pharmacy search/i }
+];
+
+// Language names as they appear in link text, by language code
+const LANGUAGES = [
+    { language: 'es', pattern: /spanish|español|espanol/i },
+    { language: 'zh', pattern: /chinese|中文/i },
+    { language: 'vi', pattern: /vietnamese|tiếng việt/i },
+    { language: 'ko', pattern: /korean|한국어/i },
+    { language: 'tl', pattern: /tagalog/i },
+    { language: 'ru', pattern: /russian|русский/i },
+    { language: 'ar', pattern: /arabic|العربية/i },
+    { language: 'ht', pattern: /haitian|kreyòl/i },
+    { language: 'fr', pattern: /french|français/i },
+    { language: 'pt', pattern: /portuguese|português/i },
+    { language: 'pl', pattern: /polish|polski/i },
+    { language: 'ja', pattern: /japanese|日本語/i },
+    { language: 'de', pattern: /german|deutsch/i },
+    { language: 'it', pattern: /italian|italiano/i }
+];
+
+// Set by enableDocumentDownloads() - PDFs are only downloaded when --documents is given
+let documentRoot = null;
+
+// Downloads running right now, by file path - parallel workers wait for the same document instead of
+// fetching it twice, and only point at the file once it was saved
+const inFlight = new Map();
+
+/**
+ * Language code of a document link
+ * The hreflang/lang attribute wins, then a language named in the text; the site defaults to English
+ * @param {Object} link - { text, href, hreflang, lang }
+ * @returns {string} Language code
+ */
+export function documentLanguage(link) {
+    const attribute = link.hreflang || link.lang;
+    if (attribute) return attribute.toLowerCase().split('-')[0];
+
+    const found = LANGUAGES.find(l => l.pattern.test(link.text || ''));
+    return found ? found.language : 'en';
+}
+
+/**
+ * Classify one link of the details page
+ * @param {Object} link - { text, href, hreflang, lang }
+ * @returns {Object|null} { type, language, label, url, format }, null for links that are not plan documents
+ */
+export function classifyDocumentLink(link) {
+    if (!link || !link.href) return null;
+
+    const found = DOCUMENT_TYPES.find(t => t.pattern.test(link.text || ''));
+    if (!found) return null;
+
+    const path = link.href.split(/[?#]/)[0];
+    return {
+        type: found.type,
+        language: documentLanguage(link),
+        label: (link.text || '').replace(/\s+/g, ' ').trim(),
+        url: link.href,
+        format: /\.pdf$/i.test(path) ? 'pdf' : null
+    };
+}
+
+/**
+ * Plan documents among the links of a details page, one per URL
+ * @param {Array<Object>} links - { text, href, hreflang, lang } from extractPlanDetails
+ * @returns {Array<Object>} Classified documents
+ */
+export function collectDocuments(links) {
+    const documents = [];
+    const seen = new Set();
+    for (const link of links || []) {
+        const doc = classifyDocumentLink(link);
+        if (!doc || seen.has(doc.url)) continue;
+        seen.add(doc.url);
+        documents.push(doc);
+    }
+    return documents;
+}
+
+/**
+ * Turn on PDF downloads for this run
+ * @param {string} outputDir - Crawl output directory
+ */
+export function enableDocumentDownloads(outputDir = config.outputDir) {
+    documentRoot = `${outputDir}/${DOCUMENT_DIR}`;
+    console.log(`Downloading plan documents to ${documentRoot}`);
+}
+
+/**
+ * Make a value safe to use in a file name
+ */
+function safeName(value) {
+    return String(value).replace(/[^A-Za-z0-9_-]+/g, '_');
+}
+
+/**
+ * Fetch one document and save it when it is a PDF
+ * @returns {Promise<boolean>} True if the file was saved
+ */
+async function fetchDocument(page, plan, doc, filePath) {
+    try {
+        const response = await page.context().request.get(doc.url, { timeout: config.timeouts.navigation });
+        const contentType = response.headers()['content-type'] || '';
+        if (!response.ok() || !contentType.includes('pdf')) return false;
+
+        await mkdir(dirname(filePath), { recursive: true });
+        await writeFile(filePath, await response.body());
+        return true;
+    } catch (err) {
+        console.warn(`  [Documents] Could not download ${doc.type} for ${plan.planId}: ${err.message}`);
+        return false;
+    }
+}
+
+/**
+ * Download the PDF documents of a plan with the page's browser session
+ * Plans repeat across zipcodes, so files already on disk are not fetched again.
+ * Non-PDF links (directory search pages) are skipped; failures are logged and never interrupt the crawl
+ * @param {import('playwright').Page} page - Playwright page object
+ * @param {Object} plan - { planId, planYear }
+ * @param {Array<Object>} documents - details.documents, each gets file set to its path under documents/
+ * @returns {Promise<number>} Number of documents saved or already on disk
+ */
+export async function downloadPlanDocuments(page, plan, documents) {
+    if (!documentRoot || !plan.planId || !documents || documents.length === 0) return 0;
+
+    const dir = `${safeName(plan.planYear || 'unknown')}/${safeName(plan.planId)}`;
+    const used = new Set();
+    let saved = 0;
+
+    for (const doc of documents) {
+        // Two documents of the same type and language get numbered file names
+        let name = `${doc.type}-${safeName(doc.language)}`;
+        for (let n = 2; used.has(name); n++) name = `${doc.type}-${safeName(doc.language)}-${n}`;
+        used.add(name);
+
+        const file = `${dir}/${name}.pdf`;
+        const filePath = `${documentRoot}/${file}`;
+        let download = inFlight.get(filePath);
+        if (!download && existsSync(filePath)) {
+            doc.file = file;
+            saved++;
+            continue;
+        }
+
+        if (!download) {
+            download = fetchDocument(page, plan, doc, filePath).finally(() => inFlight.delete(filePath));
+            inFlight.set(filePath, download);
+        }
+        if (await download) {
+            doc.file = file;
+            saved++;
+        } else {
+            doc.file = null;
+        }
+    }
+
+    return saved;
+}
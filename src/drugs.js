@@ -0,0 +1,179 @@
+/**
+ * Drug-list scenarios - enter a list of drugs in the wizard so plans show estimated drug costs
+ * A drug list is a CSV file; its file name (without extension) names the scenario
+ */
+
+import { readFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import { basename, extname, resolve } from 'path';
+import { parse } from 'csv-parse/sync';
+import { config, sleep } from './config.js';
+import { clickVisible, selectOptionByText } from './pageUtils.js';
+
+// Drug lists loaded for this run, by name
+const drugLists = new Map();
+
+// Resolved path of each loaded drug list, by name - two files may not share a name
+const drugListPaths = new Map();
+
+/**
+ * Load a drug list file
+ * The file name (without extension) names the list, and must differ between the files of a run
+ * Expected format (same delimiter as ZipCodes.csv, one row per drug):
+ *   Drug;Dosage;Quantity;Frequency
+ *   Metformin;500 mg tablet;60;Every month
+ * @param {string} filePath - Path to the drug list CSV
+ * @returns {Promise<Object>} { name, drugs: [{ name, dosage, quantity, frequency }] }
+ * @throws {Error} When the file is missing, has no drugs, or its name is taken by another file
+ */
+export async function loadDrugList(filePath) {
+    if (!existsSync(filePath)) {
+        throw new Error(`Drug list file not found: ${filePath}`);
+    }
+
+    // The name keys the scenario in the state, output and CSV files
+    const name = basename(filePath, extname(filePath));
+    const fullPath = resolve(filePath);
+    if (name.toLowerCase() === 'none') {
+        throw new Error(`Drug list ${filePath} is named "none", which stands for the scenario without drugs - rename the file`);
+    }
+    if (drugListPaths.has(name) && drugListPaths.get(name) !== fullPath) {
+        throw new Error(`Drug lists ${drugListPaths.get(name)} and ${fullPath} are both named "${name}" - rename one of the files`);
+    }
+
+    const fileContent = await readFile(filePath, 'utf-8');
+    const records = parse(fileContent, {
+        delimiter: ';',
+        columns: true,
+        skip_empty_lines: true,
+        trim: true
+    });
+
+    const drugs = records.map(row => ({
+        name: row.Drug || row.drug || row.Name || row.name,
+        dosage: row.Dosage || row.dosage || null,
+        quantity: row.Quantity || row.quantity || null,
+        frequency: row.Frequency || row.frequency || null
+    })).filter(d => d.name);
+
+    if (drugs.length === 0) {
+        throw new Error(`Drug list ${filePath} has no drugs`);
+    }
+
+    drugLists.set(name, drugs);
+    drugListPaths.set(name, fullPath);
+    console.log(`Loaded drug list "${name}" with ${drugs.length} drugs from ${filePath}`);
+
+    return { name, drugs };
+}
+
+/**
+ * Load the drug lists given with --drugs
+ * "none" stands for the scenario without drugs
+ * @param {Array<string>} filePaths - Drug list paths (or "none")
+ * @returns {Promise<Array<string>>} Drug list names, for buildScenarios()
+ */
+export async function loadDrugLists(filePaths) {
+    const names = [];
+    for (const filePath of filePaths) {
+        if (filePath.toLowerCase() === 'none') {
+            names.push('none');
+        } else {
+            const { name } = await loadDrugList(filePath);
+            names.push(name);
+        }
+    }
+    return [...new Set(names)];
+}
+
+/**
+ * Drugs of a loaded drug list
+ * @param {string} name - Drug list name
+ * @returns {Array<Object>} Drugs
+ */
+export function getDrugList(name) {
+    const drugs = drugLists.get(name);
+    if (!drugs) {
+        throw new Error(`Drug list "${name}" is not loaded - pass it again with --drugs`);
+    }
+    return drugs;
+}
+
+/**
+ * Search for one drug and add it with its dosage, quantity and frequency
+ */
+async function addDrug(page, drug) {
+    const selectors = config.drugSelectors;
+
+    const input = await page.waitForSelector(selectors.searchInput, { timeout: config.timeouts.element });
+    await input.click({ clickCount: 3 });
+    await input.fill('');
+    await input.type(drug.name, { delay: 80 });
+
+    // Pick the typeahead suggestion for the drug name - another drug would estimate the wrong costs
+    await page.waitForSelector(selectors.suggestion, { timeout: config.timeouts.element }).catch(() => {});
+    const suggestions = await page.$$(selectors.suggestion);
+    let suggestion = null;
+    for (const option of suggestions) {
+        const text = ((await option.textContent()) || '').trim().toLowerCase();
+        if (text.startsWith(drug.name.toLowerCase())) {
+            suggestion = option;
+            break;
+        }
+    }
+    if (!suggestion) {
+        throw new Error(`Drug "${drug.name}" not found in the drug search`);
+    }
+    await suggestion.click();
+    await sleep(config.delays.betweenActions);
+
+    if (!await clickVisible(page, selectors.addDrugButton)) {
+        throw new Error(`No Add drug button for ${drug.name}`);
+    }
+    await sleep(config.delays.afterPageLoad);
+
+    // Dosage form - unknown dosages or frequencies fail the scenario rather than guess
+    if (drug.dosage && !await selectOptionByText(page, selectors.dosageSelect, drug.dosage)) {
+        throw new Error(`Dosage "${drug.dosage}" is not offered for ${drug.name}`);
+    }
+    if (drug.quantity) {
+        const quantityInput = await page.$(selectors.quantityInput);
+        if (quantityInput) {
+            await quantityInput.fill(String(drug.quantity));
+        }
+    }
+    if (drug.frequency && !await selectOptionByText(page, selectors.frequencySelect, drug.frequency)) {
+        throw new Error(`Frequency "${drug.frequency}" is not offered for ${drug.name}`);
+    }
+
+    await sleep(config.delays.betweenActions);
+    if (!await clickVisible(page, selectors.confirmDrugButton)) {
+        throw new Error(`Could not add ${drug.name} to the drug list`);
+    }
+    await sleep(config.delays.afterPageLoad);
+}
+
+/**
+ * Enter every drug of a drug list on the wizard's drug search page, then leave the drug and pharmacy steps
+ * @param {import('playwright').Page} page - Playwright page object
+ * @param {string} drugListName - Name of a loaded drug list
+ * @returns {Promise<number>} Number of drugs added
+ */
+export async function enterDrugs(page, drugListName) {
+    const drugs = getDrugList(drugListName);
+
+    for (const drug of drugs) {
+        await addDrug(page, drug);
+        console.log(`  Added drug: ${drug.name}${drug.dosage ? ` ${drug.dosage}` : ''}`);
+    }
+
+    await clickVisible(page, config.drugSelectors.doneButton);
+    await sleep(config.delays.afterPageLoad);
+
+    // Pharmacy step - costs are estimated for the plan's preferred retail pharmacies
+    if (await clickVisible(page, config.drugSelectors.skipPharmacy)) {
+        await sleep(config.delays.afterPageLoad);
+    }
+
+    return drugs.length;
+}
@@ -6,6 +6,14 @@ import { writeFile, mkdir } from 'fs/promises';
 import { existsSync } from 'fs';
 import { stringify } from 'csv-stringify/sync';
 import { config } from './config.js';
+import { benefitCostRows } from './normalize.js';
+
+// Long-format tables for comparing plans, by longFormatRows() table
+export const LONG_FORMAT_FILES = {
+    benefits: 'medicare_benefits.csv',  // One row per plan, service and network
+    drugTiers: 'medicare_drug_tiers.csv',  // One row per plan, pharmacy, tier and phase
+    allowances: 'medicare_allowances.csv'  // One row per plan and supplemental benefit allowance
+};
 
 /**
  * Ensure the output directory exists
@@ -90,6 +98,107 @@ export async function exportToCSV(data, filename = 'medicare_plans.csv') {
     return filepath;
 }
 
+/**
+ * Columns identifying a plan record in the long-format tables
+ */
+function longFormatKey(plan) {
+    return {
+        zipcode: plan.zipcode,
+        fips: plan.fips || '',
+        plan_type: plan.planType,
+        plan_year: plan.planYear,
+        subsidy: plan.subsidy,
+        drug_list: plan.drugList,
+        provider_list: plan.providerList,
+        plan_id: plan.planId || ''
+    };
+}
+
+/**
+ * Rows of the long-format tables - parsed benefitsCosts lines, drug tier cells and allowances of every detailed plan
+ * main.js, parallel.js and reextract.js all build their tables here
+ * @param {Array<Object>} plans - Plan records with their zipcode, scenario, fips and details
+ * @returns {Object} { benefits, drugTiers, allowances } - flat rows with snake_case columns
+ */
+export function longFormatRows(plans) {
+    const tables = { benefits: [], drugTiers: [], allowances: [] };
+
+    for (const plan of plans) {
+        const key = longFormatKey(plan);
+        const details = plan.details || {};
+
+        for (const row of benefitCostRows(details.benefitsCosts)) {
+            tables.benefits.push({
+                ...key,
+                section: row.section,
+                service: row.service,
+                network: row.network,
+                copay: row.copay,
+                copay_max: row.copayMax,
+                coinsurance: row.coinsurance,
+                coinsurance_max: row.coinsuranceMax,
+                deductible: row.deductible,
+                max_cost: row.maxCost,
+                per: row.per,
+                day_from: row.dayFrom,
+                day_to: row.dayTo,
+                cost_text: row.costText,
+                prior_authorization: row.priorAuthorization,
+                referral_required: row.referralRequired,
+                step_therapy: row.stepTherapy,
+                quantity_limit: row.quantityLimit
+            });
+        }
+        for (const cell of (details.drugCoverage && details.drugCoverage.tierMatrix) || []) {
+            tables.drugTiers.push({
+                ...key,
+                pharmacy_key: cell.pharmacyKey,
+                pharmacy_label: cell.pharmacyLabel,
+                pharmacy_type: cell.pharmacyType,
+                days_supply: cell.daysSupply,
+                tier_number: cell.tierNumber,
+                tier_name: cell.tierName,
+                phase: cell.phase,
+                copay: cell.copay,
+                coinsurance: cell.coinsurance,
+                cost_text: cell.text
+            });
+        }
+        for (const [benefitKey, allowance] of Object.entries(details.allowances || {})) {
+            tables.allowances.push({
+                ...key,
+                benefit_key: benefitKey,
+                section: allowance.section,
+                benefit: allowance.benefit,
+                amount: allowance.amount,
+                count: allowance.count,
+                count_unit: allowance.countUnit,
+                period: allowance.period,
+                period_months: allowance.periodMonths,
+                annual_amount: allowance.annualAmount,
+                annual_count: allowance.annualCount
+            });
+        }
+    }
+
+    return tables;
+}
+
+/**
+ * Export the long-format tables of a run - tables without rows are skipped
+ * @param {Array<Object>} plans - Plan records, see longFormatRows()
+ * @param {string} suffix - Added to the file names, so a re-extract does not overwrite the crawl's tables
+ * @returns {Promise<Array<string>>} Paths of the written files
+ */
+export async function exportLongFormatTables(plans, suffix = '') {
+    const paths = [];
+    for (const [table, rows] of Object.entries(longFormatRows(plans))) {
+        if (rows.length === 0) continue;
+        paths.push(await exportToCSV(rows, LONG_FORMAT_FILES[table].replace(/\.csv$/, `${suffix}.csv`)));
+    }
+    return paths;
+}
+
 /**
  * Export error log for failed zipcodes
  * @param {Array} errors - Array of error objects
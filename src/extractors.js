@@ -3,13 +3,18 @@
  * Updated based on actual HTML structure from medicare.gov
  */
 
-import { config } from './config.js';
+import { config, sleep } from './config.js';
+import { normalizePlanCosts, normalizeDetailCosts, normalizeBenefitsCosts, normalizeExtraBenefits, summarizeAllowances, summarizeLimitFlags, buildDrugTierMatrix } from './normalize.js';
+import { collectDocuments } from './documents.js';
+import { describePlan, classifySnp } from './identifiers.js';
+import { TAXONOMY_VERSION, canonicalizeCardBenefits, canonicalizeSections } from './taxonomy.js';
+import { clickVisible } from './pageUtils.js';
 
 /**
  * Extract all plan cards from the listing page
  * Based on actual HTML structure with PlanCard components
  * @param {import('playwright').Page} page - Playwright page object
- * @returns {Promise<Array>} Array of plan summary objects
+ * @returns {Promise<Array>} Array of plan summary objects - costs holds the parsed cost fields (normalize.js)
  */
 export async function extractPlanList(page) {
     const plans = [];
@@ -61,6 +66,10 @@ export async function extractPlanList(page) {
                     const yearlyEl = yearlySection ? yearlySection.querySelector('.mct-c-benefit') : null;
                     const yearlyCost = yearlyEl ? yearlyEl.textContent.trim() : null;
 
+                    // With a drug list the label reads "Estimated total drug + premium cost"
+                    const yearlyLabel = yearlySection ? yearlySection.querySelector('.Tooltip__trigger, button') : null;
+                    const yearlyCostIncludesDrugs = yearlyLabel ? yearlyLabel.textContent.toLowerCase().includes('drug') : false;
+
                     // Other costs (deductibles)
                     const otherCostsSection = card.querySelector('[data-testid="otherCosts"]');
                     let healthDeductible = null;
@@ -123,9 +132,38 @@ export async function extractPlanList(page) {
                     // Has drug coverage
                     const drugsSection = card.querySelector('[data-testid="drugs"]');
                     let hasDrugCoverage = true;
+                    let drugsCovered = null;
+                    const drugs = [];
                     if (drugsSection) {
+                        // Drugs entered in the wizard - "2 of 3 drugs covered" plus one item per drug
+                        const coveredMatch = drugsSection.textContent.match(/(\d+)\s+of\s+(\d+)\s+drugs?\s+covered/i);
+                        drugsCovered = coveredMatch ? `${coveredMatch[1]} of ${coveredMatch[2]}` : null;
+                        drugsSection.querySelectorAll('li').forEach(item => {
+                            drugs.push({
+                                drug: item.textContent.replace(/is (not )?covered/gi, '').trim(),
+                                covered: !item.querySelector('[data-testid="xIcon"]')
+                            });
+                        });
+
                         const noDrugIcon = drugsSection.querySelector('[data-testid="xIcon"]');
-                        if (noDrugIcon) hasDrugCoverage = false;
+                        if (noDrugIcon && drugs.length === 0) hasDrugCoverage = false;
+                    }
+
+                    // Providers added in the wizard - "1 of 2 providers in network" plus one item per provider
+                    const providersSection = card.querySelector('[data-testid="providers"], [data-testid="doctors"]');
+                    let providersInNetwork = null;
+                    const providers = [];
+                    if (providersSection) {
+                        const networkMatch = providersSection.textContent.match(/(\d+)\s+of\s+(\d+)\s+(?:providers?|doctors?)[^.]*?in[- ]network/i);
+                        providersInNetwork = networkMatch ? `${networkMatch[1]} of ${networkMatch[2]}` : null;
+                        providersSection.querySelectorAll('li').forEach(item => {
+                            const text = item.textContent;
+                            const outOfNetwork = /out[- ]of[- ]network|not in[- ]network/i.test(text);
+                            providers.push({
+                                provider: text.replace(/is (in|out[- ]of)[- ]network|not in[- ]network|in[- ]network/gi, '').trim(),
+                                inNetwork: !outOfNetwork && (!!item.querySelector('[data-testid="checkmarkIcon"]') || /in[- ]network/i.test(text))
+                            });
+                        });
                     }
 
                     results.push({
@@ -135,6 +173,7 @@ export async function extractPlanList(page) {
                         starRating,
                         monthlyPremium,
                         yearlyCost,
+                        yearlyCostIncludesDrugs,
                         healthDeductible,
                         drugDeductible,
                         maxOutOfPocket,
@@ -142,6 +181,10 @@ export async function extractPlanList(page) {
                         primaryDoctorCopay,
                         specialistCopay,
                         hasDrugCoverage,
+                        drugsCovered,
+                        drugs,
+                        providersInNetwork,
+                        providers,
                         detailsUrl,
                         cardIndex: index
                     });
@@ -153,6 +196,13 @@ export async function extractPlanList(page) {
             return results;
         });
 
+        // Canonical benefit keys, numeric costs next to the display strings, Plan ID parts and SNP type
+        for (const plan of extractedPlans) {
+            plan.benefits = canonicalizeCardBenefits(plan.benefits, plan.planName);
+            plan.costs = normalizePlanCosts(plan);
+            Object.assign(plan, describePlan(plan.planId, plan.planName));
+        }
+
         plans.push(...extractedPlans);
         console.log(`Extracted ${plans.length} plans from page`);
 
@@ -167,13 +217,22 @@ export async function extractPlanList(page) {
  * Extract detailed plan information from the plan details page
  * Based on actual HTML structure with sections: Overview, Benefits, Drug Coverage, etc.
  * @param {import('playwright').Page} page - Playwright page object
- * @returns {Promise<Object>} Plan details object
+ * @param {Object} options - Extraction options
+ * @param {Function} options.onSnapshot - Called as ('details') once the page renders and as
+ *   ('pharmacy', { pharmacyKey, pharmacyLabel }) after each pharmacy option, see snapshots.js
+ * @param {boolean} options.interactive - False for offline snapshots: skip the pharmacy dropdown
+ * @returns {Promise<Object>} Plan details object - costs holds the parsed cost maps (normalize.js)
  */
-export async function extractPlanDetails(page) {
+export async function extractPlanDetails(page, options = {}) {
+    const { onSnapshot = null, interactive = true } = options;
+
     try {
         // Wait for the details page to load - use faster selector wait
         await page.waitForSelector('.PlanDetailsPagePlanInfo, .e2e-plan-details-page', { timeout: 15000 });
 
+        // Snapshot before the pharmacy dropdown changes the drug tables
+        if (onSnapshot) await onSnapshot('details');
+
         const details = await page.evaluate(() => {
             // Helper functions
             const getText = (selector, context = document) => {
@@ -467,6 +526,60 @@ export async function extractPlanDetails(page) {
                         });
                     }
                 });
+
+                // Drugs entered in the wizard - coverage, tier, restrictions and estimated cost per drug
+                // Columns are matched by header text since their order differs between plan types
+                allDrugTables.forEach(table => {
+                    const caption = table.querySelector('caption');
+                    const captionText = caption ? caption.textContent.trim().toLowerCase() : '';
+                    if (!captionText.includes('your drugs') && !captionText.includes('drugs you')) return;
+
+                    const headers = Array.from(table.querySelectorAll('thead th')).map(h => h.textContent.trim().toLowerCase());
+                    drugCoverage.yourDrugs = [];
+                    table.querySelectorAll('tbody tr').forEach(row => {
+                        const thEl = row.querySelector('th');
+                        if (!thEl) return;
+
+                        const drug = { drug: getHeaderLabel(thEl), covered: null, tier: null, restrictions: [], restrictionsText: null, estimatedCost: null };
+                        row.querySelectorAll('td').forEach((td, i) => {
+                            const header = headers[i + 1] || '';
+                            const value = getTextWithLineBreaks(td);
+                            if (header.includes('tier')) {
+                                drug.tier = value;
+                            } else if (header.includes('cost')) {
+                                drug.estimatedCost = value;
+                            } else if (header.includes('restriction') || header.includes('limit')) {
+                                drug.restrictionsText = value;
+                            } else if (header.includes('cover')) {
+                                drug.covered = value ? !/not covered/i.test(value) : null;
+                            }
+                        });
+
+                        const rowText = row.textContent.toLowerCase();
+                        if (drug.covered === null) drug.covered = !rowText.includes('not covered');
+                        if (rowText.includes('prior authorization')) drug.restrictions.push('prior authorization');
+                        if (rowText.includes('quantity limit')) drug.restrictions.push('quantity limit');
+                        if (rowText.includes('step therapy')) drug.restrictions.push('step therapy');
+
+                        drugCoverage.yourDrugs.push(drug);
+                    });
+                });
+
+                // Estimated drug costs for the drug list ("Estimated total drug costs" table)
+                allDrugTables.forEach(table => {
+                    const caption = table.querySelector('caption');
+                    if (!caption || !caption.textContent.toLowerCase().includes('estimated')) return;
+
+                    drugCoverage.estimatedCosts = {};
+                    table.querySelectorAll('tbody tr').forEach(row => {
+                        const thEl = row.querySelector('th');
+                        const tdEl = row.querySelector('td');
+                        if (thEl && tdEl) {
+                            const key = getHeaderLabel(thEl).toLowerCase().replace(/[?']/g, '').replace(/\s+/g, '_');
+                            drugCoverage.estimatedCosts[key] = getTextWithLineBreaks(tdEl);
+                        }
+                    });
+                });
             }
 
             // Extra Benefits section
@@ -499,12 +612,144 @@ export async function extractPlanDetails(page) {
                 });
             }
 
+            // Providers added in the wizard - in or out of network for this plan
+            const providerNetwork = [];
+            const providerSection = document.querySelector('#providers, #doctors-and-providers, [data-testid="plan-details-providers"]');
+            if (providerSection) {
+                providerSection.querySelectorAll('tbody tr, li').forEach(item => {
+                    const nameEl = item.querySelector('th, h3, h4, .mct-c-provider__name');
+                    const text = item.textContent;
+                    const outOfNetwork = /out[- ]of[- ]network|not in[- ]network/i.test(text);
+                    const inNetwork = !outOfNetwork && /in[- ]network/i.test(text);
+                    if (!nameEl || (!inNetwork && !outOfNetwork)) return;
+
+                    providerNetwork.push({
+                        provider: nameEl.tagName === 'TH' ? getHeaderLabel(nameEl) : nameEl.textContent.trim(),
+                        inNetwork,
+                        status: inNetwork ? 'in-network' : 'out-of-network'
+                    });
+                });
+            }
+
             // Star Ratings section
+            // Summary ratings follow their headings (overall, health plan, drug plan); each domain is a
+            // collapsible with its own rating and a table of measures. Unrated items show a note instead
             let starRatings = {};
             const starSection = document.querySelector('#star-ratings');
             if (starSection) {
                 const overallRating = starSection.querySelector('.e2e-star-rating');
                 starRatings.overall = overallRating ? overallRating.getAttribute('data-stars') : null;
+
+                const NOTE_PATTERN = /[^.\n]*(too new|new plan|not enough data|no data|not available|not rated|not measured)[^.\n]*/i;
+
+                // Stars from data-stars or an "N out of 5 stars" label
+                const readStars = (element) => {
+                    if (!element) return null;
+                    const starEl = element.matches('[data-stars]') ? element : element.querySelector('[data-stars]');
+                    if (starEl) {
+                        const stars = parseFloat(starEl.getAttribute('data-stars'));
+                        if (!isNaN(stars)) return stars;
+                    }
+                    const labelled = element.querySelector('[aria-label*="out of 5"]');
+                    const label = labelled ? labelled.getAttribute('aria-label') : element.textContent;
+                    const match = label.match(/(\d(?:\.\d)?)\s*out of\s*5/i);
+                    return match ? parseFloat(match[1]) : null;
+                };
+
+                const readNote = (element) => {
+                    if (!element) return null;
+                    const match = element.textContent.replace(/\s+/g, ' ').match(NOTE_PATTERN);
+                    return match ? match[0].trim() : null;
+                };
+
+                // Elements between a heading and the next heading
+                const afterHeading = (heading) => {
+                    const elements = [];
+                    let next = heading.nextElementSibling;
+                    while (next && !/^H[1-6]$/.test(next.tagName)) {
+                        elements.push(next);
+                        next = next.nextElementSibling;
+                    }
+                    return elements;
+                };
+
+                const summaries = [];
+                starSection.querySelectorAll('h2, h3, h4').forEach(heading => {
+                    const title = heading.textContent.trim().toLowerCase();
+                    const part = title.includes('overall') ? 'overall'
+                        : title.includes('health plan') ? 'healthPlan'
+                            : title.includes('drug plan') ? 'drugPlan' : null;
+                    if (!part) return;
+
+                    // Only the rating right below the heading, not the domains that follow it
+                    const following = afterHeading(heading).filter(el => !el.matches('.mct-c-collapsible, .ds-c-accordion__item, details, table'));
+                    const rating = following.map(readStars).find(stars => stars !== null);
+                    const note = following.map(readNote).find(text => text !== null);
+                    summaries.push({ part, heading });
+                    if (part === 'overall') {
+                        // overall stays the data-stars string it has always been
+                        if (starRatings.overall === null && rating !== undefined) starRatings.overall = String(rating);
+                        starRatings.overallNote = note === undefined ? null : note;
+                    } else {
+                        starRatings[part] = { rating: rating === undefined ? null : rating, note: note === undefined ? null : note };
+                    }
+                });
+
+                // Health or drug part of a domain - the last summary heading before it
+                const partOf = (element) => {
+                    let part = null;
+                    for (const summary of summaries) {
+                        if (summary.part !== 'overall' &&
+                            summary.heading.compareDocumentPosition(element) & Node.DOCUMENT_POSITION_FOLLOWING) {
+                            part = summary.part;
+                        }
+                    }
+                    return part;
+                };
+
+                const readMeasures = (container) => {
+                    const measures = [];
+                    container.querySelectorAll('tbody tr').forEach(row => {
+                        const cells = row.querySelectorAll('th, td');
+                        if (cells.length < 2) return;
+                        const valueCell = cells[cells.length - 1];
+                        const rating = readStars(valueCell);
+                        const note = readNote(valueCell);
+                        // Some measures show a data value ("85%") instead of stars
+                        const value = valueCell.textContent.trim();
+                        measures.push({
+                            name: cells[0].textContent.trim(),
+                            rating,
+                            note,
+                            value: rating === null && note === null && value ? value : null
+                        });
+                    });
+                    return measures;
+                };
+
+                starRatings.domains = [];
+                starSection.querySelectorAll('.mct-c-collapsible, .ds-c-accordion__item, details').forEach(domain => {
+                    const trigger = domain.querySelector('.mct-c-collapsible__trigger, .ds-c-accordion__button, summary');
+                    const label = domain.querySelector('.mct-c-collapsible__trigger-label') || trigger;
+                    // The note sits next to the domain name in the trigger
+                    const triggerRest = trigger ? trigger.cloneNode(true) : null;
+                    if (triggerRest) triggerRest.querySelectorAll('.mct-c-collapsible__trigger-label').forEach(el => el.remove());
+                    starRatings.domains.push({
+                        part: partOf(domain),
+                        name: label ? label.textContent.trim() : null,
+                        rating: readStars(trigger),
+                        note: readNote(triggerRest),
+                        measures: readMeasures(domain)
+                    });
+                });
+
+                // Section-wide notes, e.g. the whole plan being too new to be rated
+                starRatings.notes = [];
+                starSection.querySelectorAll('p, .ds-c-alert').forEach(el => {
+                    if (el.closest('.mct-c-collapsible, .ds-c-accordion__item, details, table')) return;
+                    const note = readNote(el);
+                    if (note && !starRatings.notes.includes(note)) starRatings.notes.push(note);
+                });
             }
 
             return {
@@ -538,6 +783,9 @@ export async function extractPlanDetails(page) {
                 // Extra Benefits
                 extraBenefits,
 
+                // Provider network status
+                providerNetwork,
+
                 // Ratings
                 starRatings,
 
@@ -548,12 +796,14 @@ export async function extractPlanDetails(page) {
 
         // Handle Drug Coverage dropdown - need to interact with page for each option
         // Wrap in timeout to prevent blocking (max 60 seconds for all dropdown options)
+        // The timer is cleared afterwards so it does not keep the process alive
+        let dropdownTimer = null;
         try {
             const drugCoverageWithOptions = await Promise.race([
-                extractDrugCoverageWithDropdown(page),
-                new Promise((_, reject) =>
-                    setTimeout(() => reject(new Error('Drug coverage extraction timeout')), 60000)
-                )
+                extractDrugCoverageWithDropdown(page, { onSnapshot, interactive }),
+                new Promise((_, reject) => {
+                    dropdownTimer = setTimeout(() => reject(new Error('Drug coverage extraction timeout')), 60000);
+                })
             ]);
             if (drugCoverageWithOptions) {
                 // MERGE with existing drugCoverage instead of replacing
@@ -566,6 +816,33 @@ export async function extractPlanDetails(page) {
         } catch (drugErr) {
             console.log(`     [Drug Coverage] ${drugErr.message} - using basic data`);
             // Keep the basic drugCoverage data from page.evaluate()
+        } finally {
+            clearTimeout(dropdownTimer);
+        }
+
+        // Plan documents (EOC, Summary of Benefits, formulary, directories) - site header and footer links left out
+        const links = await page.$$eval('a[href]', anchors => anchors
+            .filter(a => !a.closest('header, footer, nav'))
+            .map(a => {
+                const langEl = a.closest('[lang]:not(html)');
+                return {
+                    text: a.textContent.trim(),
+                    href: a.href,
+                    hreflang: a.getAttribute('hreflang'),
+                    lang: langEl ? langEl.getAttribute('lang') : null
+                };
+            })).catch(() => []);
+        details.documents = collectDocuments(links);
+
+        details.snpType = classifySnp(details.planType, details.planName);
+        details.costs = normalizeDetailCosts(details);
+        details.taxonomyVersion = TAXONOMY_VERSION;
+        details.benefitsCosts = normalizeBenefitsCosts(canonicalizeSections(details.benefitsCosts, null, details.planName));
+        details.extraBenefits = normalizeExtraBenefits(canonicalizeSections(details.extraBenefits, 'benefit', details.planName));
+        details.allowances = summarizeAllowances(details.extraBenefits);
+        details.restrictions = summarizeLimitFlags(details);
+        if (details.drugCoverage) {
+            details.drugCoverage.tierMatrix = buildDrugTierMatrix(details.drugCoverage);
         }
 
         return details;
@@ -575,12 +852,25 @@ export async function extractPlanDetails(page) {
     }
 }
 
+/**
+ * Clean key of a pharmacy dropdown label ("Drug cost for Standard retail pharmacy" -> "standard_retail")
+ */
+function pharmacyKey(label) {
+    return label
+        .toLowerCase()
+        .replace(/drug cost for/gi, '')
+        .replace(/pharmacy/gi, '')
+        .trim()
+        .replace(/\s+/g, '_');
+}
+
 /**
  * Extract drug coverage data for all pharmacy options in dropdown
  * @param {import('playwright').Page} page - Playwright page object
+ * @param {Object} options - onSnapshot and interactive, see extractPlanDetails()
  * @returns {Promise<Object>} Drug coverage with all pharmacy options
  */
-async function extractDrugCoverageWithDropdown(page) {
+async function extractDrugCoverageWithDropdown(page, { onSnapshot = null, interactive = true } = {}) {
     try {
         // Check if drug coverage section exists
         const drugSection = await page.$('#drug-coverage');
@@ -615,18 +905,18 @@ async function extractDrugCoverageWithDropdown(page) {
         ).catch(() => 'default');
 
         const defaultTierData = await extractCurrentTierData(page);
-        const defaultKey = currentLabel
-            .toLowerCase()
-            .replace(/drug cost for/gi, '')
-            .replace(/pharmacy/gi, '')
-            .trim()
-            .replace(/\s+/g, '_') || 'default';
+        const defaultKey = pharmacyKey(currentLabel) || 'default';
 
         drugCoverageByPharmacy[defaultKey] = {
             label: currentLabel,
             tiers: defaultTierData
         };
 
+        // A static snapshot only holds the selected option - the others come from pharmacy snapshots
+        if (!interactive) {
+            return { tiersByPharmacy: drugCoverageByPharmacy };
+        }
+
         // Now iterate through other options
         for (const option of options) {
             // Skip if this is the current selection
@@ -696,18 +986,15 @@ async function extractDrugCoverageWithDropdown(page) {
                 const tierData = await extractCurrentTierData(page);
 
                 // Create a clean key from the option label
-                const key = option.label
-                    .toLowerCase()
-                    .replace(/drug cost for/gi, '')
-                    .replace(/pharmacy/gi, '')
-                    .trim()
-                    .replace(/\s+/g, '_');
+                const key = pharmacyKey(option.label);
 
                 drugCoverageByPharmacy[key] = {
                     label: option.label,
                     tiers: tierData
                 };
 
+                if (onSnapshot) await onSnapshot('pharmacy', { pharmacyKey: key, pharmacyLabel: option.label });
+
             } catch (optionErr) {
                 console.log(`     [Drug Coverage] Error with option ${option.label}: ${optionErr.message}`);
             }
@@ -725,7 +1012,7 @@ async function extractDrugCoverageWithDropdown(page) {
  * @param {import('playwright').Page} page - Playwright page object
  * @returns {Promise<Array>} Array of tier data
  */
-async function extractCurrentTierData(page) {
+export async function extractCurrentTierData(page) {
     return await page.evaluate(() => {
         const getTextWithLineBreaks = (element) => {
             if (!element) return null;
@@ -853,75 +1140,79 @@ export async function getTotalPlanInfo(page) {
     }
 }
 
+// Numbered buttons of the results pagination ({page} is the page number)
+const PAGE_BUTTON_SELECTORS = [
+    'button[aria-label*="Page {page}"]',
+    'a[aria-label*="Page {page}"]',
+    '.ds-c-pagination__item button:has-text("{page}")',
+    '[data-testid="pagination-page-{page}"]',
+    '.Pagination button:has-text("{page}")'
+];
+
+const NEXT_BUTTON_SELECTOR = '.ds-c-pagination__item--next button, button[aria-label*="next page"], button:has-text("Next")';
+
 /**
- * Check if there are more pages of results
+ * Active page of the results pagination
+ * Read from the current page button, then from the page parameter of the URL
  * @param {import('playwright').Page} page - Playwright page object
- * @returns {Promise<boolean>} True if there's a next page
+ * @returns {Promise<number|null>} Page number, null when the page does not show it
  */
-export async function hasNextPage(page) {
+export async function getCurrentPage(page) {
     try {
-        // Look for pagination next button
-        const nextButton = await page.$('.ds-c-pagination__item--next button, button[aria-label*="next page"], button:has-text("Next")');
-        if (!nextButton) return false;
-
-        const isDisabled = await nextButton.evaluate(el =>
-            el.disabled || el.classList.contains('disabled') || el.getAttribute('aria-disabled') === 'true'
-        );
-
-        return !isDisabled;
+        const current = await page.$(config.selectors.currentPage);
+        if (current) {
+            const label = await current.evaluate(el => `${el.textContent} ${el.getAttribute('aria-label') || ''}`);
+            const match = label.match(/\d+/);
+            if (match) return parseInt(match[0], 10);
+        }
+        const urlMatch = page.url().match(/[?&]page=(\d+)/);
+        return urlMatch ? parseInt(urlMatch[1], 10) : null;
     } catch {
-        return false;
+        return null;
     }
 }
 
 /**
- * Navigate to a specific page of results by updating URL
+ * Go to a page of the search results and confirm the pagination shows it as the active page
+ * Clicks the numbered button, or "Next" from an earlier page when there is none. A click that lands
+ * on another page is retried up to config.paginationAttempts times. When the site shows no active
+ * page at all, a click on the numbered button is trusted.
  * @param {import('playwright').Page} page - Playwright page object
- * @param {number} targetPage - The page number to navigate to
- * @returns {Promise<boolean>} True if navigation was successful
+ * @param {number} targetPage - Page to open, from 1
+ * @returns {Promise<boolean>} True when the target page is showing
  */
-export async function goToPage(page, targetPage) {
-    try {
-        const currentUrl = page.url();
-        let newUrl;
-
-        // Check if URL has page parameter
-        if (currentUrl.includes('page=')) {
-            // Replace existing page parameter
-            newUrl = currentUrl.replace(/page=\d+/, `page=${targetPage}`);
-        } else {
-            // Add page parameter
-            const separator = currentUrl.includes('?') ? '&' : '?';
-            newUrl = `${currentUrl}${separator}page=${targetPage}`;
+export async function goToResultsPage(page, targetPage) {
+    let failures = 0;
+
+    while (failures < config.paginationAttempts) {
+        const before = await getCurrentPage(page);
+        if (before === targetPage) return true;
+
+        let expected = targetPage;
+        let clicked = false;
+        for (const selector of PAGE_BUTTON_SELECTORS) {
+            clicked = await clickVisible(page, selector.replace(/\{page\}/g, targetPage)).catch(() => false);
+            if (clicked) break;
         }
+        // "Next" only from a known earlier page - it moves one page at a time
+        if (!clicked && before !== null && before < targetPage) {
+            expected = before + 1;
+            clicked = await clickVisible(page, NEXT_BUTTON_SELECTOR).catch(() => false);
+        }
+        if (!clicked) return false;
 
-        console.log(`  Navigating to page ${targetPage}...`);
-        await page.goto(newUrl, { waitUntil: 'domcontentloaded' });
-        await page.waitForLoadState('domcontentloaded', { timeout: config.timeouts.navigation });
+        await page.waitForLoadState('domcontentloaded', { timeout: config.timeouts.navigation }).catch(() => { });
 
-        return true;
-    } catch (err) {
-        console.error('Error navigating to page:', err.message);
-        return false;
-    }
-}
+        await page.waitForSelector(config.selectors.planCards, { timeout: 15000 }).catch(() => { });
+        await sleep(1000);
 
-/**
- * Navigate to the next page of results (legacy - uses button click)
- * @param {import('playwright').Page} page - Playwright page object
- * @returns {Promise<boolean>} True if navigation was successful
- */
-export async function goToNextPage(page) {
-    try {
-        const nextButton = await page.$('.ds-c-pagination__item--next button, button[aria-label*="next page"], button:has-text("Next")');
-        if (!nextButton) return false;
-
-        await nextButton.click();
-        await page.waitForLoadState('domcontentloaded', { timeout: config.timeouts.navigation });
+        const after = await getCurrentPage(page);
+        if (after === null && before === null && expected === targetPage) return true;
+        if (after === expected) continue;
 
-        return true;
-    } catch (err) {
-        console.error('Error navigating to next page:', err.message);
-        return false;
+        failures++;
+        console.log(`  [WARN] Asked for results page ${expected}, the site shows page ${after === null ? 'unknown' : after} (attempt ${failures}/${config.paginationAttempts})`);
     }
+
+    return false;
 }
@@ -0,0 +1,75 @@
+/**
+ * Plan identifiers - split a Plan ID into its CMS parts and classify special needs plans
+ *   "H1234-005-0" -> contract H1234, plan benefit package 005, segment 0
+ * The contract prefix tells the kind of contract:
+ *   H - local Medicare Advantage (also cost plans, PACE and MMPs), R - regional PPO,
+ *   S - stand-alone prescription drug plan, E - employer/union direct contract PDP
+ */
+
+const CONTRACT_TYPES = {
+    H: 'local_ma',
+    R: 'regional_ppo',
+    S: 'pdp',
+    E: 'employer_pdp'
+};
+
+// "H1234-005-0", "H1234-005", and the year-prefixed form of details URLs ("2026-H1234-005-0")
+const PLAN_ID_PATTERN = /(?:^|[^A-Z0-9])([HRSE]\d{4})[-_ ]?(\d{1,3})(?:[-_ ](\d{1,3}))?(?![0-9])/i;
+
+// SNP types in the order they are checked - the plain "SNP" only when no type is named
+const SNP_TYPES = [
+    { snpType: 'D-SNP', pattern: /\bD-?SNP\b|\bSNP-DE\b|dual(?:ly)?[- ]eligible/i },
+    { snpType: 'C-SNP', pattern: /\bC-?SNP\b|chronic condition/i },
+    { snpType: 'I-SNP', pattern: /\bI-?SNP\b|institutional/i },
+    { snpType: 'SNP', pattern: /\bSNP\b|special needs plan/i }
+];
+
+/**
+ * Split a Plan ID into contract, plan benefit package and segment
+ * @param {string} planId - Plan ID as shown on the site
+ * @returns {Object|null} { contractId, pbpId, segmentId, contractPrefix, contractType } - segmentId is
+ *   null when the ID has none; null for text that is not a Plan ID
+ */
+export function parsePlanId(planId) {
+    if (typeof planId !== 'string') return null;
+    const match = planId.trim().match(PLAN_ID_PATTERN);
+    if (!match) return null;
+
+    const contractId = match[1].toUpperCase();
+    const contractPrefix = contractId[0];
+    return {
+        contractId,
+        pbpId: match[2].padStart(3, '0'),
+        segmentId: match[3] === undefined ? null : match[3],
+        contractPrefix,
+        contractType: CONTRACT_TYPES[contractPrefix]
+    };
+}
+
+/**
+ * Special needs plan type named in plan type or plan name text
+ * @param {...string} texts - Plan type, plan name, ... (missing values are skipped)
+ * @returns {string|null} 'D-SNP', 'C-SNP', 'I-SNP', 'SNP' when the type is not named, null for other plans
+ */
+export function classifySnp(...texts) {
+    const text = texts.filter(t => typeof t === 'string').join(' ');
+    const found = SNP_TYPES.find(t => t.pattern.test(text));
+    return found ? found.snpType : null;
+}
+
+/**
+ * Plan ID parts and SNP type of a plan, as flat fields to merge into a plan record
+ * @param {string} planId - Plan ID
+ * @param {...string} texts - Plan type and name text for classifySnp()
+ * @returns {Object} { contractId, pbpId, segmentId, contractPrefix, contractType, snpType }
+ */
+export function describePlan(planId, ...texts) {
+    const parts = parsePlanId(planId) || {
+        contractId: null,
+        pbpId: null,
+        segmentId: null,
+        contractPrefix: null,
+        contractType: null
+    };
+    return { ...parts, snpType: classifySnp(...texts) };
+}
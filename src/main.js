@@ -3,15 +3,36 @@
  * 
  * Usage:
  *   npm start                    - Run full crawler for all zipcodes
- *   npm run test                 - Test with single zipcode (63101)
+ *   npm test                     - Run the offline extractor tests
+ *   npm run test:live            - Test with single zipcode (63101)
  *   node src/main.js --test --zipcode 60601  - Test with specific zipcode
+ *   node src/main.js --plan-type MAPD,PDP    - Crawl several plan types (MAPD, MA, PDP)
+ *   node src/main.js --direct                - Skip the wizard using the zipcode/FIPS crosswalk
+ *   node src/main.js --year 2025,2026        - Crawl several plan years
+ *   node src/main.js --subsidy none,extra-help - Crawl several subsidy profiles (none, medicaid, ssi, msp, extra-help)
+ *   node src/main.js --drugs drugs/diabetes.csv - Enter a drug list in the wizard for estimated drug costs
+ *   node src/main.js --providers providers/family.csv - Add providers in the wizard for network status
+ *   node src/main.js --snapshots             - Save compressed HTML snapshots for src/reextract.js
+ *   node src/main.js --documents             - Download plan document PDFs (EOC, Summary of Benefits, formulary)
+ *   node src/main.js --api                   - Build plan records from the site's JSON API responses (DOM as fallback)
+ *   node src/main.js --sort-orders all       - Also rank every plan under each sort order (drug-premium, premium, star-rating)
  */
 
 import { readFile } from 'fs/promises';
 import { parse } from 'csv-parse/sync';
 import { config } from './config.js';
 import { createCrawler } from './crawler.js';
-import { exportToJSON, exportToCSV, exportErrors } from './exporters.js';
+import { exportToJSON, exportToCSV, exportErrors, exportLongFormatTables } from './exporters.js';
+import { parsePlanTypes, parseYears, parseSubsidies, buildScenarios, expandUnits, describeScenario, buildStartUrl, supportsDirectUrl } from './scenarios.js';
+import { loadCrosswalk, buildSearchUrl } from './direct.js';
+import { loadDrugLists } from './drugs.js';
+import { loadProviderLists } from './providers.js';
+import { enableSnapshots } from './snapshots.js';
+import { enableDocumentDownloads } from './documents.js';
+import { enableApiCapture } from './apiCapture.js';
+import { parseSortOrders, enableSortRanks } from './ranking.js';
+import { writeUnmappedReport } from './taxonomy.js';
+import { buildQualityReport, writeQualityReport } from './validation.js';
 
 /**
  * Parse command line arguments
@@ -21,7 +42,17 @@ function parseArgs() {
     const options = {
         test: false,
         zipcode: null,
-        limit: null
+        limit: null,
+        planTypes: [],
+        years: [],
+        subsidies: [],
+        drugFiles: [],
+        providerFiles: [],
+        snapshots: false,
+        documents: false,
+        api: false,
+        sortOrders: [],
+        direct: false
     };
 
     for (let i = 0; i < args.length; i++) {
@@ -33,6 +64,26 @@ function parseArgs() {
             options.zipcode = args[++i];
         } else if (arg === '--limit' || arg === '-l') {
             options.limit = parseInt(args[++i], 10);
+        } else if (arg === '--plan-type' || arg === '-p') {
+            options.planTypes.push(...parsePlanTypes(args[++i]));
+        } else if (arg === '--year' || arg === '-y') {
+            options.years.push(...parseYears(args[++i]));
+        } else if (arg === '--subsidy' || arg === '-s') {
+            options.subsidies.push(...parseSubsidies(args[++i]));
+        } else if (arg === '--drugs') {
+            options.drugFiles.push(...args[++i].split(',').map(f => f.trim()).filter(Boolean));
+        } else if (arg === '--providers') {
+            options.providerFiles.push(...args[++i].split(',').map(f => f.trim()).filter(Boolean));
+        } else if (arg === '--snapshots') {
+            options.snapshots = true;
+        } else if (arg === '--documents') {
+            options.documents = true;
+        } else if (arg === '--api') {
+            options.api = true;
+        } else if (arg === '--sort-orders') {
+            options.sortOrders.push(...parseSortOrders(args[++i]));
+        } else if (arg === '--direct' || arg === '-d') {
+            options.direct = true;
         }
     }
 
@@ -67,14 +118,34 @@ async function loadZipcodes() {
 }
 
 /**
- * Create requests for the crawler
+ * Create requests for the crawler - one per zipcode and scenario
+ * With a crosswalk (direct mode) there is one request per known county, starting on its search results URL
+ * (or on the wizard for scenarios the results URL cannot express)
  */
-function createRequests(zipcodes) {
-    return zipcodes.map(z => ({
-        url: config.baseUrl,
-        uniqueKey: `zipcode-${z.zipcode}`,
-        userData: z
-    }));
+function createRequests(units, crosswalk = null) {
+    const requests = [];
+
+    for (const { key, ...unit } of units) {
+        const counties = crosswalk ? crosswalk.get(unit.zipcode) : null;
+
+        if (counties && counties.length > 0) {
+            for (const county of counties) {
+                requests.push({
+                    url: supportsDirectUrl(unit) ? buildSearchUrl(unit.zipcode, county.fips, unit) : buildStartUrl(unit),
+                    uniqueKey: `zipcode-${key}-${county.fips}`,
+                    userData: { ...unit, fips: county.fips, countyName: county.countyName }
+                });
+            }
+        } else {
+            requests.push({
+                url: buildStartUrl(unit),
+                uniqueKey: `zipcode-${key}`,
+                userData: unit
+            });
+        }
+    }
+
+    return requests;
 }
 
 /**
@@ -110,14 +181,38 @@ async function main() {
         console.log(`Limited to ${options.limit} zipcodes`);
     }
 
+    options.drugLists = await loadDrugLists(options.drugFiles);
+    options.providerLists = await loadProviderLists(options.providerFiles);
+    const scenarios = buildScenarios(options);
+    const units = expandUnits(zipcodes, scenarios);
+
     console.log(`\nProcessing ${zipcodes.length} zipcode(s)...`);
+    console.log(`Scenarios: ${scenarios.map(describeScenario).join(', ')}`);
     console.log('-'.repeat(60));
 
+    // Direct mode needs the zipcode -> FIPS crosswalk
+    const crosswalk = options.direct ? await loadCrosswalk() : null;
+    if (options.direct) {
+        console.log('Direct mode: opening search results URLs where the county is known');
+    }
+    if (options.snapshots) {
+        enableSnapshots();
+    }
+    if (options.documents) {
+        enableDocumentDownloads();
+    }
+    if (options.api) {
+        enableApiCapture();
+    }
+    if (options.sortOrders.length > 0) {
+        enableSortRanks(options.sortOrders);
+    }
+
     // Create crawler
-    const crawler = createCrawler(zipcodes);
+    const crawler = createCrawler(zipcodes, { direct: options.direct });
 
     // Create requests
-    const requests = createRequests(zipcodes);
+    const requests = createRequests(units, crosswalk);
 
     // Run the crawler
     const startTime = Date.now();
@@ -141,6 +236,12 @@ async function main() {
         console.log('\nExporting results...');
         await exportToJSON(crawler.allResults, 'medicare_plans.json');
         await exportToCSV(crawler.allResults, 'medicare_plans.csv');
+
+        // Long-format tables for comparing plans - one row per benefit line, drug tier cell and allowance
+        await exportLongFormatTables(crawler.allResults);
+
+        // Card values that disagree with the details page
+        await writeQualityReport(buildQualityReport(crawler.allResults));
     }
 
     // Export errors if any
@@ -148,6 +249,9 @@ async function main() {
         await exportErrors(crawler.errors, 'errors.json');
     }
 
+    // Benefit labels the taxonomy does not know yet
+    await writeUnmappedReport();
+
     console.log(`\nFinished at: ${new Date().toISOString()}`);
 }
 
@@ -0,0 +1,528 @@
+/**
+ * Normalization of the cost strings shown by the site
+ * Adds numeric dollar amounts and network qualifiers next to the original text, e.g.
+ *   "$4,900 In and Out-of-network" -> { text, amount: 4900, qualifier: 'combined', combined: 4900, ... }
+ * It also parses benefit rows into copays, coinsurance, per-day/per-stay units and day ranges,
+ * reads dollar allowances, counts and periods of the supplemental benefits, flags the restrictions of the "Limits apply" text,
+ * and turns the drug tier tables into a matrix keyed by canonical pharmacy type
+ */
+
+// Network qualifiers - combined first, it contains the other two
+const QUALIFIERS = [
+    { qualifier: 'combined', pattern: /in[- ]and[- ]out[- ]of[- ]network|combined/i },
+    { qualifier: 'outOfNetwork', pattern: /out[- ]of[- ]network|non[- ]network/i },
+    { qualifier: 'inNetwork', pattern: /in[- ]network/i }
+];
+
+const DOLLAR_PATTERN = /\$\s*(\d[\d,]*(?:\.\d+)?)/;
+
+/**
+ * Dollar amount of a string ("$1,200.50" -> 1200.5)
+ * @param {string} text - Text containing a dollar amount
+ * @returns {number|null} First dollar amount in the text, null if there is none
+ */
+export function parseDollars(text) {
+    if (typeof text !== 'string') return null;
+    const match = text.match(DOLLAR_PATTERN);
+    return match ? parseFloat(match[1].replace(/,/g, '')) : null;
+}
+
+/**
+ * Network qualifier of a string
+ * @returns {string|null} 'inNetwork', 'outOfNetwork', 'combined' or null
+ */
+function parseQualifier(text) {
+    const found = QUALIFIERS.find(q => q.pattern.test(text));
+    return found ? found.qualifier : null;
+}
+
+/**
+ * Parse a cost display string
+ * Each line may carry its own amount and qualifier, as in the maximum you pay rows:
+ *   "$3,400 In-network\n$5,900 In and Out-of-network"
+ * @param {string} text - Cost text from the page
+ * @returns {Object|null} { text, amount, qualifier, inNetwork, outOfNetwork, combined } -
+ *   amount and qualifier come from the first line with a dollar amount; null for missing text
+ */
+export function parseCost(text) {
+    if (text === null || text === undefined) return null;
+
+    const cost = {
+        text,
+        amount: null,
+        qualifier: null,
+        inNetwork: null,
+        outOfNetwork: null,
+        combined: null
+    };
+
+    for (const line of String(text).split('\n')) {
+        const amount = parseDollars(line);
+        if (amount === null) continue;
+
+        const qualifier = parseQualifier(line);
+        if (cost.amount === null) {
+            cost.amount = amount;
+            cost.qualifier = qualifier;
+        }
+        if (qualifier && cost[qualifier] === null) {
+            cost[qualifier] = amount;
+        }
+    }
+
+    return cost;
+}
+
+/**
+ * Parse every value of a { label: costText } map
+ * @param {Object} values - Map of cost strings, e.g. overview.deductibles
+ * @returns {Object} Same keys with parseCost() results
+ */
+export function parseCostMap(values) {
+    const parsed = {};
+    for (const [key, value] of Object.entries(values || {})) {
+        parsed[key] = parseCost(value);
+    }
+    return parsed;
+}
+
+/**
+ * Numeric costs of a plan card from extractPlanList
+ * @param {Object} plan - Plan summary
+ * @returns {Object} Parsed monthlyPremium, yearlyCost, healthDeductible, drugDeductible, maxOutOfPocket
+ */
+export function normalizePlanCosts(plan) {
+    return {
+        monthlyPremium: parseCost(plan.monthlyPremium),
+        yearlyCost: parseCost(plan.yearlyCost),
+        healthDeductible: parseCost(plan.healthDeductible),
+        drugDeductible: parseCost(plan.drugDeductible),
+        maxOutOfPocket: parseCost(plan.maxOutOfPocket)
+    };
+}
+
+/**
+ * Numeric costs of a plan details page from extractPlanDetails
+ * @param {Object} details - Plan details
+ * @returns {Object} Parsed whatYouPay, premiums, deductibles and maximumYouPay maps
+ */
+export function normalizeDetailCosts(details) {
+    const overview = details.overview || {};
+    return {
+        whatYouPay: parseCostMap(details.whatYouPay),
+        premiums: parseCostMap(overview.premiums),
+        deductibles: parseCostMap(overview.deductibles),
+        maximumYouPay: parseCostMap(overview.maximumYouPay)
+    };
+}
+
+// Unit a benefit cost is charged per ("$325 copay per day")
+const PER_PATTERN = /\bper\s+(day|stay|visit|admission|benefit period|trip|item|month|year)\b/i;
+// Day range of an inpatient stay ("for days 1-5", "days 91 and beyond")
+const DAY_RANGE_PATTERN = /\bdays?\s+(\d+)(?:\s*(?:-|–|to|through)\s*(\d+))?/i;
+const DOLLAR_RANGE_PATTERN = /\$\s*(\d[\d,]*(?:\.\d+)?)(?:\s*(?:-|–|to)\s*\$\s*(\d[\d,]*(?:\.\d+)?))?/g;
+// What a dollar amount is, from the words around it - "$1,632 deductible", "20% coinsurance, up to $50"
+const DEDUCTIBLE_AFTER_PATTERN = /^\s*(?:annual\s+|yearly\s+)?deductible/i;
+const DEDUCTIBLE_BEFORE_PATTERN = /deductible(?:\s+of|\s+is)?\s*:?\s*$/i;
+const CAP_AFTER_PATTERN = /^\s*(?:max(?:imum)?|limit|cap)\b/i;
+const CAP_BEFORE_PATTERN = /\b(?:up\s+to|max(?:imum)?(?:\s+of)?|limit(?:ed)?(?:\s+of|\s+to)?|capped\s+at)\s*:?\s*$/i;
+const COPAY_PATTERN = /\bcopay(?:ment)?s?\b/i;
+const PERCENT_RANGE_PATTERN = /(\d+(?:\.\d+)?)\s*%(?:\s*(?:-|–|to)\s*(\d+(?:\.\d+)?)\s*%)?/;
+
+const EMPTY_COST_DETAIL = {
+    text: null,
+    network: null,
+    copay: null,
+    copayMax: null,
+    coinsurance: null,
+    coinsuranceMax: null,
+    deductible: null,
+    maxCost: null,
+    per: null,
+    dayFrom: null,
+    dayTo: null
+};
+
+const toNumber = value => (value === undefined ? null : parseFloat(value.replace(/,/g, '')));
+
+/**
+ * Dollar amounts of a cost line by what they are - a copay only when the line says copay
+ * @param {string} line - One line of the cost text
+ * @param {Array} dollars - DOLLAR_RANGE_PATTERN matches of the line
+ * @returns {Object} { copay, deductible, maxCost } - [amount, range maximum] of the first amount of each kind, or null
+ *   "$0 copay after $250 deductible" -> { copay: [0], deductible: [250] }
+ *   "20% coinsurance, up to $50" -> { maxCost: [50] }
+ */
+function classifyDollars(line, dollars) {
+    const amounts = { copay: null, deductible: null, maxCost: null };
+    for (const match of dollars) {
+        const before = line.slice(0, match.index);
+        const after = line.slice(match.index + match[0].length);
+        const kind = DEDUCTIBLE_AFTER_PATTERN.test(after) || DEDUCTIBLE_BEFORE_PATTERN.test(before) ? 'deductible'
+            : CAP_AFTER_PATTERN.test(after) || CAP_BEFORE_PATTERN.test(before) ? 'maxCost'
+                : COPAY_PATTERN.test(line) ? 'copay' : null;
+        if (kind && !amounts[kind]) amounts[kind] = [toNumber(match[1]), toNumber(match[2])];
+    }
+    return amounts;
+}
+
+/**
+ * Parse the cost text of a benefitsCosts row into one entry per line with an amount
+ * A line holding only a network label ("In-network:") applies to the lines below it:
+ *   "In-network: $0 copay\nOut-of-network: 40% coinsurance" ->
+ *   [{ network: 'inNetwork', copay: 0, ... }, { network: 'outOfNetwork', coinsurance: 40, ... }]
+ * Dollar amounts are a copay only on a line that says copay; deductibles and caps ("up to $50") have their own fields
+ * @param {string} text - Cost text of the row
+ * @returns {Array<Object>} { text, network, copay, copayMax, coinsurance, coinsuranceMax, deductible, maxCost, per, dayFrom, dayTo }
+ */
+export function parseBenefitCost(text) {
+    if (typeof text !== 'string') return [];
+
+    const entries = [];
+    let network = null;
+
+    for (const rawLine of text.split('\n')) {
+        const line = rawLine.trim();
+        if (!line) continue;
+
+        const lineNetwork = parseQualifier(line);
+        if (lineNetwork) network = lineNetwork;
+
+        const dollars = [...line.matchAll(DOLLAR_RANGE_PATTERN)];
+        const percent = line.match(PERCENT_RANGE_PATTERN);
+        if (dollars.length === 0 && !percent) continue;
+
+        const { copay, deductible, maxCost } = classifyDollars(line, dollars);
+        const per = line.match(PER_PATTERN);
+        const days = line.match(DAY_RANGE_PATTERN);
+
+        entries.push({
+            text: line,
+            network,
+            copay: copay ? copay[0] : null,
+            copayMax: copay ? copay[1] : null,
+            coinsurance: percent ? toNumber(percent[1]) : null,
+            coinsuranceMax: percent ? toNumber(percent[2]) : null,
+            deductible: deductible ? deductible[0] : null,
+            maxCost: maxCost ? maxCost[0] : null,
+            per: per ? per[1].toLowerCase() : null,
+            dayFrom: days ? parseInt(days[1], 10) : null,
+            dayTo: days && days[2] ? parseInt(days[2], 10) : null
+        });
+    }
+
+    return entries;
+}
+
+/**
+ * Add costDetails (parseBenefitCost) to every row of a plan's benefitsCosts sections
+ * @param {Object} benefitsCosts - { section: [{ service, cost, limits }] } from extractPlanDetails
+ * @returns {Object} The same sections, rows extended in place
+ */
+export function normalizeBenefitsCosts(benefitsCosts) {
+    for (const rows of Object.values(benefitsCosts || {})) {
+        for (const row of rows) {
+            row.costDetails = parseBenefitCost(row.cost);
+        }
+    }
+    return benefitsCosts;
+}
+
+/**
+ * One flat row per benefit cost entry, for the long-format benefits CSV
+ * Services without a parsed amount keep one row with empty fields so every service shows up
+ * @param {Object} benefitsCosts - benefitsCosts of one plan
+ * @returns {Array<Object>} { section, service, network, copay, ..., dayTo, costText, priorAuthorization, ..., quantityLimit }
+ */
+export function benefitCostRows(benefitsCosts) {
+    const rows = [];
+    for (const [section, services] of Object.entries(benefitsCosts || {})) {
+        for (const service of services) {
+            const details = service.costDetails || parseBenefitCost(service.cost);
+            const entries = details.length > 0 ? details : [{ ...EMPTY_COST_DETAIL, text: service.cost }];
+            const flags = service.limitFlags || parseLimitFlags(service.limits);
+            for (const { text, ...entry } of entries) {
+                rows.push({ section, service: service.service, ...entry, costText: text, ...flags });
+            }
+        }
+    }
+    return rows;
+}
+
+// Allowance periods - longer spans first, "every 2 years" also contains "year"
+const ALLOWANCE_PERIODS = [
+    { period: '3-years', months: 36, pattern: /every\s+(?:3|three)\s+years/i },
+    { period: '2-years', months: 24, pattern: /every\s+(?:2|two)\s+years|every\s+other\s+year/i },
+    { period: 'half-year', months: 6, pattern: /every\s+(?:6|six)\s+months|semi-?annual|half[- ]year/i },
+    { period: 'quarter', months: 3, pattern: /quarter|every\s+(?:3|three)\s+months/i },
+    { period: 'month', months: 1, pattern: /\b(?:per|a|each|every)\s+month\b|monthly/i },
+    { period: 'year', months: 12, pattern: /\b(?:per|a|each|every)\s+(?:calendar\s+|plan\s+)?year\b|annual|yearly/i }
+];
+
+// "24 one-way trips", "2 hearing aids", "1 pair" - and a bare count such as "1 every year"
+const COUNT_PATTERN = /(\d+)\s+(?:one[- ]way\s+|round[- ]trip\s+)?(trips?|rides?|visits?|exams?|pairs?|hearing aids?|meals?|sessions?|treatments?|cleanings?|classes)\b/i;
+const BARE_COUNT_PATTERN = /(?:^|\s)(\d+)\s+(?:every|per|each)\b/i;
+
+// Dollar amounts that are cost sharing, not an allowance ("$0 copay")
+const COST_SHARING_PATTERN = /^\s*(?:copay|coinsurance|deductible)/i;
+
+/**
+ * Dollar allowance, count and period of a supplemental benefit
+ *   "$1,500 maximum per year" -> { amount: 1500, period: 'year', annualAmount: 1500, ... }
+ *   "$50 every three months" -> { amount: 50, period: 'quarter', periodMonths: 3, annualAmount: 200, ... }
+ *   "24 one-way trips per year" -> { count: 24, countUnit: 'trip', period: 'year', annualCount: 24, ... }
+ * Copays and coinsurance are cost sharing and are left to parseBenefitCost()
+ * @param {string} text - Coverage and limits text of an extra benefit row
+ * @returns {Object|null} { amount, count, countUnit, period, periodMonths, annualAmount, annualCount },
+ *   null when the text has neither an allowance nor a count
+ */
+export function parseAllowance(text) {
+    if (typeof text !== 'string') return null;
+
+    let amount = null;
+    for (const match of text.matchAll(new RegExp(DOLLAR_PATTERN.source, 'g'))) {
+        if (!COST_SHARING_PATTERN.test(text.slice(match.index + match[0].length))) {
+            amount = toNumber(match[1]);
+            break;
+        }
+    }
+
+    const counted = text.match(COUNT_PATTERN);
+    const bare = counted ? null : text.match(BARE_COUNT_PATTERN);
+    const count = counted ? parseInt(counted[1], 10) : bare ? parseInt(bare[1], 10) : null;
+    if (amount === null && count === null) return null;
+
+    const found = ALLOWANCE_PERIODS.find(p => p.pattern.test(text));
+    const perYear = value => (value === null || !found ? null : Math.round(value * 12 / found.months * 100) / 100);
+
+    return {
+        amount,
+        count,
+        countUnit: counted ? counted[2].toLowerCase().replace(/(ss)es$|s$/, '$1') : null,
+        period: found ? found.period : null,
+        periodMonths: found ? found.months : null,
+        annualAmount: perYear(amount),
+        annualCount: perYear(count)
+    };
+}
+
+/**
+ * Add allowance (parseAllowance) to every row of a plan's extraBenefits sections
+ * @param {Object} extraBenefits - { section: [{ benefit, coverage, limits, key }] } from extractPlanDetails
+ * @returns {Object} The same sections, rows extended in place
+ */
+export function normalizeExtraBenefits(extraBenefits) {
+    for (const rows of Object.values(extraBenefits || {})) {
+        for (const row of rows) {
+            row.allowance = parseAllowance([row.coverage, row.limits].filter(Boolean).join('\n'));
+        }
+    }
+    return extraBenefits;
+}
+
+/**
+ * Allowances of a plan keyed by canonical benefit key (the section key for rows without one)
+ * A row with a dollar amount wins over an earlier row with only a count
+ * @param {Object} extraBenefits - Sections after normalizeExtraBenefits()
+ * @returns {Object} { key: { section, benefit, amount, count, countUnit, period, periodMonths, annualAmount, annualCount } }
+ */
+export function summarizeAllowances(extraBenefits) {
+    const allowances = {};
+    for (const [section, rows] of Object.entries(extraBenefits || {})) {
+        for (const row of rows) {
+            if (!row.allowance) continue;
+            const key = row.key || section;
+            const existing = allowances[key];
+            if (!existing || (existing.amount === null && row.allowance.amount !== null)) {
+                allowances[key] = { section, benefit: row.benefit, ...row.allowance };
+            }
+        }
+    }
+    return allowances;
+}
+
+// Restrictions of the "Limits apply" text
+const LIMIT_FLAGS = [
+    { flag: 'priorAuthorization', pattern: /prior\s+auth(?:orization)?|pre-?authori[sz]ation/gi },
+    { flag: 'referralRequired', pattern: /referrals?/gi },
+    { flag: 'stepTherapy', pattern: /step\s+therapy/gi },
+    { flag: 'quantityLimit', pattern: /quantity\s+limits?/gi }
+];
+
+// Clauses of the limits text - a negation does not reach past its clause
+const CLAUSE_SPLIT_PATTERN = /[\n.;]|,?\s+but\s+/i;
+
+// A negation covers the restrictions up to the word that closes it, so it reaches every restriction of a
+// coordinated phrase: "No prior authorization or referral required", "Prior authorization or referral is not required"
+// but not "Referral not required, prior authorization required"
+const NEGATED_BEFORE_PATTERN = /\b(?:no|not|without)\b(?!.*\b(?:required|needed|applies|apply)\b)/i;
+const NEGATED_AFTER_PATTERN = /^(?:(?!\b(?:required|needed)\b).)*?(?:\bnot|n't)\s+(?:required|needed)\b/i;
+
+/**
+ * Restriction flags of a benefit's limits text
+ *   "Limits apply\nReferral required\nPrior authorization may be required"
+ *     -> { priorAuthorization: true, referralRequired: true, stepTherapy: false, quantityLimit: false }
+ * Negated mentions ("No referral required", "No prior authorization or referral required") do not set a flag
+ * @param {string} text - Limits text of a benefitsCosts, extraBenefits or partBDrugs row
+ * @returns {Object} { priorAuthorization, referralRequired, stepTherapy, quantityLimit }
+ */
+export function parseLimitFlags(text) {
+    const clauses = typeof text === 'string' ? text.split(CLAUSE_SPLIT_PATTERN) : [];
+    const flags = {};
+    for (const { flag, pattern } of LIMIT_FLAGS) {
+        flags[flag] = clauses.some(clause => [...clause.matchAll(pattern)].some(match =>
+            !NEGATED_BEFORE_PATTERN.test(clause.slice(0, match.index)) &&
+            !NEGATED_AFTER_PATTERN.test(clause.slice(match.index + match[0].length))));
+    }
+    return flags;
+}
+
+/**
+ * Add limitFlags (parseLimitFlags) to the benefitsCosts, extraBenefits and partBDrugs rows of a plan,
+ * and roll them up per plan
+ * @param {Object} details - extractPlanDetails() result, rows extended in place
+ * @returns {Object} { priorAuthorization, referralRequired, stepTherapy, quantityLimit, services } -
+ *   whether any row has the flag, and services lists the names of the rows per flag
+ */
+export function summarizeLimitFlags(details) {
+    const rows = [
+        ...Object.values(details.benefitsCosts || {}).flat().map(row => ({ row, name: row.service })),
+        ...Object.values(details.extraBenefits || {}).flat().map(row => ({ row, name: row.benefit })),
+        ...((details.drugCoverage && details.drugCoverage.partBDrugs) || []).map(row => ({ row, name: row.drug }))
+    ];
+
+    const summary = {};
+    const services = {};
+    for (const { flag } of LIMIT_FLAGS) {
+        summary[flag] = false;
+        services[flag] = [];
+    }
+    for (const { row, name } of rows) {
+        row.limitFlags = parseLimitFlags(row.limits);
+        for (const { flag } of LIMIT_FLAGS) {
+            if (!row.limitFlags[flag]) continue;
+            summary[flag] = true;
+            services[flag].push(name);
+        }
+    }
+    return { ...summary, services };
+}
+
+// Pharmacy channels of the drug cost dropdown labels
+const PHARMACY_CHANNELS = [
+    { channel: 'mail_order', pattern: /mail/i },
+    { channel: 'retail', pattern: /retail/i }
+];
+
+const DAYS_SUPPLY_PATTERN = /(\d+)[- ]day(?:s)?(?:[- ]supply)?/i;
+
+/**
+ * Canonical pharmacy type of a dropdown key or label
+ *   "Drug cost for Preferred retail pharmacy" / "preferred_retail" -> 'preferred_retail'
+ *   "Standard mail order pharmacy" -> 'standard_mail_order', "Mail order" -> 'standard_mail_order'
+ * @param {string} text - Pharmacy key or dropdown label
+ * @returns {string|null} standard_retail, preferred_retail, standard_mail_order, preferred_mail_order,
+ *   or null when neither retail nor mail order is named
+ */
+export function canonicalPharmacyType(text) {
+    if (typeof text !== 'string') return null;
+    const normalized = text.replace(/_/g, ' ');
+    const found = PHARMACY_CHANNELS.find(c => c.pattern.test(normalized));
+    if (!found) return null;
+    const level = /preferred/i.test(normalized) ? 'preferred' : 'standard';
+    return `${level}_${found.channel}`;
+}
+
+/**
+ * Days' supply named in a label or cell ("90-day supply" -> 90)
+ * @returns {number|null}
+ */
+export function parseDaysSupply(text) {
+    if (typeof text !== 'string') return null;
+    const match = text.match(DAYS_SUPPLY_PATTERN);
+    return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Tier number and name of a tier row header
+ *   "Tier 1 Preferred generic" -> { tierNumber: 1, tierName: 'Preferred generic' }
+ *   "Tier 3\n$325" -> { tierNumber: 3, tierName: null } (the amount is the tier's deductible)
+ * @returns {Object} { tierNumber, tierName }
+ */
+export function parseTierLabel(text) {
+    if (typeof text !== 'string') return { tierNumber: null, tierName: null };
+    const match = text.match(/tier\s*(\d+)/i);
+    const rest = text
+        .replace(/tier\s*\d+/i, '')
+        .split('\n')
+        .map(line => line.trim())
+        .filter(line => line && !DOLLAR_PATTERN.test(line))
+        .join(' ');
+    return {
+        tierNumber: match ? parseInt(match[1], 10) : null,
+        tierName: rest || null
+    };
+}
+
+/**
+ * Copay or coinsurance of a drug tier cell ("$47 copay", "25%coinsurance", "$0")
+ * @returns {Object} { copay, coinsurance, daysSupply }
+ */
+function parseTierCell(text) {
+    if (typeof text !== 'string') return { copay: null, coinsurance: null, daysSupply: null };
+    const percent = text.match(/(\d+(?:\.\d+)?)\s*%/);
+    return {
+        copay: percent ? null : parseDollars(text),
+        coinsurance: percent ? parseFloat(percent[1]) : null,
+        daysSupply: parseDaysSupply(text)
+    };
+}
+
+// Tier row fields holding the cost of each coverage phase
+const COVERAGE_PHASES = ['initialCoverage', 'catastrophic'];
+
+/**
+ * Normalized drug tier matrix of a plan - one cell per pharmacy type, days' supply, tier and coverage phase
+ * Uses tiersByPharmacy when the pharmacy dropdown was read, the basic tiers table otherwise
+ * @param {Object} drugCoverage - drugCoverage from extractPlanDetails
+ * @returns {Array<Object>} { pharmacyKey, pharmacyLabel, pharmacyType, daysSupply, tierNumber, tierName,
+ *   phase, copay, coinsurance, text }
+ */
+export function buildDrugTierMatrix(drugCoverage) {
+    if (!drugCoverage) return [];
+
+    const byPharmacy = drugCoverage.tiersByPharmacy && Object.keys(drugCoverage.tiersByPharmacy).length > 0
+        ? drugCoverage.tiersByPharmacy
+        : { default: { label: null, tiers: drugCoverage.tiers || [] } };
+
+    const cells = [];
+    for (const [key, pharmacy] of Object.entries(byPharmacy)) {
+        const pharmacyType = canonicalPharmacyType(pharmacy.label) || canonicalPharmacyType(key);
+        const labelSupply = parseDaysSupply(pharmacy.label);
+
+        for (const row of pharmacy.tiers || []) {
+            const { tierNumber, tierName } = parseTierLabel(row.tier);
+            const parsed = COVERAGE_PHASES.map(phase => ({ phase, text: row[phase], ...parseTierCell(row[phase]) }));
+            // A "90-day supply" note in one cell applies to the whole row, the label is the fallback
+            const rowSupply = parsed.map(c => c.daysSupply).find(days => days !== null);
+            const daysSupply = rowSupply === undefined ? labelSupply : rowSupply;
+
+            for (const cell of parsed) {
+                if (cell.text === null || cell.text === undefined) continue;
+                cells.push({
+                    pharmacyKey: key,
+                    pharmacyLabel: pharmacy.label || null,
+                    pharmacyType,
+                    daysSupply,
+                    tierNumber,
+                    tierName,
+                    phase: cell.phase,
+                    copay: cell.copay,
+                    coinsurance: cell.coinsurance,
+                    text: cell.text
+                });
+            }
+        }
+    }
+    return cells;
+}
@@ -0,0 +1,89 @@
+/**
+ * Small page helpers shared by the wizard steps and the results pagination
+ */
+
+/**
+ * Click the first visible element matching a selector
+ * @param {import('playwright').Page} page - Playwright page object
+ * @param {string} selector - Selector, may list several alternatives
+ * @returns {Promise<boolean>} True if something was clicked
+ */
+export async function clickVisible(page, selector) {
+    const handles = await page.$$(selector);
+    for (const handle of handles) {
+        if (await handle.isVisible()) {
+            await handle.click();
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Pick the dropdown option whose label contains the given text
+ * @param {import('playwright').Page} page - Playwright page object
+ * @param {string} selector - Selector of the <select> element
+ * @param {string} text - Text to look for in the option labels (case-insensitive)
+ * @returns {Promise<boolean>} True if an option was selected
+ */
+export async function selectOptionByText(page, selector, text) {
+    const select = await page.$(selector);
+    if (!select) return false;
+
+    const value = await select.evaluate((el, wanted) => {
+        const option = [...el.options].find(o => o.textContent.toLowerCase().includes(wanted.toLowerCase()));
+        return option ? option.value : null;
+    }, String(text));
+
+    if (value === null) return false;
+    await select.selectOption(value);
+    return true;
+}
+
+/**
+ * Click the first visible element of a list of selectors
+ * With check, an element that is already checked is left as it is and counts as found
+ * @param {import('playwright').Page} page - Playwright page object
+ * @param {Array<string>} selectors - Selectors, tried in order
+ * @param {Object} [options] - { check: true } for checkboxes that must end up checked
+ * @returns {Promise<boolean>} True if an element was found
+ */
+export async function clickFirst(page, selectors, { check = false } = {}) {
+    for (const selector of selectors) {
+        try {
+            const element = await page.$(selector);
+            if (element && await element.isVisible()) {
+                const isChecked = check ? await element.isChecked().catch(() => false) : false;
+                if (!isChecked) await element.click();
+                return true;
+            }
+        } catch {
+            continue;
+        }
+    }
+    return false;
+}
+
+/**
+ * Click the first label containing a text (case-insensitive)
+ * With check, a label whose input is already checked is left as it is and counts as found
+ * @param {import('playwright').Page} page - Playwright page object
+ * @param {string} text - Text to look for in the labels
+ * @param {Object} [options] - { check: true } for checkboxes that must end up checked
+ * @returns {Promise<boolean>} True if a label was found
+ */
+export async function clickLabel(page, text, { check = false } = {}) {
+    try {
+        const labels = await page.$$('label');
+        for (const label of labels) {
+            const labelText = await label.textContent();
+            if (labelText && labelText.toLowerCase().includes(text.toLowerCase())) {
+                const input = check ? await label.$('input') : null;
+                const isChecked = input ? await input.isChecked().catch(() => false) : false;
+                if (!isChecked) await label.click();
+                return true;
+            }
+        }
+    } catch { }
+    return false;
+}
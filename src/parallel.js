@@ -6,6 +6,7 @@
  *   - ORDER PRESERVED: Maintains CSV order throughout
  *   - INCREMENTAL SAVE: Saves after every change to prevent data loss
  *   - TWO-PHASE: Phase 1 collects all URLs, Phase 2 fills details
+ *   - MULTI-COUNTY: Zipcodes on county lines are crawled once per county
  *   - BUFFERED JSONL: Fast writes using append-only JSONL format
  * 
  * Usage:
@@ -14,6 +15,17 @@
  *   node src/parallel.js --limit 20         - Process first 20 zipcodes only
  *   node src/parallel.js --reset            - Reset and start fresh
  *   node src/parallel.js --retry-empty      - Retry zipcodes that got 0 plans
+ *   node src/parallel.js --plan-type MAPD,PDP - Crawl several plan types (MAPD, MA, PDP)
+ *   node src/parallel.js --direct           - Skip the wizard using the zipcode/FIPS crosswalk
+ *   node src/parallel.js --year 2025,2026   - Crawl several plan years side by side
+ *   node src/parallel.js --subsidy none,extra-help - Crawl several subsidy profiles (none, medicaid, ssi, msp, extra-help)
+ *   node src/parallel.js --drugs drugs/diabetes.csv - Enter a drug list in the wizard for estimated drug costs
+ *   node src/parallel.js --providers providers/family.csv - Add providers in the wizard for network status
+ *   node src/parallel.js --snapshots        - Save compressed HTML snapshots for src/reextract.js
+ *   node src/parallel.js --documents        - Download plan document PDFs (EOC, Summary of Benefits, formulary)
+ *   node src/parallel.js --api              - Build plan records from the site's JSON API responses (DOM as fallback)
+ *   node src/parallel.js --requeue-mismatches - Refill details of plans whose card and details values disagree
+ *   node src/parallel.js --sort-orders all   - Also rank every plan under each sort order (drug-premium, premium, star-rating)
  */
 
 import { readFile, writeFile, mkdir, rm, rename, copyFile, appendFile } from 'fs/promises';
@@ -21,11 +33,26 @@ import { parse } from 'csv-parse/sync';
 import { stringify } from 'csv-stringify/sync';
 import { PlaywrightCrawler } from 'crawlee';
 import { config, sleep } from './config.js';
-import { extractPlanList, extractPlanDetails, getTotalPlanInfo } from './extractors.js';
-import { exportErrors } from './exporters.js';
+import { extractPlanList, extractPlanDetails, getTotalPlanInfo, goToResultsPage } from './extractors.js';
+import { exportErrors, longFormatRows, LONG_FORMAT_FILES } from './exporters.js';
+import {
+    parsePlanTypes, parseYears, parseSubsidies, buildScenarios, expandUnits, scenarioKey, fillScenarioDefaults,
+    pickScenario, describeScenario, buildStartUrl, supportsDirectUrl
+} from './scenarios.js';
+import { loadDrugLists } from './drugs.js';
+import { loadProviderLists } from './providers.js';
+import { enableSnapshots, saveSnapshot, detailsSnapshotHook } from './snapshots.js';
+import { loadCrosswalk, buildSearchUrl, buildPlanDetailsUrl, openDirectResults } from './direct.js';
+import { enableDocumentDownloads, downloadPlanDocuments } from './documents.js';
+import { enableApiCapture, attachApiCapture, apiPlanList, apiPlanDetails } from './apiCapture.js';
+import { parseSortOrders, enableSortRanks, rankPlans, getActiveSortOrder, collectSortRanks } from './ranking.js';
+import { writeUnmappedReport } from './taxonomy.js';
+import { crossCheckPlan, buildQualityReport, writeQualityReport } from './validation.js';
+import { navigateWizard } from './wizard.js';
 import { existsSync } from 'fs';
 import * as readline from 'readline';
 
+const MAX_QUALITY_REQUEUES = 2;  // Details refills per plan for card/details mismatches (--requeue-mismatches)
 const DEFAULT_WORKERS = 10;  // Increased for high-performance systems (64GB RAM, RTX 5070 Ti, Ryzen 7500F)
 const STATE_FILE = 'crawler_state.json';
 const OUTPUT_JSON = 'medicare_plans.json';
@@ -43,7 +70,7 @@ const BUFFER_FLUSH_INTERVAL_MS = 5000;  // Also flush every 5 seconds
 
 let jsonlBuffer = [];  // Buffer of zipcode entries to write
 let jsonlBufferTimer = null;
-let dirtyZipcodes = new Set();  // Track which zipcodes have been modified since last full export
+let dirtyZipcodes = new Set();  // Track which zipcode keys have been modified since last full export
 let lastFullExportTime = 0;
 const FULL_EXPORT_INTERVAL_MS = 300000;  // Full JSON export every 5 minutes
 
@@ -123,16 +150,17 @@ async function atomicWriteFile(filePath, content) {
 // ============================================================================
 
 /**
- * Mark a zipcode as dirty (needs to be written)
+ * Mark a zipcode entry as dirty (needs to be written)
+ * @param {string} key - State key of the entry (zipcode + scenario)
  */
-function markZipcodeDirty(zipcode) {
-    dirtyZipcodes.add(zipcode);
+function markZipcodeDirty(key) {
+    dirtyZipcodes.add(key);
 
     // Add to buffer for JSONL writing
-    const entry = state.zipcodes[zipcode];
+    const entry = state.zipcodes[key];
     if (entry) {
         // Check if already in buffer (replace if so)
-        const existingIdx = jsonlBuffer.findIndex(e => e.zipcode === zipcode);
+        const existingIdx = jsonlBuffer.findIndex(e => e.key === key);
         if (existingIdx >= 0) {
             jsonlBuffer[existingIdx] = entry;
         } else {
@@ -172,11 +200,18 @@ async function _flushJsonlBufferInternal() {
         // Build JSONL lines to append
         const lines = jsonlBuffer.map(entry => {
             const jsonEntry = {
+                key: entry.key,
                 index: entry.index,
                 zipcode: entry.zipcode,
                 state: entry.state,
                 city: entry.city,
+                planType: entry.planType,
+                planYear: entry.planYear,
+                subsidy: entry.subsidy,
+                drugList: entry.drugList,
+                providerList: entry.providerList,
                 status: entry.status,
+                counties: entry.counties,
                 totalPlans: entry.totalPlans,
                 plansWithDetails: entry.plansWithDetails,
                 error: entry.error,
@@ -235,19 +270,20 @@ async function rebuildJsonFromJsonl() {
         for (const line of lines) {
             try {
                 const entry = JSON.parse(line);
-                entriesMap.set(entry.zipcode, entry);
+                entriesMap.set(scenarioKey(entry), entry);
             } catch (e) {
                 // Skip invalid lines
             }
         }
 
         // Update state with JSONL data
-        for (const [zipcode, entry] of entriesMap) {
-            if (state.zipcodes[zipcode]) {
+        for (const [key, entry] of entriesMap) {
+            if (state.zipcodes[key]) {
                 // Only update if JSONL entry is newer
-                state.zipcodes[zipcode] = {
-                    ...state.zipcodes[zipcode],
+                state.zipcodes[key] = {
+                    ...state.zipcodes[key],
                     status: entry.status,
+                    counties: entry.counties || state.zipcodes[key].counties,
                     totalPlans: entry.totalPlans,
                     plansWithDetails: entry.plansWithDetails,
                     error: entry.error,
@@ -281,7 +317,7 @@ async function _compactJsonlInternal() {
         for (const line of lines) {
             try {
                 const entry = JSON.parse(line);
-                entriesMap.set(entry.zipcode, entry);
+                entriesMap.set(scenarioKey(entry), entry);
             } catch (e) {
                 // Skip invalid lines
             }
@@ -523,6 +559,9 @@ const PLAN_STATUS = {
     ERROR: 'error'
 };
 
+// County key used when the site does not reveal a FIPS code
+const DEFAULT_COUNTY = 'default';
+
 // ============================================================================
 // GLOBAL STATE - In-memory structure with disk persistence
 // ============================================================================
@@ -539,9 +578,9 @@ let state = {
         workers: 0
     },
     // Array to preserve order from CSV
-    zipcodeOrder: [],  // Array of zipcode strings in original order
+    zipcodeOrder: [],  // Array of zipcode keys ("63101|MAPD|2026|none|none|none") in original order
     // Map for quick access
-    zipcodes: {}  // { zipcode: ZipcodeEntry }
+    zipcodes: {}  // { key: ZipcodeEntry } - one entry per zipcode and scenario
 };
 
 // ============================================================================
@@ -549,14 +588,20 @@ let state = {
 // ============================================================================
 
 /**
- * Create a new zipcode entry
+ * Create a new zipcode entry for one scenario
  */
-function createZipcodeEntry(zipcodeInfo, index) {
+function createZipcodeEntry(unit, index) {
     return {
+        key: unit.key,
         index,  // Original position from CSV
-        zipcode: zipcodeInfo.zipcode,
-        state: zipcodeInfo.state,
-        city: zipcodeInfo.city,
+        zipcode: unit.zipcode,
+        state: unit.state,
+        city: unit.city,
+        planType: unit.planType,
+        planYear: unit.planYear,
+        subsidy: unit.subsidy,
+        drugList: unit.drugList,
+        providerList: unit.providerList,
         status: ZIPCODE_STATUS.PENDING,
         phase1StartedAt: null,
         phase1CompletedAt: null,
@@ -565,22 +610,67 @@ function createZipcodeEntry(zipcodeInfo, index) {
         totalPlans: 0,
         plansWithDetails: 0,
         error: null,
+        counties: {},  // { fips: CountyEntry } - filled when the wizard shows the county step
         plans: []  // Array of PlanEntry
     };
 }
 
+/**
+ * Create a county entry - Phase 1 status of one county of a zipcode
+ */
+function createCountyEntry(county) {
+    return {
+        fips: county.fips,
+        countyName: county.countyName,
+        status: ZIPCODE_STATUS.PENDING,
+        totalPlans: 0,
+        expectedPlans: null,  // Results total shown by the site
+        missingPages: [],     // { page, reason: 'unreachable'|'repeated' } of the last visit
+        incomplete: false,    // Fewer plans collected than expectedPlans
+        error: null
+    };
+}
+
 /**
  * Create a new plan entry
+ * @param {Object} planSummary - Plan card data from extractPlanList
+ * @param {Object} unit - Zipcode, plan type and county the plan was crawled under
  */
-function createPlanEntry(planSummary) {
+function createPlanEntry(planSummary, unit) {
     return {
         status: PLAN_STATUS.PENDING,
         planId: planSummary.planId || null,
         planName: planSummary.planName || null,
-        planType: planSummary.planType || null,
+        carrier: planSummary.carrier || null,
+        planType: unit.planType,
+        planYear: unit.planYear,
+        subsidy: unit.subsidy,
+        drugList: unit.drugList,
+        providerList: unit.providerList,
+        countyName: unit.countyName || null,
+        fips: unit.fips || null,
         monthlyPremium: planSummary.monthlyPremium || null,
-        estimatedAnnualCost: planSummary.estimatedAnnualCost || null,
+        healthDeductible: planSummary.healthDeductible || null,  // Card values below are cross-checked against the details
+        drugDeductible: planSummary.drugDeductible || null,
+        maxOutOfPocket: planSummary.maxOutOfPocket || null,
+        primaryDoctorCopay: planSummary.primaryDoctorCopay || null,
+        specialistCopay: planSummary.specialistCopay || null,
+        estimatedAnnualCost: planSummary.estimatedAnnualCost || planSummary.yearlyCost || null,
+        yearlyCostIncludesDrugs: planSummary.yearlyCostIncludesDrugs || false,
+        drugsCovered: planSummary.drugsCovered || null,
+        providersInNetwork: planSummary.providersInNetwork || null,
         starRating: planSummary.starRating || null,
+        costs: planSummary.costs || null,  // Parsed card costs, see normalize.js
+        contractId: planSummary.contractId || null,
+        pbpId: planSummary.pbpId || null,
+        segmentId: planSummary.segmentId || null,
+        contractType: planSummary.contractType || null,
+        snpType: planSummary.snpType || null,
+        pageNumber: planSummary.pageNumber || null,  // Results page and overall rank under sortOrder, see ranking.js
+        rank: planSummary.rank || null,
+        sortOrder: planSummary.sortOrder || null,
+        ranks: planSummary.ranks || null,  // Rank by sort order (--sort-orders)
+        dataSource: planSummary.dataSource || 'dom',  // 'api' when built from the search response (--api)
         detailsUrl: planSummary.detailsUrl || null,
         details: null,  // Will be filled in Phase 2
         error: null,
@@ -602,6 +692,7 @@ async function loadState() {
             const content = await readFile(statePath, 'utf-8');
             const loaded = JSON.parse(content);
             state = loaded;
+            migrateState();
             console.log(`📂 Loaded existing state from ${statePath}`);
             console.log(`   - Phase 1 (URLs): ${state.metadata.phase1Completed}/${state.metadata.totalZipcodes} zipcodes`);
             console.log(`   - Phase 2 (Details): ${state.metadata.totalPlansFilled}/${state.metadata.totalPlansFound} plans`);
@@ -622,6 +713,7 @@ async function loadState() {
             const content = await readFile(backupPath, 'utf-8');
             const loaded = JSON.parse(content);
             state = loaded;
+            migrateState();
             console.log(`📂 Loaded state from BACKUP: ${backupPath}`);
             console.log(`   - Phase 1 (URLs): ${state.metadata.phase1Completed}/${state.metadata.totalZipcodes} zipcodes`);
             console.log(`   - Phase 2 (Details): ${state.metadata.totalPlansFilled}/${state.metadata.totalPlansFound} plans`);
@@ -667,17 +759,24 @@ async function loadState() {
                     totalPlansFilled: plansFilled,
                     workers: DEFAULT_WORKERS
                 },
-                zipcodeOrder: plansData.map(e => e.zipcode),
+                zipcodeOrder: plansData.map(e => e.key || e.zipcode),
                 zipcodes: {}
             };
 
             for (const entry of plansData) {
-                state.zipcodes[entry.zipcode] = {
+                state.zipcodes[entry.key || entry.zipcode] = {
+                    key: entry.key,
                     index: entry.index,
                     zipcode: entry.zipcode,
                     state: entry.state,
                     city: entry.city,
+                    planType: entry.planType,
+                    planYear: entry.planYear,
+                    subsidy: entry.subsidy,
+                    drugList: entry.drugList,
+                    providerList: entry.providerList,
                     status: entry.status,
+                    counties: entry.counties || {},
                     phase1StartedAt: null,
                     phase1CompletedAt: null,
                     phase2StartedAt: null,
@@ -688,6 +787,7 @@ async function loadState() {
                     plans: entry.plans || []
                 };
             }
+            migrateState();
 
             console.log(`✅ Recovered state from ${OUTPUT_JSON}`);
             console.log(`   - Phase 1 (URLs): ${phase1Done}/${plansData.length} zipcodes`);
@@ -703,6 +803,90 @@ async function loadState() {
     return { success: false };
 }
 
+/**
+ * Bring state written by older runs up to date
+ * Entries used to be keyed by zipcode alone and were always MAPD for 2026
+ */
+function migrateState() {
+    const zipcodes = {};
+    const renamed = {};
+
+    for (const [oldKey, entry] of Object.entries(state.zipcodes)) {
+        fillScenarioDefaults(entry);
+        entry.counties = entry.counties || {};
+        for (const plan of entry.plans || []) {
+            plan.planType = plan.planType || entry.planType;
+            plan.planYear = plan.planYear || entry.planYear;
+            plan.subsidy = plan.subsidy || entry.subsidy;
+            plan.drugList = plan.drugList || entry.drugList;
+            plan.providerList = plan.providerList || entry.providerList;
+        }
+        zipcodes[entry.key] = entry;
+        renamed[oldKey] = entry.key;
+    }
+
+    state.zipcodes = zipcodes;
+    state.zipcodeOrder = state.zipcodeOrder.map(key => renamed[key] || key);
+}
+
+/**
+ * Add the counties shown by the wizard to a zipcode entry
+ * @returns {Array} County entries still waiting for Phase 1
+ */
+function registerCounties(entry, counties) {
+    for (const county of counties) {
+        const countyKey = county.fips || DEFAULT_COUNTY;
+        if (!entry.counties[countyKey]) {
+            entry.counties[countyKey] = createCountyEntry(county);
+        }
+    }
+    return Object.values(entry.counties).filter(c => c.status === ZIPCODE_STATUS.PENDING);
+}
+
+/**
+ * Record the Phase 1 outcome of one county
+ */
+function setCountyStatus(entry, countyKey, status, error = null) {
+    const county = entry.counties[countyKey];
+    if (!county) return;
+    county.status = status;
+    county.error = error;
+    if (status === ZIPCODE_STATUS.URLS_COLLECTED) {
+        county.totalPlans = entry.plans.filter(p => (p.fips || DEFAULT_COUNTY) === countyKey).length;
+    }
+}
+
+/**
+ * Record how complete the plans collected for one county are
+ */
+function recordCollection(entry, countyKey, expectedPlans, missingPages) {
+    const county = entry.counties[countyKey];
+    if (!county) return;
+    const collected = entry.plans.filter(p => (p.fips || DEFAULT_COUNTY) === countyKey).length;
+    county.expectedPlans = expectedPlans;
+    county.missingPages = missingPages;
+    county.incomplete = collected < expectedPlans;
+}
+
+/**
+ * Close Phase 1 for a zipcode entry once none of its counties is pending
+ * The entry only counts as an error if every county failed
+ */
+function finishPhase1IfDone(entry) {
+    const counties = Object.values(entry.counties);
+    if (counties.some(c => c.status === ZIPCODE_STATUS.PENDING)) return;
+
+    const failed = counties.filter(c => c.status === ZIPCODE_STATUS.ERROR);
+    entry.status = failed.length === counties.length ? ZIPCODE_STATUS.ERROR : ZIPCODE_STATUS.URLS_COLLECTED;
+    entry.error = failed.length > 0
+        ? failed.map(c => `${c.countyName || c.fips}: ${c.error}`).join('; ')
+        : null;
+    entry.totalPlans = entry.plans.length;
+    entry.incomplete = counties.some(c => c.incomplete);
+    entry.phase1CompletedAt = new Date().toISOString();
+    state.metadata.phase1Completed++;
+}
+
 /**
  * Save state - uses debounced save to batch multiple requests
  * This prevents race conditions when multiple workers try to save simultaneously
@@ -723,43 +907,43 @@ async function saveStateImmediate() {
 }
 
 /**
- * Initialize fresh state from zipcodes
+ * Initialize fresh state from zipcode units (one per zipcode and scenario)
  */
-function initializeState(zipcodes, workers) {
+function initializeState(units, workers) {
     state = {
         metadata: {
             createdAt: new Date().toISOString(),
             lastUpdatedAt: new Date().toISOString(),
-            totalZipcodes: zipcodes.length,
+            totalZipcodes: units.length,
             phase1Completed: 0,
             phase2Completed: 0,
             totalPlansFound: 0,
             totalPlansFilled: 0,
             workers
         },
-        zipcodeOrder: zipcodes.map(z => z.zipcode),
+        zipcodeOrder: units.map(u => u.key),
         zipcodes: {}
     };
 
-    zipcodes.forEach((z, index) => {
-        state.zipcodes[z.zipcode] = createZipcodeEntry(z, index);
+    units.forEach(u => {
+        state.zipcodes[u.key] = createZipcodeEntry(u, u.index);
     });
 
-    console.log(`\n📋 Initialized fresh state with ${zipcodes.length} zipcodes`);
+    console.log(`\n📋 Initialized fresh state with ${units.length} zipcode entries`);
 }
 
 /**
- * Merge new zipcodes with existing state (preserve completed ones)
+ * Merge new zipcode units with existing state (preserve completed ones)
  */
-function mergeState(zipcodes, workers) {
+function mergeState(units, workers) {
     // Update order from new CSV
-    const newOrder = zipcodes.map(z => z.zipcode);
+    const newOrder = units.map(u => u.key);
 
     // Keep existing completed data, add new zipcodes
     const existingZipcodes = { ...state.zipcodes };
 
     state.zipcodeOrder = newOrder;
-    state.metadata.totalZipcodes = zipcodes.length;
+    state.metadata.totalZipcodes = units.length;
     state.metadata.workers = workers;
 
     // Recount stats
@@ -768,13 +952,13 @@ function mergeState(zipcodes, workers) {
     let totalPlans = 0;
     let filledPlans = 0;
 
-    zipcodes.forEach((z, index) => {
-        if (existingZipcodes[z.zipcode]) {
+    units.forEach(u => {
+        if (existingZipcodes[u.key]) {
             // Keep existing entry but update index
-            state.zipcodes[z.zipcode] = existingZipcodes[z.zipcode];
-            state.zipcodes[z.zipcode].index = index;
+            state.zipcodes[u.key] = existingZipcodes[u.key];
+            state.zipcodes[u.key].index = u.index;
 
-            const entry = state.zipcodes[z.zipcode];
+            const entry = state.zipcodes[u.key];
             if (entry.status === ZIPCODE_STATUS.URLS_COLLECTED || entry.status === ZIPCODE_STATUS.COMPLETED) {
                 phase1Done++;
                 totalPlans += entry.totalPlans;
@@ -787,8 +971,8 @@ function mergeState(zipcodes, workers) {
                 filledPlans += entry.plans.filter(p => p.status === PLAN_STATUS.COMPLETED).length;
             }
         } else {
-            // New zipcode
-            state.zipcodes[z.zipcode] = createZipcodeEntry(z, index);
+            // New zipcode or new plan type for a known zipcode
+            state.zipcodes[u.key] = createZipcodeEntry(u, u.index);
         }
     });
 
@@ -868,6 +1052,34 @@ async function exportOutputs() {
     scheduleSave();
 }
 
+/**
+ * Dollar amount of a parsed card cost for the CSV ('' when the plan has none)
+ */
+function costAmount(plan, field) {
+    const cost = plan.costs && plan.costs[field];
+    return cost && cost.amount !== null ? cost.amount : '';
+}
+
+/**
+ * One rank_<sort order> column per configured sort order ('' when the plan was not ranked under it)
+ */
+function sortRankColumns(plan) {
+    const columns = {};
+    for (const key of Object.keys(config.sortOrders)) {
+        const rank = plan && plan.ranks ? plan.ranks[key] : null;
+        columns[`rank_${key.replace(/-/g, '_')}`] = rank || '';
+    }
+    return columns;
+}
+
+/**
+ * Restriction flag of a detailed plan for the CSV ('' until its details are filled)
+ */
+function restrictionFlag(plan, flag) {
+    const restrictions = plan.details && plan.details.restrictions;
+    return restrictions ? restrictions[flag] : '';
+}
+
 /**
  * Actually export outputs (JSON + CSVs) with atomic writes
  * Called by doSave() with lock held
@@ -880,11 +1092,18 @@ async function doExportOutputs() {
 
     // JSON output - full data
     const jsonData = orderedEntries.map(entry => ({
+        key: entry.key,
         index: entry.index,
         zipcode: entry.zipcode,
         state: entry.state,
         city: entry.city,
+        planType: entry.planType,
+        planYear: entry.planYear,
+        subsidy: entry.subsidy,
+        drugList: entry.drugList,
+        providerList: entry.providerList,
         status: entry.status,
+        counties: entry.counties,
         totalPlans: entry.totalPlans,
         plansWithDetails: entry.plansWithDetails,
         error: entry.error,
@@ -900,7 +1119,13 @@ async function doExportOutputs() {
         zipcode: entry.zipcode,
         state: entry.state,
         city: entry.city,
+        plan_type: entry.planType,
+        plan_year: entry.planYear,
+        subsidy: entry.subsidy,
+        drug_list: entry.drugList,
+        provider_list: entry.providerList,
         status: entry.status,
+        counties: Object.values(entry.counties || {}).map(c => `${c.countyName || ''} ${c.fips || ''} ${c.status}`.trim()).join('; '),
         total_plans: entry.totalPlans,
         plans_with_details: entry.plansWithDetails,
         error: entry.error || '',
@@ -922,11 +1147,34 @@ async function doExportOutputs() {
                 zipcode_status: entry.status,
                 plan_status: '',
                 plan_id: '',
+                contract_id: '',
+                pbp_id: '',
+                segment_id: '',
+                contract_type: '',
+                snp_type: '',
                 plan_name: '',
-                plan_type: '',
+                page_number: '',
+                rank: '',
+                sort_order: '',
+                ...sortRankColumns(null),
+                plan_type: entry.planType,
+                plan_year: entry.planYear,
+                subsidy: entry.subsidy,
+                drug_list: entry.drugList,
+                provider_list: entry.providerList,
+                county_name: '',
+                fips: '',
                 monthly_premium: '',
+                monthly_premium_amount: '',
                 estimated_annual_cost: '',
+                estimated_annual_cost_amount: '',
+                drugs_covered: '',
+                providers_in_network: '',
                 star_rating: '',
+                prior_authorization: '',
+                referral_required: '',
+                step_therapy: '',
+                quantity_limit: '',
                 details_url: '',
                 details_json: '',
                 error: entry.error || ''
@@ -941,11 +1189,34 @@ async function doExportOutputs() {
                     zipcode_status: entry.status,
                     plan_status: plan.status,
                     plan_id: plan.planId || '',
+                    contract_id: plan.contractId || '',
+                    pbp_id: plan.pbpId || '',
+                    segment_id: plan.segmentId || '',
+                    contract_type: plan.contractType || '',
+                    snp_type: plan.snpType || (plan.details && plan.details.snpType) || '',
                     plan_name: plan.planName || '',
-                    plan_type: plan.planType || '',
+                    page_number: plan.pageNumber || '',
+                    rank: plan.rank || '',
+                    sort_order: plan.sortOrder || '',
+                    ...sortRankColumns(plan),
+                    plan_type: plan.planType || entry.planType,
+                    plan_year: plan.planYear || entry.planYear,
+                    subsidy: plan.subsidy || entry.subsidy,
+                    drug_list: plan.drugList || entry.drugList,
+                    provider_list: plan.providerList || entry.providerList,
+                    county_name: plan.countyName || '',
+                    fips: plan.fips || '',
                     monthly_premium: plan.monthlyPremium || '',
+                    monthly_premium_amount: costAmount(plan, 'monthlyPremium'),
                     estimated_annual_cost: plan.estimatedAnnualCost || '',
+                    estimated_annual_cost_amount: costAmount(plan, 'yearlyCost'),
+                    drugs_covered: plan.drugsCovered || '',
+                    providers_in_network: plan.providersInNetwork || '',
                     star_rating: plan.starRating || '',
+                    prior_authorization: restrictionFlag(plan, 'priorAuthorization'),
+                    referral_required: restrictionFlag(plan, 'referralRequired'),
+                    step_therapy: restrictionFlag(plan, 'stepTherapy'),
+                    quantity_limit: restrictionFlag(plan, 'quantityLimit'),
                     details_url: plan.detailsUrl || '',
                     details_json: JSON.stringify(plan.details || {}),
                     error: plan.error || ''
@@ -957,7 +1228,19 @@ async function doExportOutputs() {
     const detailsPath = `${outputDir}/${OUTPUT_CSV_PLANS}`;
     await atomicWriteFile(detailsPath, stringify(detailsData, { header: true }));
 
-    return { jsonPath, summaryPath, detailsPath };
+    // Long-format CSVs - parsed benefitsCosts rows, drug tier cells and allowances of every detailed plan
+    const tables = longFormatRows(orderedEntries.flatMap(entry => entry.plans.map(plan => ({ zipcode: entry.zipcode, ...plan }))));
+
+    const benefitsPath = `${outputDir}/${LONG_FORMAT_FILES.benefits}`;
+    await atomicWriteFile(benefitsPath, stringify(tables.benefits, { header: true }));
+
+    const drugTiersPath = `${outputDir}/${LONG_FORMAT_FILES.drugTiers}`;
+    await atomicWriteFile(drugTiersPath, stringify(tables.drugTiers, { header: true }));
+
+    const allowancesPath = `${outputDir}/${LONG_FORMAT_FILES.allowances}`;
+    await atomicWriteFile(allowancesPath, stringify(tables.allowances, { header: true }));
+
+    return { jsonPath, summaryPath, detailsPath, benefitsPath, drugTiersPath, allowancesPath };
 }
 
 // ============================================================================
@@ -970,7 +1253,18 @@ function parseArgs() {
         workers: DEFAULT_WORKERS,
         limit: null,
         reset: false,
-        retryEmpty: false  // Retry zipcodes with 0 plans
+        retryEmpty: false,  // Retry zipcodes with 0 plans
+        planTypes: [],      // Empty = config.defaultPlanTypes
+        years: [],          // Empty = config.defaultYears
+        subsidies: [],      // Empty = config.defaultSubsidies
+        drugFiles: [],      // Drug list CSVs, one scenario each ("none" = no drugs)
+        providerFiles: [],  // Provider list CSVs, one scenario each ("none" = no providers)
+        snapshots: false,   // Save compressed HTML of results and details pages for reextract.js
+        documents: false,   // Download plan document PDFs into output/documents
+        requeueMismatches: false,  // Refill details of plans whose card and details values disagree
+        sortOrders: [],     // Sort orders to rank the plans under, see ranking.js
+        api: false,         // Capture the search and plan details JSON into output/api and build records from it
+        direct: false       // Open search results URLs from the crosswalk instead of the wizard
     };
 
     for (let i = 0; i < args.length; i++) {
@@ -983,6 +1277,28 @@ function parseArgs() {
             options.reset = true;
         } else if (arg === '--retry-empty' || arg === '-e') {
             options.retryEmpty = true;
+        } else if (arg === '--plan-type' || arg === '-p') {
+            options.planTypes.push(...parsePlanTypes(args[++i]));
+        } else if (arg === '--year' || arg === '-y') {
+            options.years.push(...parseYears(args[++i]));
+        } else if (arg === '--subsidy' || arg === '-s') {
+            options.subsidies.push(...parseSubsidies(args[++i]));
+        } else if (arg === '--drugs') {
+            options.drugFiles.push(...args[++i].split(',').map(f => f.trim()).filter(Boolean));
+        } else if (arg === '--providers') {
+            options.providerFiles.push(...args[++i].split(',').map(f => f.trim()).filter(Boolean));
+        } else if (arg === '--snapshots') {
+            options.snapshots = true;
+        } else if (arg === '--documents') {
+            options.documents = true;
+        } else if (arg === '--api') {
+            options.api = true;
+        } else if (arg === '--requeue-mismatches') {
+            options.requeueMismatches = true;
+        } else if (arg === '--sort-orders') {
+            options.sortOrders.push(...parseSortOrders(args[++i]));
+        } else if (arg === '--direct' || arg === '-d') {
+            options.direct = true;
         }
     }
 
@@ -1015,240 +1331,117 @@ async function loadZipcodes() {
 // NAVIGATION HELPERS
 // ============================================================================
 
-const DELAYS = {
-    afterPageLoad: 1000,   // Reduced from 2000ms
-    betweenActions: 500,   // Reduced from 1000ms
-    afterClick: 800        // Reduced from 1500ms
-};
-
-async function navigateWizard(page, zipcode) {
-    console.log(`  [${zipcode}] Navigating wizard...`);
-
+async function isPageAlive(page) {
     try {
-        await page.waitForLoadState('domcontentloaded', { timeout: config.timeouts.navigation });
-        await sleep(DELAYS.afterPageLoad);
-
-        // Step 1: Enter zipcode
-        const zipcodeInput = await page.waitForSelector(
-            'input[name*="zip"], input[id*="zip"], #zip-code',
-            { timeout: config.timeouts.element }
-        );
-        await zipcodeInput.click({ clickCount: 3 });
-        await zipcodeInput.fill(zipcode);
-        await sleep(DELAYS.betweenActions);
-
-        // Step 1.5: County selection
-        await sleep(1000);
-        const countySelectors = [
-            'input[name="county"][type="radio"]',
-            '[data-testid*="coverage-selector-fips"]',
-            '.mct-c-coverage-selector-v2__county-choice input[type="radio"]'
-        ];
-
-        for (const selector of countySelectors) {
-            try {
-                const options = await page.$$(selector);
-                if (options.length > 0) {
-                    let selected = false;
-                    for (const opt of options) {
-                        if (await opt.isChecked()) { selected = true; break; }
-                    }
-                    if (!selected) await options[0].click();
-                    break;
-                }
-            } catch { continue; }
-        }
-
-        await sleep(DELAYS.betweenActions);
-        await clickContinue(page);
-        await sleep(DELAYS.afterPageLoad);
-
-        // Step 3: Select Medicare Advantage Plan
-        const planTypeSelectors = ['#what-coverage-mapd', 'input[value="MEDICARE_ADVANTAGE_PLAN"]', 'label[for="what-coverage-mapd"]'];
-        for (const sel of planTypeSelectors) {
-            try {
-                const el = await page.$(sel);
-                if (el && await el.isVisible()) { await el.click(); break; }
-            } catch { continue; }
-        }
-        await sleep(DELAYS.betweenActions);
-
-        // Step 4: Find Plans
-        const findSelectors = ['button:has-text("Find Plans")', 'a:has-text("Find Plans")'];
-        for (const sel of findSelectors) {
-            try {
-                const btn = await page.$(sel);
-                if (btn && await btn.isVisible()) { await btn.click(); break; }
-            } catch { continue; }
-        }
-        await page.waitForLoadState('domcontentloaded', { timeout: config.timeouts.navigation });
-        await sleep(DELAYS.afterPageLoad);
-
-        // Step 5: Medicare cost help - select "No"
-        await page.waitForSelector('input[type="checkbox"], input[type="radio"]', { timeout: 10000 }).catch(() => { });
-        await sleep(1000);
-
-        const noHelpSelectors = [
-            'input[value="none"]', 'input#none', 'label[for="none"]',
-            'input[name="subsidyTypes"][value="none"]', 'input[type="radio"][value="none"]'
-        ];
-        for (const sel of noHelpSelectors) {
-            try {
-                const el = await page.$(sel);
-                if (el && await el.isVisible()) { await el.click(); break; }
-            } catch { continue; }
-        }
-
-        // Fallback: click label with "don't get help"
-        try {
-            await page.evaluate(() => {
-                const labels = document.querySelectorAll('label');
-                for (const l of labels) {
-                    if (l.textContent.toLowerCase().includes("don't get help")) {
-                        l.click(); return;
-                    }
-                }
-            });
-        } catch { }
-
-        await sleep(DELAYS.betweenActions);
-        await clickContinue(page);
-        await sleep(DELAYS.afterPageLoad);
-
-        // Step 6: Drug coverage - select "No"
-        const noDrugSelectors = ['input[value="no"]', 'input[value="false"]', 'label:has-text("No")'];
-        for (const sel of noDrugSelectors) {
-            try {
-                const el = await page.$(sel);
-                if (el && await el.isVisible()) { await el.click(); break; }
-            } catch { continue; }
-        }
-        await sleep(DELAYS.betweenActions);
-        await clickContinue(page);
-        await sleep(DELAYS.afterPageLoad);
-
-        // Step 7: Skip providers
-        const skipSelectors = ['[data-testid="continue-to-plans"]', 'button:has-text("Skip")'];
-        for (const sel of skipSelectors) {
-            try {
-                const el = await page.$(sel);
-                if (el && await el.isVisible()) { await el.click(); break; }
-            } catch { continue; }
-        }
-        await clickContinue(page);
-        await sleep(DELAYS.afterPageLoad);
-
-        await page.waitForLoadState('domcontentloaded', { timeout: config.timeouts.navigation });
-        console.log(`  [${zipcode}] ✓ Wizard completed`);
+        await page.evaluate(() => true);
         return true;
-
-    } catch (err) {
-        console.error(`  [${zipcode}] ✗ Wizard failed: ${err.message}`);
+    } catch {
         return false;
     }
 }
 
-async function clickContinue(page) {
-    const selectors = ['button:has-text("Continue")', 'button:has-text("Next")', 'a:has-text("Continue")', 'button[type="submit"]'];
-    for (const sel of selectors) {
-        try {
-            const btn = await page.$(sel);
-            if (btn && await btn.isVisible()) {
-                await btn.click();
-                await page.waitForLoadState('domcontentloaded', { timeout: config.timeouts.navigation });
-                return true;
-            }
-        } catch { continue; }
-    }
-    return false;
-}
-
-async function clickPagination(page, targetPage) {
-    try {
-        const selectors = [
-            `button[aria-label*="Page ${targetPage}"]`,
-            `a[aria-label*="Page ${targetPage}"]`,
-            `.ds-c-pagination__item button:has-text("${targetPage}")`
-        ];
+// ============================================================================
+// PHASE 1: COLLECT ALL PLAN URLs FOR A ZIPCODE
+// ============================================================================
 
-        for (const sel of selectors) {
-            try {
-                const btn = await page.$(sel);
-                if (btn && await btn.isVisible()) {
-                    await btn.click();
-                    await page.waitForLoadState('domcontentloaded', { timeout: config.timeouts.navigation });
-                    return true;
-                }
-            } catch { continue; }
+/**
+ * Build a Phase 1 request for a zipcode entry, optionally for one county
+ * In direct mode a request for a known county starts on its search results URL
+ */
+function createPhase1Request(entry, fips = null, direct = false) {
+    return {
+        url: direct && fips && supportsDirectUrl(entry) ? buildSearchUrl(entry.zipcode, fips, entry) : buildStartUrl(entry),
+        uniqueKey: fips ? `phase1-${entry.key}-${fips}` : `phase1-${entry.key}`,
+        userData: {
+            key: entry.key,
+            zipcode: entry.zipcode,
+            state: entry.state,
+            city: entry.city,
+            planType: entry.planType,
+            planYear: entry.planYear,
+            subsidy: entry.subsidy,
+            drugList: entry.drugList,
+            providerList: entry.providerList,
+            fips
         }
+    };
+}
 
-        // Try Next button
-        const nextBtn = await page.$('.ds-c-pagination__item--next button, button:has-text("Next")');
-        if (nextBtn && await nextBtn.isVisible()) {
-            await nextBtn.click();
-            await page.waitForLoadState('domcontentloaded', { timeout: config.timeouts.navigation });
-            return true;
-        }
+/**
+ * Record a Phase 1 failure - for one county if known, otherwise for the whole zipcode
+ */
+function markPhase1Error(entry, fips, message) {
+    const countyKey = fips || DEFAULT_COUNTY;
 
-        return false;
-    } catch {
-        return false;
+    if (entry.counties[countyKey]) {
+        setCountyStatus(entry, countyKey, ZIPCODE_STATUS.ERROR, message);
+        finishPhase1IfDone(entry);
+        return;
     }
-}
 
-async function isPageAlive(page) {
-    try {
-        await page.evaluate(() => true);
-        return true;
-    } catch {
-        return false;
-    }
+    entry.status = ZIPCODE_STATUS.ERROR;
+    entry.error = message;
+    entry.phase1CompletedAt = new Date().toISOString();
+    state.metadata.phase1Completed++;
 }
 
-// ============================================================================
-// PHASE 1: COLLECT ALL PLAN URLs FOR A ZIPCODE
-// ============================================================================
-
+/**
+ * Collect the plans of every results page of one county
+ * Pages that cannot be reached or only repeat plans already seen are listed in missingPages
+ * @returns {Promise<Object>} { plans, totalPlans, missingPages } - plan entries and the results total
+ */
 async function collectPlanUrls(page, zipcodeInfo) {
     const plans = [];
     const seenIds = new Set();
+    const missingPages = [];
 
-    const { totalPlans, totalPages } = await getTotalPlanInfo(page);
-    console.log(`  [${zipcodeInfo.zipcode}] Found ${totalPlans} plans on ${totalPages} pages`);
+    const { totalPlans, totalPages, plansPerPage } = await getTotalPlanInfo(page);
+    const sortOrder = await getActiveSortOrder(page);
+    console.log(`  [${zipcodeInfo.zipcode}] Found ${totalPlans} ${describeScenario(zipcodeInfo)} plans on ${totalPages} pages (county ${zipcodeInfo.fips || 'n/a'}, sorted by ${sortOrder || 'unknown'})`);
 
     for (let p = 1; p <= totalPages; p++) {
-        if (p > 1) {
-            const clicked = await clickPagination(page, p);
-            if (!clicked) {
-                console.log(`  [${zipcodeInfo.zipcode}] Could not go to page ${p}, stopping`);
-                break;
-            }
-            await page.waitForSelector(config.selectors.planCards, { timeout: 15000 }).catch(() => { });
-            await sleep(1000);
+        if (p > 1 && !(await goToResultsPage(page, p))) {
+            console.log(`  [${zipcodeInfo.zipcode}] Could not go to page ${p}, skipping it`);
+            missingPages.push({ page: p, reason: 'unreachable' });
+            continue;
         }
 
-        const planList = await extractPlanList(page);
+        // Ranked after the API merge, so plans only in the search payload get a rank too
+        const planList = rankPlans(await apiPlanList(page, zipcodeInfo, p, await extractPlanList(page)), p, plansPerPage, sortOrder);
+        await saveSnapshot(page, zipcodeInfo, 'results', { pageNumber: p });
 
+        const before = plans.length;
         for (const plan of planList) {
             const id = plan.planId || `unknown-${p}-${plans.length}`;
             if (!seenIds.has(id)) {
                 seenIds.add(id);
-                plans.push(createPlanEntry(plan));
+
+                // Cards without a details link - build the URL from the plan ID and county
+                if (!plan.detailsUrl && plan.planId && zipcodeInfo.fips) {
+                    plan.detailsUrl = buildPlanDetailsUrl(plan.planId, zipcodeInfo.zipcode, zipcodeInfo.fips, zipcodeInfo);
+                }
+
+                plans.push(createPlanEntry(plan, zipcodeInfo));
             }
         }
 
+        if (plans.length === before) {
+            console.log(`  [${zipcodeInfo.zipcode}] No new plans on page ${p}, it repeats an earlier page`);
+            missingPages.push({ page: p, reason: 'repeated' });
+        }
         if (plans.length >= totalPlans) break;
     }
 
-    console.log(`  [${zipcodeInfo.zipcode}] ✓ Collected ${plans.length} plan URLs`);
-    return plans;
+    await collectSortRanks(page, plans, zipcodeInfo);
+    console.log(`  [${zipcodeInfo.zipcode}] ✓ Collected ${plans.length} of ${totalPlans} plan URLs`);
+    return { plans, totalPlans, missingPages };
 }
 
 // ============================================================================
 // PHASE 2: FILL PLAN DETAILS
 // ============================================================================
 
-async function fillPlanDetails(page, zipcode, planEntry) {
+async function fillPlanDetails(page, entry, planEntry) {
     if (!planEntry.detailsUrl) {
         planEntry.status = PLAN_STATUS.COMPLETED;
         planEntry.scrapedAt = new Date().toISOString();
@@ -1260,7 +1453,10 @@ async function fillPlanDetails(page, zipcode, planEntry) {
         await page.waitForSelector('.PlanDetailsPagePlanInfo, .e2e-plan-details-page', { timeout: 15000 }).catch(() => { });
         await sleep(1000);
 
-        const details = await extractPlanDetails(page);
+        const snapshotInfo = { zipcode: entry.zipcode, state: entry.state, city: entry.city, ...pickScenario(entry), countyName: planEntry.countyName, fips: planEntry.fips };
+        const domDetails = await extractPlanDetails(page, { onSnapshot: detailsSnapshotHook(page, snapshotInfo, planEntry.planId) });
+        const details = await apiPlanDetails(page, snapshotInfo, planEntry.planId, domDetails);
+        await downloadPlanDocuments(page, planEntry, details.documents);
         planEntry.details = details;
         planEntry.status = PLAN_STATUS.COMPLETED;
         planEntry.scrapedAt = new Date().toISOString();
@@ -1274,6 +1470,53 @@ async function fillPlanDetails(page, zipcode, planEntry) {
     return planEntry;
 }
 
+/**
+ * Plans of the state with the zipcode they were crawled for, for the data quality report
+ */
+function qualityRecords() {
+    return state.zipcodeOrder
+        .map(key => state.zipcodes[key])
+        .filter(Boolean)
+        .flatMap(entry => entry.plans.map(plan => ({ zipcode: entry.zipcode, ...plan })));
+}
+
+/**
+ * Reset detailed plans whose card and details values disagree to pending, so Phase 2 fills them again
+ * Each plan is requeued at most MAX_QUALITY_REQUEUES times - a mismatch that survives is left in the report
+ * @returns {number} Number of plans requeued
+ */
+function requeueMismatchedPlans() {
+    let requeued = 0;
+
+    for (const key of state.zipcodeOrder) {
+        const entry = state.zipcodes[key];
+        if (!entry || (entry.status !== ZIPCODE_STATUS.URLS_COLLECTED && entry.status !== ZIPCODE_STATUS.COMPLETED)) continue;
+
+        for (const plan of entry.plans) {
+            if (plan.status !== PLAN_STATUS.COMPLETED || (plan.qualityRequeues || 0) >= MAX_QUALITY_REQUEUES) continue;
+            if (crossCheckPlan(plan, plan.details).length === 0) continue;
+
+            plan.status = PLAN_STATUS.PENDING;
+            plan.details = null;
+            plan.scrapedAt = null;
+            plan.qualityRequeues = (plan.qualityRequeues || 0) + 1;
+            entry.plansWithDetails = Math.max(0, entry.plansWithDetails - 1);
+            state.metadata.totalPlansFilled = Math.max(0, state.metadata.totalPlansFilled - 1);
+            requeued++;
+
+            if (entry.status === ZIPCODE_STATUS.COMPLETED) {
+                entry.status = ZIPCODE_STATUS.URLS_COLLECTED;
+                entry.phase2CompletedAt = null;
+                state.metadata.phase2Completed = Math.max(0, state.metadata.phase2Completed - 1);
+            }
+            markZipcodeDirty(key);
+        }
+    }
+
+    if (requeued > 0) scheduleSave();
+    return requeued;
+}
+
 // ============================================================================
 // MAIN EXECUTION
 // ============================================================================
@@ -1291,6 +1534,30 @@ async function main() {
     console.log(`   Reset: ${options.reset}`);
     console.log(`   Retry Empty: ${options.retryEmpty}`);
 
+    options.drugLists = await loadDrugLists(options.drugFiles);
+    options.providerLists = await loadProviderLists(options.providerFiles);
+    const scenarios = buildScenarios(options);
+    console.log(`   Scenarios: ${scenarios.map(describeScenario).join(', ')}`);
+    console.log(`   Direct: ${options.direct}`);
+    // Direct mode - counties come from the crosswalk instead of the wizard
+    const crosswalk = options.direct ? await loadCrosswalk() : new Map();
+    console.log(`   Snapshots: ${options.snapshots}`);
+    if (options.snapshots) {
+        enableSnapshots();
+    }
+    console.log(`   Documents: ${options.documents}`);
+    if (options.documents) {
+        enableDocumentDownloads();
+    }
+    console.log(`   API capture: ${options.api}`);
+    if (options.api) {
+        enableApiCapture();
+    }
+    console.log(`   Sort orders: ${options.sortOrders.length > 0 ? options.sortOrders.join(', ') : 'as listed'}`);
+    if (options.sortOrders.length > 0) {
+        enableSortRanks(options.sortOrders);
+    }
+
     // Ensure output directory exists
     if (!existsSync(config.outputDir)) {
         await mkdir(config.outputDir, { recursive: true });
@@ -1311,13 +1578,14 @@ async function main() {
         zipcodes = zipcodes.slice(0, options.limit);
         console.log(`   Limited to first ${options.limit} zipcodes`);
     }
+    const units = expandUnits(zipcodes, scenarios);
 
     // Load or initialize state
     const loadResult = await loadState();
 
     if (options.reset) {
         // User explicitly wants fresh start
-        initializeState(zipcodes, options.workers);
+        initializeState(units, options.workers);
         await saveStateImmediate();
         console.log(`\n📁 Fresh start (--reset) - all outputs initialized`);
     } else if (!loadResult.success) {
@@ -1338,12 +1606,12 @@ async function main() {
         }
 
         // No existing data, safe to start fresh
-        initializeState(zipcodes, options.workers);
+        initializeState(units, options.workers);
         await saveStateImmediate();
         console.log(`\n📁 Fresh start - all outputs initialized`);
     } else {
         // Successfully loaded state
-        mergeState(zipcodes, options.workers);
+        mergeState(units, options.workers);
         await saveStateImmediate();
     }
 
@@ -1381,6 +1649,7 @@ async function main() {
                 z.phase2StartedAt = null;
                 z.phase2CompletedAt = null;
                 z.plans = [];
+                z.counties = {};
                 z.error = null;
                 state.metadata.phase1Completed--;
             }
@@ -1406,75 +1675,128 @@ async function main() {
             launchContext: {
                 launchOptions: { headless: config.headless, slowMo: config.slowMo }
             },
+            preNavigationHooks: [
+                async ({ page }) => attachApiCapture(page)
+            ],
 
-            async requestHandler({ page, request, log }) {
-                const { zipcode, state: st, city } = request.userData;
+            async requestHandler({ page, request, log, crawler }) {
+                const { key, zipcode, state: st, city, planType, planYear, subsidy, drugList, providerList, fips } = request.userData;
+                const scenario = pickScenario(request.userData);
+                const entry = state.zipcodes[key];
+                const label = fips ? `${key} (county ${fips})` : key;
 
-                state.zipcodes[zipcode].phase1StartedAt = new Date().toISOString();
-                printProgress(1, zipcode, '🔄 Collecting URLs');
+                entry.phase1StartedAt = entry.phase1StartedAt || new Date().toISOString();
+                printProgress(1, label, '🔄 Collecting URLs');
 
                 try {
-                    const wizardOk = await navigateWizard(page, zipcode);
-                    if (!wizardOk) throw new Error('Wizard navigation failed');
+                    let wizardResult = null;
+
+                    // Direct mode - skip the wizard when the search results URL renders plan cards
+                    if (options.direct && fips && supportsDirectUrl(scenario)) {
+                        if (await openDirectResults(page, buildSearchUrl(zipcode, fips, scenario))) {
+                            const counties = Object.values(entry.counties).map(c => ({ fips: c.fips, countyName: c.countyName }));
+                            wizardResult = { counties, county: counties.find(c => c.fips === fips) || { fips, countyName: null } };
+                        } else {
+                            log.info(`[${label}] No plan cards on direct URL, falling back to wizard`);
+                            await page.goto(buildStartUrl(scenario), { waitUntil: 'domcontentloaded' });
+                        }
+                    }
 
-                    const plans = await collectPlanUrls(page, { zipcode, state: st, city });
+                    // Throws a WizardError naming the screen the wizard got stuck on
+                    if (!wizardResult) {
+                        wizardResult = await navigateWizard(page, zipcode, scenario, fips);
+                    }
 
-                    // Update state
-                    state.zipcodes[zipcode].plans = plans;
-                    state.zipcodes[zipcode].totalPlans = plans.length;
-                    state.zipcodes[zipcode].status = ZIPCODE_STATUS.URLS_COLLECTED;
-                    state.zipcodes[zipcode].phase1CompletedAt = new Date().toISOString();
-                    state.metadata.phase1Completed++;
-                    state.metadata.totalPlansFound += plans.length;
+                    const { county } = wizardResult;
+                    const countyKey = county.fips || DEFAULT_COUNTY;
+
+                    // First visit - register every county and queue the ones this request does not cover
+                    if (!fips) {
+                        const others = registerCounties(entry, wizardResult.counties)
+                            .filter(c => (c.fips || DEFAULT_COUNTY) !== countyKey && c.fips);
+                        if (others.length > 0) {
+                            log.info(`[${key}] Spans ${wizardResult.counties.length} counties, queueing ${others.length} more`);
+                            await crawler.addRequests(others.map(c => createPhase1Request(entry, c.fips, options.direct)));
+                        }
+                    }
+
+                    const { plans, totalPlans, missingPages } = await collectPlanUrls(page, { zipcode, state: st, city, ...scenario, ...county });
+
+                    // Update state - replace plans from an earlier attempt at this county
+                    entry.plans = entry.plans
+                        .filter(p => (p.fips || DEFAULT_COUNTY) !== countyKey)
+                        .concat(plans);
+                    recordCollection(entry, countyKey, totalPlans, missingPages);
+
+                    // Fewer plans than the results total - visit the county again, or keep it flagged after the last visit
+                    const attempt = request.userData.incompleteAttempts || 0;
+                    if (plans.length < totalPlans && attempt < config.incompleteRequeues) {
+                        log.warning(`[${label}] Collected ${plans.length} of ${totalPlans} plans, requeueing (${attempt + 1}/${config.incompleteRequeues})`);
+                        const retry = createPhase1Request(entry, county.fips || fips, options.direct);
+                        await crawler.addRequests([{
+                            ...retry,
+                            uniqueKey: `${retry.uniqueKey}-incomplete-${attempt + 1}`,
+                            userData: { ...retry.userData, incompleteAttempts: attempt + 1 }
+                        }]);
+                    } else {
+                        if (plans.length < totalPlans) {
+                            errors.push({ zipcode, state: st, city, planType, planYear, subsidy, drugList, providerList, fips: county.fips || fips, phase: 1, error: `Incomplete results: collected ${plans.length} of ${totalPlans} plans`, missingPages });
+                        }
+                        setCountyStatus(entry, countyKey, ZIPCODE_STATUS.URLS_COLLECTED);
+                        state.metadata.totalPlansFound += plans.length;
+                        finishPhase1IfDone(entry);
+                    }
 
                     // Use buffered write instead of full export
-                    markZipcodeDirty(zipcode);
+                    markZipcodeDirty(key);
                     scheduleSave();  // Schedule state file save
 
                     recordTime(1);  // Track time for ETA
-                    printProgress(1, zipcode, `✅ Got ${plans.length} plans`);
+                    printProgress(1, label, `✅ Got ${plans.length} plans`);
 
                 } catch (err) {
-                    log.error(`[${zipcode}] Error: ${err.message}`);
+                    log.error(`[${label}] Error: ${err.message}`);
 
-                    state.zipcodes[zipcode].status = ZIPCODE_STATUS.ERROR;
-                    state.zipcodes[zipcode].error = err.message;
-                    state.zipcodes[zipcode].phase1CompletedAt = new Date().toISOString();
-                    state.metadata.phase1Completed++;
-
-                    errors.push({ zipcode, state: st, city, phase: 1, error: err.message });
+                    markPhase1Error(entry, fips, err.message);
+                    errors.push({ zipcode, state: st, city, planType, planYear, subsidy, drugList, providerList, fips, phase: 1, error: err.message, wizardScreen: err.screen || null });
 
                     // Use buffered write
-                    markZipcodeDirty(zipcode);
+                    markZipcodeDirty(key);
                     scheduleSave();
 
                     recordTime(1);  // Track time for ETA even on errors
-                    printProgress(1, zipcode, `❌ Error: ${err.message.substring(0, 40)}`);
+                    printProgress(1, label, `❌ Error: ${err.message.substring(0, 40)}`);
                 }
 
                 await sleep(2000);
             },
 
             async failedRequestHandler({ request }) {
-                const { zipcode, state: st, city } = request.userData;
-
-                state.zipcodes[zipcode].status = ZIPCODE_STATUS.ERROR;
-                state.zipcodes[zipcode].error = 'Max retries exceeded';
-                state.metadata.phase1Completed++;
+                const { key, zipcode, state: st, city, planType, planYear, subsidy, drugList, providerList, fips } = request.userData;
 
-                errors.push({ zipcode, state: st, city, phase: 1, error: 'Max retries exceeded' });
+                markPhase1Error(state.zipcodes[key], fips, 'Max retries exceeded');
+                errors.push({ zipcode, state: st, city, planType, planYear, subsidy, drugList, providerList, fips, phase: 1, error: 'Max retries exceeded' });
 
                 // Use buffered write
-                markZipcodeDirty(zipcode);
+                markZipcodeDirty(key);
                 scheduleSave();
             }
         });
 
-        const phase1Requests = phase1Pending.map(z => ({
-            url: config.baseUrl,
-            uniqueKey: `phase1-${z.zipcode}`,
-            userData: { zipcode: z.zipcode, state: z.state, city: z.city }
-        }));
+        // One request per pending county - or one per zipcode whose counties are not known yet
+        const phase1Requests = [];
+        for (const z of phase1Pending) {
+            if (Object.keys(z.counties).length === 0 && crosswalk.has(z.zipcode)) {
+                registerCounties(z, crosswalk.get(z.zipcode));
+            }
+
+            const pendingCounties = Object.values(z.counties).filter(c => c.status === ZIPCODE_STATUS.PENDING);
+            if (pendingCounties.length === 0) {
+                phase1Requests.push(createPhase1Request(z));
+            } else {
+                phase1Requests.push(...pendingCounties.map(c => createPhase1Request(z, c.fips, options.direct)));
+            }
+        }
 
         await phase1Crawler.run(phase1Requests);
     }
@@ -1486,16 +1808,22 @@ async function main() {
     console.log('📋 PHASE 2: Filling Plan Details');
     console.log('─'.repeat(70));
 
+    // Plans whose details disagree with their card go back to Phase 2
+    if (options.requeueMismatches) {
+        const requeued = requeueMismatchedPlans();
+        console.log(`🔁 Requeued ${requeued} plans with card/details mismatches`);
+    }
+
     // Get all plans that need details
     const plansToFill = [];
-    for (const zipcode of state.zipcodeOrder) {
-        const entry = state.zipcodes[zipcode];
+    for (const key of state.zipcodeOrder) {
+        const entry = state.zipcodes[key];
         if (!entry || entry.status === ZIPCODE_STATUS.ERROR || entry.status === ZIPCODE_STATUS.PENDING) continue;
 
         for (let i = 0; i < entry.plans.length; i++) {
             const plan = entry.plans[i];
             if (plan.status === PLAN_STATUS.PENDING) {
-                plansToFill.push({ zipcode, planIndex: i, plan, zipcodeEntry: entry });
+                plansToFill.push({ key, planIndex: i, plan, zipcodeEntry: entry });
             }
         }
     }
@@ -1515,15 +1843,18 @@ async function main() {
             launchContext: {
                 launchOptions: { headless: config.headless, slowMo: config.slowMo }
             },
+            preNavigationHooks: [
+                async ({ page }) => attachApiCapture(page)
+            ],
 
             async requestHandler({ page, request, log }) {
-                const { zipcode, planIndex, planId } = request.userData;
+                const { key, planIndex, planId } = request.userData;
 
-                const entry = state.zipcodes[zipcode];
+                const entry = state.zipcodes[key];
                 if (!entry || !entry.plans[planIndex]) return;
 
                 try {
-                    await fillPlanDetails(page, zipcode, entry.plans[planIndex]);
+                    await fillPlanDetails(page, entry, entry.plans[planIndex]);
 
                     if (entry.plans[planIndex].status === PLAN_STATUS.COMPLETED) {
                         entry.plansWithDetails++;
@@ -1539,18 +1870,18 @@ async function main() {
                     }
 
                     // Use buffered write instead of full export
-                    markZipcodeDirty(zipcode);
+                    markZipcodeDirty(key);
                     scheduleSave();
 
                     recordTime(2);  // Track time for ETA
-                    printProgress(2, zipcode, `✅ Plan ${planIndex + 1}: ${planId}`);
+                    printProgress(2, key, `✅ Plan ${planIndex + 1}: ${planId}`);
 
                 } catch (err) {
                     entry.plans[planIndex].status = PLAN_STATUS.ERROR;
                     entry.plans[planIndex].error = err.message;
 
                     // Use buffered write
-                    markZipcodeDirty(zipcode);
+                    markZipcodeDirty(key);
                     scheduleSave();
 
                     recordTime(2);  // Track time for ETA even on errors
@@ -1560,23 +1891,23 @@ async function main() {
             },
 
             async failedRequestHandler({ request }) {
-                const { zipcode, planIndex } = request.userData;
-                const entry = state.zipcodes[zipcode];
+                const { key, planIndex } = request.userData;
+                const entry = state.zipcodes[key];
                 if (entry && entry.plans[planIndex]) {
                     entry.plans[planIndex].status = PLAN_STATUS.ERROR;
                     entry.plans[planIndex].error = 'Max retries exceeded';
                     // Use buffered write
-                    markZipcodeDirty(zipcode);
+                    markZipcodeDirty(key);
                     scheduleSave();
                 }
             }
         });
 
         const phase2Requests = plansToFill.map((item, idx) => ({
-            url: item.plan.detailsUrl || config.baseUrl,
-            uniqueKey: `phase2-${item.zipcode}-${item.planIndex}-${idx}`,
+            url: item.plan.detailsUrl || buildStartUrl(item.zipcodeEntry),
+            uniqueKey: `phase2-${item.key}-${item.planIndex}-${idx}`,
             userData: {
-                zipcode: item.zipcode,
+                key: item.key,
                 planIndex: item.planIndex,
                 planId: item.plan.planId || `plan-${item.planIndex}`
             }
@@ -1610,6 +1941,12 @@ async function main() {
         writeLock.release();
     }
 
+    // Benefit labels the taxonomy does not know yet, seen in this session
+    await writeUnmappedReport();
+
+    // Card values that disagree with the details page
+    await writeQualityReport(buildQualityReport(qualityRecords()));
+
     const final = getProgress();
 
     console.log('\n' + '═'.repeat(70));
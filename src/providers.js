@@ -0,0 +1,153 @@
+/**
+ * Provider-list scenarios - add doctors and facilities in the wizard so plans show network status
+ * A provider list is a CSV file; its file name (without extension) names the scenario
+ */
+
+import { readFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import { basename, extname, resolve } from 'path';
+import { parse } from 'csv-parse/sync';
+import { config, sleep } from './config.js';
+import { clickVisible } from './pageUtils.js';
+
+// Provider lists loaded for this run, by name
+const providerLists = new Map();
+
+// Resolved path of each loaded provider list, by name - two files may not share a name
+const providerListPaths = new Map();
+
+/**
+ * Load a provider list file
+ * The file name (without extension) names the list, and must differ between the files of a run
+ * Expected format (same delimiter as ZipCodes.csv, one row per doctor or facility):
+ *   Provider;Type;Location
+ *   Jane Smith;doctor;St. Louis
+ *   Barnes-Jewish Hospital;facility;
+ * Location is optional and picks between search results with the same name
+ * @param {string} filePath - Path to the provider list CSV
+ * @returns {Promise<Object>} { name, providers: [{ name, type, location }] }
+ * @throws {Error} When the file is missing, has no providers, or its name is taken by another file
+ */
+export async function loadProviderList(filePath) {
+    if (!existsSync(filePath)) {
+        throw new Error(`Provider list file not found: ${filePath}`);
+    }
+
+    // The name keys the scenario in the state, output and CSV files
+    const name = basename(filePath, extname(filePath));
+    const fullPath = resolve(filePath);
+    if (name.toLowerCase() === 'none') {
+        throw new Error(`Provider list ${filePath} is named "none", which stands for the scenario without providers - rename the file`);
+    }
+    if (providerListPaths.has(name) && providerListPaths.get(name) !== fullPath) {
+        throw new Error(`Provider lists ${providerListPaths.get(name)} and ${fullPath} are both named "${name}" - rename one of the files`);
+    }
+
+    const fileContent = await readFile(filePath, 'utf-8');
+    const records = parse(fileContent, {
+        delimiter: ';',
+        columns: true,
+        skip_empty_lines: true,
+        trim: true
+    });
+
+    const providers = records.map(row => ({
+        name: row.Provider || row.provider || row.Name || row.name,
+        type: (row.Type || row.type || 'doctor').toLowerCase(),
+        location: row.Location || row.location || null
+    })).filter(p => p.name);
+
+    if (providers.length === 0) {
+        throw new Error(`Provider list ${filePath} has no providers`);
+    }
+
+    providerLists.set(name, providers);
+    providerListPaths.set(name, fullPath);
+    console.log(`Loaded provider list "${name}" with ${providers.length} providers from ${filePath}`);
+
+    return { name, providers };
+}
+
+/**
+ * Load the provider lists given with --providers
+ * "none" stands for the scenario without providers
+ * @param {Array<string>} filePaths - Provider list paths (or "none")
+ * @returns {Promise<Array<string>>} Provider list names, for buildScenarios()
+ */
+export async function loadProviderLists(filePaths) {
+    const names = [];
+    for (const filePath of filePaths) {
+        if (filePath.toLowerCase() === 'none') {
+            names.push('none');
+        } else {
+            const { name } = await loadProviderList(filePath);
+            names.push(name);
+        }
+    }
+    return [...new Set(names)];
+}
+
+/**
+ * Providers of a loaded provider list
+ * @param {string} name - Provider list name
+ * @returns {Array<Object>} Providers
+ */
+export function getProviderList(name) {
+    const providers = providerLists.get(name);
+    if (!providers) {
+        throw new Error(`Provider list "${name}" is not loaded - pass it again with --providers`);
+    }
+    return providers;
+}
+
+/**
+ * Search for one provider and add the matching result
+ */
+async function addProvider(page, provider) {
+    const selectors = config.providerSelectors;
+
+    const input = await page.waitForSelector(selectors.searchInput, { timeout: config.timeouts.element });
+    await input.click({ clickCount: 3 });
+    await input.fill(provider.name);
+    await sleep(config.delays.betweenActions);
+
+    await clickVisible(page, selectors.searchButton);
+    await page.waitForSelector(selectors.result, { timeout: config.timeouts.element }).catch(() => {});
+
+    // The result must mention the provider's name, and its location when one is given
+    const results = await page.$$(selectors.result);
+    for (const result of results) {
+        const text = ((await result.textContent()) || '').toLowerCase();
+        if (!text.includes(provider.name.toLowerCase())) continue;
+        if (provider.location && !text.includes(provider.location.toLowerCase())) continue;
+
+        const addButton = await result.$(selectors.addButton);
+        if (!addButton) continue;
+
+        await addButton.click();
+        await sleep(config.delays.afterPageLoad);
+        return;
+    }
+
+    throw new Error(`Provider "${provider.name}"${provider.location ? ` (${provider.location})` : ''} not found in the provider search`);
+}
+
+/**
+ * Add every provider of a provider list on the wizard's provider step, then continue to the plans
+ * @param {import('playwright').Page} page - Playwright page object
+ * @param {string} providerListName - Name of a loaded provider list
+ * @returns {Promise<number>} Number of providers added
+ */
+export async function enterProviders(page, providerListName) {
+    const providers = getProviderList(providerListName);
+
+    for (const provider of providers) {
+        await addProvider(page, provider);
+        console.log(`  Added ${provider.type}: ${provider.name}`);
+    }
+
+    await clickVisible(page, config.providerSelectors.doneButton);
+    await sleep(config.delays.afterPageLoad);
+
+    return providers.length;
+}
@@ -0,0 +1,185 @@
+/**
+ * Search results rank - the overall position of every plan in the results list
+ * Each plan card is tagged with its results page, its rank over all pages and the sort order that was active.
+ * With --sort-orders, the results are walked again under each other sort order and the plan's rank there
+ * is added to plan.ranks, keyed by sort order:
+ *   { rank: 4, sortOrder: 'drug-premium', ranks: { 'drug-premium': 4, premium: 1, 'star-rating': 12 } }
+ */
+
+import { config, sleep } from './config.js';
+import { extractPlanList, getTotalPlanInfo, goToResultsPage } from './extractors.js';
+import { apiPlanList } from './apiCapture.js';
+
+// Set by enableSortRanks() - sort orders walked after the listing the crawl collects plans from
+let rankSortOrders = [];
+
+/**
+ * Parse a --sort-orders value into sort order keys
+ * @param {string} value - Comma-separated keys of config.sortOrders ("premium,star-rating"), or "all"
+ * @returns {Array<string>} Keys of config.sortOrders
+ */
+export function parseSortOrders(value) {
+    const keys = String(value || '')
+        .split(',')
+        .map(v => v.trim().toLowerCase())
+        .filter(Boolean);
+
+    if (keys.includes('all')) return Object.keys(config.sortOrders);
+
+    for (const key of keys) {
+        if (!config.sortOrders[key]) {
+            throw new Error(`Unknown sort order "${key}" (expected all or one of: ${Object.keys(config.sortOrders).join(', ')})`);
+        }
+    }
+
+    return [...new Set(keys)];
+}
+
+/**
+ * Sort order key of a sort dropdown option
+ * @param {string} label - Option text, e.g. "Lowest drug + premium cost"
+ * @returns {string|null} Key of config.sortOrders, null for orders the config does not know
+ */
+export function sortOrderKey(label) {
+    if (typeof label !== 'string') return null;
+    const found = Object.entries(config.sortOrders).find(([, order]) => order.pattern.test(label));
+    return found ? found[0] : null;
+}
+
+/**
+ * Tag the plans of one results page with their page, overall rank and sort order
+ * Cards are ranked in card order. Plans only in the API payload (mergePlanList()) are ranked by their
+ * position in the payload - a payload with more plans than a page holds the whole list, so its
+ * positions are overall ranks and give the page the plan would be shown on.
+ * The pages before this one count as full, so a skipped page does not shift the later ranks.
+ * @param {Array<Object>} plans - apiPlanList() result of the page, extended in place
+ * @param {number} pageNumber - Results page, from 1
+ * @param {number} plansPerPage - Plans on a full results page
+ * @param {string|null} sortOrder - Active sort order key
+ * @returns {Array<Object>} The same plans
+ */
+export function rankPlans(plans, pageNumber, plansPerPage, sortOrder) {
+    const offset = (pageNumber - 1) * plansPerPage;
+    const wholeList = plans.filter(plan => Number.isInteger(plan.payloadIndex)).length > plansPerPage;
+
+    for (const plan of plans) {
+        plan.pageNumber = pageNumber;
+        plan.rank = null;
+        plan.sortOrder = sortOrder;
+
+        if (Number.isInteger(plan.cardIndex)) {
+            plan.rank = offset + plan.cardIndex + 1;
+        } else if (Number.isInteger(plan.payloadIndex)) {
+            plan.rank = (wholeList ? 0 : offset) + plan.payloadIndex + 1;
+            if (wholeList) plan.pageNumber = Math.ceil(plan.rank / plansPerPage);
+        }
+    }
+    return plans;
+}
+
+/**
+ * Walk the results under more sort orders for this run
+ * @param {Array<string>} sortOrders - Keys of config.sortOrders
+ */
+export function enableSortRanks(sortOrders) {
+    rankSortOrders = sortOrders;
+}
+
+/**
+ * Sort order of the results page, read from the selected option of the sort dropdown
+ * An option config.sortOrders does not know is logged - its ranks are not recorded under any order
+ * @param {import('playwright').Page} page - Playwright page on a results page
+ * @returns {Promise<string|null>} Key of config.sortOrders, null when there is no dropdown or the order is unknown
+ */
+export async function getActiveSortOrder(page) {
+    try {
+        const select = await page.$(config.selectors.sortSelect);
+        if (!select) return null;
+        const label = await select.evaluate(el => (el.selectedOptions[0] ? el.selectedOptions[0].textContent : el.value));
+        const key = sortOrderKey(label);
+        if (!key) console.log(`  Unknown sort order "${String(label).trim()}" - add it to config.sortOrders to rank plans under it`);
+        return key;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Re-sort the results with the sort dropdown
+ * @param {import('playwright').Page} page - Playwright page on a results page
+ * @param {string} key - Key of config.sortOrders
+ * @returns {Promise<boolean>} True when the results are sorted in that order
+ */
+export async function selectSortOrder(page, key) {
+    try {
+        const select = await page.$(config.selectors.sortSelect);
+        if (!select) return false;
+
+        const options = await select.evaluate(el => Array.from(el.options).map(o => ({ value: o.value, label: o.textContent.trim() })));
+        const option = options.find(o => sortOrderKey(o.label) === key);
+        if (!option) return false;
+
+        await select.selectOption(option.value);
+        await page.waitForLoadState('domcontentloaded', { timeout: config.timeouts.navigation });
+        await sleep(1000);
+        await page.waitForSelector(config.selectors.planCards, { timeout: 15000 }).catch(() => { });
+
+        return (await getActiveSortOrder(page)) === key;
+    } catch (err) {
+        console.error(`  Error selecting sort order ${key}:`, err.message);
+        return false;
+    }
+}
+
+/**
+ * Rank of every plan under the sort orders of --sort-orders
+ * Walks all results pages once per sort order other than the one the plans were collected under,
+ * and sets plan.ranks - a plan missing from a listing (or a listing that could not be sorted) gets null.
+ * A page that shows another or an unknown order (the site's default after paginating) ends the walk,
+ * so its ranks are not recorded under the requested order.
+ * Does nothing unless enableSortRanks() was called
+ * @param {import('playwright').Page} page - Playwright page on the results page the plans were collected from
+ * @param {Array<Object>} plans - Plans tagged by rankPlans(), extended in place
+ * @param {Object} info - Zipcode, scenario and county of the results, for the API capture files
+ */
+export async function collectSortRanks(page, plans, info) {
+    if (rankSortOrders.length === 0 || plans.length === 0) return;
+
+    const collectedUnder = plans[0].sortOrder;
+    for (const plan of plans) {
+        plan.ranks = collectedUnder ? { [collectedUnder]: plan.rank } : {};
+    }
+
+    for (const key of rankSortOrders) {
+        if (key === collectedUnder) continue;
+
+        const ranks = new Map();
+        if (await selectSortOrder(page, key)) {
+            const { totalPages, plansPerPage } = await getTotalPlanInfo(page);
+            for (let p = 1; p <= totalPages; p++) {
+                if (p > 1 && !(await goToResultsPage(page, p))) {
+                    console.log(`  Could not go to page ${p} sorted by ${key}, later plans have no ${key} rank`);
+                    break;
+                }
+                const shown = p > 1 ? await getActiveSortOrder(page) : key;
+                if (shown !== key) {
+                    console.log(`  Page ${p} is sorted by ${shown || 'an unknown order'} instead of ${key}, later plans have no ${key} rank`);
+                    break;
+                }
+
+                const listed = rankPlans(await apiPlanList(page, info, p, await extractPlanList(page), key), p, plansPerPage, key);
+                for (const plan of listed) {
+                    if (plan.planId && !ranks.has(plan.planId)) ranks.set(plan.planId, plan.rank);
+                }
+                // A search payload with the whole list ranks every plan at once
+                if (plans.every(plan => !plan.planId || ranks.has(plan.planId))) break;
+            }
+        } else {
+            console.log(`  Could not sort the results by ${key}`);
+        }
+
+        for (const plan of plans) {
+            plan.ranks[key] = ranks.has(plan.planId) ? ranks.get(plan.planId) : null;
+        }
+    }
+}
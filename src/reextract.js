@@ -0,0 +1,264 @@
+/**
+ * Re-extract plan data from saved HTML snapshots - no network access
+ * Runs the same extractors as the crawl over the pages saved with --snapshots,
+ * so a parser fix does not need a recrawl
+ *
+ * Usage:
+ *   npm run reextract                          - Re-extract output/snapshots
+ *   node src/reextract.js --snapshots <dir>    - Read snapshots from another directory
+ *   node src/reextract.js --zipcode 63101      - Only re-extract one zipcode
+ */
+
+import { chromium } from 'playwright';
+import { extractPlanList, extractPlanDetails, extractCurrentTierData, getTotalPlanInfo } from './extractors.js';
+import { rankPlans, getActiveSortOrder } from './ranking.js';
+import { config } from './config.js';
+import { exportToJSON, exportToCSV, exportErrors, exportLongFormatTables } from './exporters.js';
+import { getSnapshotDir, loadManifest, readSnapshot } from './snapshots.js';
+import { pickScenario, scenarioKey } from './scenarios.js';
+import { buildDrugTierMatrix } from './normalize.js';
+import { writeUnmappedReport } from './taxonomy.js';
+import { buildQualityReport, writeQualityReport } from './validation.js';
+
+const OUTPUT_JSON = 'medicare_plans_reextracted.json';
+const OUTPUT_CSV = 'medicare_plans_reextracted.csv';
+const OUTPUT_SUFFIX = '_reextracted';  // Long-format tables and data quality report, next to the crawl's own
+const ERRORS_FILE = 'reextract_errors.json';
+
+// Used for snapshots that were saved without a URL
+const FALLBACK_URL = 'https://www.medicare.gov/plan-compare/';
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs() {
+    const args = process.argv.slice(2);
+    const options = {
+        snapshotDir: getSnapshotDir(),
+        zipcode: null
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+
+        if (arg === '--snapshots' || arg === '-s') {
+            options.snapshotDir = args[++i];
+        } else if (arg === '--zipcode' || arg === '-z') {
+            options.zipcode = args[++i];
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Group manifest records by zipcode, scenario and county
+ * @param {Array} records - Manifest records
+ * @returns {Map} Unit key -> { info, results, details, pharmacy }
+ */
+function groupByUnit(records) {
+    const units = new Map();
+
+    for (const record of records) {
+        const unitKey = `${scenarioKey(record)}|${record.fips || 'default'}`;
+        if (!units.has(unitKey)) {
+            units.set(unitKey, {
+                info: {
+                    zipcode: record.zipcode,
+                    state: record.state,
+                    city: record.city,
+                    ...pickScenario(record),
+                    countyName: record.countyName,
+                    fips: record.fips
+                },
+                results: [],
+                details: new Map(),
+                pharmacy: new Map()
+            });
+        }
+
+        const unit = units.get(unitKey);
+        if (record.kind === 'results') {
+            unit.results.push(record);
+        } else if (record.kind === 'details') {
+            unit.details.set(record.planId, record);
+        } else if (record.kind === 'pharmacy') {
+            const variants = unit.pharmacy.get(record.planId) || [];
+            variants.push(record);
+            unit.pharmacy.set(record.planId, variants);
+        }
+    }
+
+    return units;
+}
+
+/**
+ * Create a page that serves snapshots instead of the network
+ * Navigations get the current snapshot, every other request is blocked
+ * @param {import('playwright').Browser} browser - Playwright browser
+ * @returns {Promise<Object>} { page, open(html, url) }
+ */
+async function createOfflinePage(browser) {
+    const context = await browser.newContext();
+    const page = await context.newPage();
+    let currentHtml = '';
+
+    await page.route('**/*', route => {
+        if (route.request().isNavigationRequest()) {
+            return route.fulfill({ status: 200, contentType: 'text/html; charset=utf-8', body: currentHtml });
+        }
+        return route.abort();
+    });
+
+    const open = async (html, url) => {
+        // Without its scripts the app cannot re-render, so the DOM stays as it was saved
+        currentHtml = html.replace(/<script\b[^>]*>[\s\S]*?<\/script>/gi, '');
+
+        // Leave the previous URL first - a hash-only change would not load the new snapshot
+        await page.goto('about:blank');
+        await page.goto(url || FALLBACK_URL, { waitUntil: 'domcontentloaded' });
+    };
+
+    return { page, open };
+}
+
+/**
+ * Re-extract every plan of one zipcode, scenario and county
+ * @returns {Promise<Array>} Plan records in the same shape as main.js writes them
+ */
+async function reextractUnit(unit, snapshotDir, page, open) {
+    const summaries = [];
+    const seen = new Set();
+    let perPage = 0;
+
+    // Plan cards from the search results pages, in page order
+    const resultPages = [...unit.results].sort((a, b) => (a.pageNumber || 1) - (b.pageNumber || 1));
+    for (const record of resultPages) {
+        await open(await readSnapshot(snapshotDir, record.file), record.url);
+        // Ranked by page number, so a page without a snapshot does not shift the later ranks -
+        // the last page shows fewer plans, the page size comes from the fullest page
+        const pageNumber = record.pageNumber || 1;
+        perPage = Math.max(perPage, (await getTotalPlanInfo(page)).plansPerPage);
+        const planList = rankPlans(await extractPlanList(page), pageNumber, perPage, await getActiveSortOrder(page));
+
+        planList.forEach((plan, index) => {
+            const planId = plan.planId || `unknown-${record.pageNumber}-${index}`;
+            if (!seen.has(planId)) {
+                seen.add(planId);
+                summaries.push(plan);
+            }
+        });
+    }
+
+    // Details pages whose results page was not saved
+    for (const planId of unit.details.keys()) {
+        if (!seen.has(planId)) {
+            seen.add(planId);
+            summaries.push({ planId });
+        }
+    }
+
+    const plans = [];
+    for (const plan of summaries) {
+        const record = unit.details.get(plan.planId);
+        let details = null;
+
+        if (record) {
+            await open(await readSnapshot(snapshotDir, record.file), record.url);
+            details = await extractPlanDetails(page, { interactive: false });
+            details.pageUrl = record.url;
+
+            // The other pharmacy options were saved as their own snapshots
+            for (const variant of unit.pharmacy.get(plan.planId) || []) {
+                await open(await readSnapshot(snapshotDir, variant.file), variant.url);
+                details.drugCoverage = details.drugCoverage || {};
+                details.drugCoverage.tiersByPharmacy = details.drugCoverage.tiersByPharmacy || {};
+                details.drugCoverage.tiersByPharmacy[variant.pharmacyKey] = {
+                    label: variant.pharmacyLabel,
+                    tiers: await extractCurrentTierData(page)
+                };
+            }
+            if (details.drugCoverage) {
+                details.drugCoverage.tierMatrix = buildDrugTierMatrix(details.drugCoverage);
+            }
+        }
+
+        plans.push({
+            ...unit.info,
+            ...plan,
+            details,
+            scrapedAt: record ? record.savedAt : null,
+            reextractedAt: new Date().toISOString()
+        });
+    }
+
+    return plans;
+}
+
+/**
+ * Main function
+ */
+async function main() {
+    console.log('\n' + '='.repeat(60));
+    console.log('Medicare Plan Crawler - Re-extract from snapshots');
+    console.log('Started: ' + new Date().toLocaleString());
+    console.log('='.repeat(60));
+
+    const options = parseArgs();
+
+    let records = await loadManifest(options.snapshotDir);
+    if (options.zipcode) {
+        records = records.filter(r => r.zipcode === options.zipcode);
+    }
+
+    const units = groupByUnit(records);
+    console.log(`Loaded ${records.length} snapshots for ${units.size} zipcode/scenario/county units from ${options.snapshotDir}`);
+
+    const browser = await chromium.launch({ headless: true });
+    const { page, open } = await createOfflinePage(browser);
+
+    const allResults = [];
+    const errors = [];
+    let done = 0;
+
+    try {
+        for (const unit of units.values()) {
+            done++;
+            const label = `${scenarioKey(unit.info)} ${unit.info.fips || ''}`.trim();
+
+            try {
+                const plans = await reextractUnit(unit, options.snapshotDir, page, open);
+                allResults.push(...plans);
+                console.log(`[${done}/${units.size}] ${label}: ${plans.length} plans`);
+            } catch (err) {
+                console.error(`[${done}/${units.size}] ${label}: ${err.message}`);
+                errors.push({ ...unit.info, error: err.message, timestamp: new Date().toISOString() });
+            }
+        }
+    } finally {
+        await browser.close();
+    }
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`RE-EXTRACT COMPLETE | Plans: ${allResults.length} | Errors: ${errors.length}`);
+    console.log('='.repeat(60));
+
+    if (allResults.length > 0) {
+        await exportToJSON(allResults, OUTPUT_JSON);
+        await exportToCSV(allResults, OUTPUT_CSV);
+        await exportLongFormatTables(allResults, OUTPUT_SUFFIX);
+        await writeQualityReport(buildQualityReport(allResults), config.outputDir, `data_quality_report${OUTPUT_SUFFIX}.json`);
+    }
+
+    if (errors.length > 0) {
+        await exportErrors(errors, ERRORS_FILE);
+    }
+
+    await writeUnmappedReport();
+}
+
+// Run main function
+main().catch(err => {
+    console.error('Fatal error:', err);
+    process.exit(1);
+});
@@ -0,0 +1,263 @@
+/**
+ * Crawl scenarios - the wizard answers a zipcode is crawled with
+ * Each zipcode is crawled once per scenario (plan type x plan year x subsidy profile x drug list x provider list)
+ */
+
+import { config } from './config.js';
+
+// Scenario assumed for records written before these dimensions were tracked
+const LEGACY_PLAN_TYPE = 'MAPD';
+const LEGACY_PLAN_YEAR = 2026;
+const LEGACY_SUBSIDY = 'none';
+const LEGACY_DRUG_LIST = 'none';
+const LEGACY_PROVIDER_LIST = 'none';
+
+/**
+ * Parse a --plan-type value into plan type keys
+ * Accepts comma-separated keys ("MAPD,PDP") or site codes ("PLAN_TYPE_PDP")
+ * @param {string} value - Raw option value
+ * @returns {Array<string>} Keys of config.planTypes
+ */
+export function parsePlanTypes(value) {
+    const keys = String(value || '')
+        .split(',')
+        .map(v => v.trim().toUpperCase().replace(/^PLAN_TYPE_/, ''))
+        .filter(Boolean);
+
+    for (const key of keys) {
+        if (!config.planTypes[key]) {
+            throw new Error(`Unknown plan type "${key}" (expected one of: ${Object.keys(config.planTypes).join(', ')})`);
+        }
+    }
+
+    return [...new Set(keys)];
+}
+
+/**
+ * Parse a --year value into plan years
+ * @param {string} value - Comma-separated years ("2025,2026")
+ * @returns {Array<number>} Plan years
+ */
+export function parseYears(value) {
+    const years = String(value || '')
+        .split(',')
+        .map(v => v.trim())
+        .filter(Boolean);
+
+    for (const year of years) {
+        if (!/^\d{4}$/.test(year)) {
+            throw new Error(`Invalid plan year "${year}" (expected a 4-digit year such as 2026)`);
+        }
+    }
+
+    return [...new Set(years.map(Number))];
+}
+
+/**
+ * Parse a --subsidy value into subsidy profiles
+ * Profiles are comma-separated; programs received together are joined with "+"
+ * ("none,extra-help,medicaid+msp")
+ * @param {string} value - Raw option value
+ * @returns {Array<string>} Profiles with programs in config.subsidyPrograms order
+ */
+export function parseSubsidies(value) {
+    const programOrder = Object.keys(config.subsidyPrograms);
+    const profiles = String(value || '')
+        .split(',')
+        .map(v => v.trim().toLowerCase())
+        .filter(Boolean)
+        .map(profile => {
+            const programs = [...new Set(profile.split('+').map(p => p.trim()).filter(Boolean))];
+
+            if (programs.includes('none')) {
+                if (programs.length > 1) {
+                    throw new Error(`Subsidy profile "${profile}" cannot combine "none" with other programs`);
+                }
+                return 'none';
+            }
+
+            for (const program of programs) {
+                if (!config.subsidyPrograms[program]) {
+                    throw new Error(`Unknown subsidy program "${program}" (expected none or one of: ${programOrder.join(', ')})`);
+                }
+            }
+
+            return programs.sort((a, b) => programOrder.indexOf(a) - programOrder.indexOf(b)).join('+');
+        });
+
+    return [...new Set(profiles)];
+}
+
+/**
+ * Programs of a subsidy profile
+ * @param {string} subsidy - Profile such as "medicaid+msp" or "none"
+ * @returns {Array<string>} Keys of config.subsidyPrograms (empty for "none")
+ */
+export function subsidyPrograms(subsidy) {
+    if (!subsidy || subsidy === 'none') return [];
+    return subsidy.split('+');
+}
+
+/**
+ * Build the list of scenarios to crawl from command line options
+ * @param {Object} options - Parsed options ({ planTypes, years, subsidies, drugLists, providerLists })
+ * @returns {Array<Object>} Array of scenario objects ({ planType, planYear, subsidy, drugList, providerList })
+ */
+export function buildScenarios(options) {
+    const planTypes = options.planTypes && options.planTypes.length > 0
+        ? options.planTypes
+        : config.defaultPlanTypes;
+    const years = options.years && options.years.length > 0
+        ? options.years
+        : config.defaultYears;
+    const subsidies = options.subsidies && options.subsidies.length > 0
+        ? options.subsidies
+        : config.defaultSubsidies;
+    const drugLists = options.drugLists && options.drugLists.length > 0
+        ? options.drugLists
+        : [LEGACY_DRUG_LIST];
+    const providerLists = options.providerLists && options.providerLists.length > 0
+        ? options.providerLists
+        : [LEGACY_PROVIDER_LIST];
+
+    const scenarios = [];
+    for (const planYear of years) {
+        for (const planType of planTypes) {
+            for (const subsidy of subsidies) {
+                for (const drugList of drugLists) {
+                    for (const providerList of providerLists) {
+                        scenarios.push({ planType, planYear, subsidy, drugList, providerList });
+                    }
+                }
+            }
+        }
+    }
+    return scenarios;
+}
+
+/**
+ * Pick the scenario fields out of a request, state entry or plan record
+ * @param {Object} entry - Object carrying scenario fields
+ * @returns {Object} Scenario object
+ */
+export function pickScenario(entry) {
+    return {
+        planType: entry.planType || LEGACY_PLAN_TYPE,
+        planYear: entry.planYear || LEGACY_PLAN_YEAR,
+        subsidy: entry.subsidy || LEGACY_SUBSIDY,
+        drugList: entry.drugList || LEGACY_DRUG_LIST,
+        providerList: entry.providerList || LEGACY_PROVIDER_LIST
+    };
+}
+
+/**
+ * Short label of a scenario for log lines
+ * @param {Object} scenario - Scenario object
+ * @returns {string} Label such as "MAPD 2026" or "PDP 2026 extra-help drugs:diabetes"
+ */
+export function describeScenario(scenario) {
+    const { planType, planYear, subsidy, drugList, providerList } = pickScenario(scenario);
+    const parts = [planType, planYear];
+    if (subsidy !== 'none') parts.push(subsidy);
+    if (drugList !== 'none') parts.push(`drugs:${drugList}`);
+    if (providerList !== 'none') parts.push(`providers:${providerList}`);
+    return parts.join(' ');
+}
+
+/**
+ * Unique key of a zipcode/scenario pair, used for state and request keys
+ * Missing scenario fields fall back to the values older runs were crawled with
+ * @param {Object} entry - Object with zipcode and scenario fields
+ * @returns {string} Key such as "63101|MAPD|2026|none|none|none"
+ */
+export function scenarioKey(entry) {
+    const { planType, planYear, subsidy, drugList, providerList } = pickScenario(entry);
+    return [entry.zipcode, planType, planYear, subsidy, drugList, providerList].join('|');
+}
+
+/**
+ * Whether a scenario can be opened from a search results URL
+ * Subsidy answers, drug lists and provider lists only exist in the wizard, so those scenarios always go through it
+ * @param {Object} scenario - Scenario object
+ * @returns {boolean} True if --direct can skip the wizard
+ */
+export function supportsDirectUrl(scenario) {
+    const { subsidy, drugList, providerList } = pickScenario(scenario);
+    return subsidy === 'none' && drugList === 'none' && providerList === 'none';
+}
+
+/**
+ * Combine zipcodes with scenarios, keeping CSV order
+ * @param {Array} zipcodes - Zipcode objects from ZipCodes.csv
+ * @param {Array} scenarios - Scenario objects from buildScenarios()
+ * @returns {Array} One unit of work per zipcode and scenario
+ */
+export function expandUnits(zipcodes, scenarios) {
+    const units = [];
+    for (const z of zipcodes) {
+        for (const scenario of scenarios) {
+            const unit = { ...z, ...scenario };
+            unit.key = scenarioKey(unit);
+            units.push(unit);
+        }
+    }
+    return units;
+}
+
+/**
+ * Fill a plan compare URL template with scenario values
+ * @param {string} template - URL with {planType} and {year} placeholders
+ * @param {Object} scenario - Scenario object
+ * @returns {string} URL
+ */
+export function fillUrlTemplate(template, scenario) {
+    const { planType, planYear } = pickScenario(scenario);
+    return template
+        .replace('{planType}', config.planTypes[planType].code)
+        .replace('{year}', planYear);
+}
+
+/**
+ * Wizard start page for a scenario
+ * @param {Object} scenario - Scenario object
+ * @returns {string} URL
+ */
+export function buildStartUrl(scenario) {
+    return fillUrlTemplate(config.baseUrl, scenario);
+}
+
+/**
+ * Set or replace a query parameter of a hash-routed plan compare URL
+ */
+function setUrlParam(url, name, value) {
+    const pattern = new RegExp(`([?&])${name}=[^&]*`);
+    if (pattern.test(url)) {
+        return url.replace(pattern, `$1${name}=${value}`);
+    }
+
+    const separator = url.includes('?') ? '&' : '?';
+    return `${url}${separator}${name}=${value}`;
+}
+
+/**
+ * Set the plan_type and year parameters of a plan compare URL
+ * @param {string} url - Search results or plan details URL
+ * @param {Object} scenario - Scenario object
+ * @returns {string} URL showing the scenario's plan type and year
+ */
+export function applyScenarioToUrl(url, scenario) {
+    const { planType, planYear } = pickScenario(scenario);
+    const withType = setUrlParam(url, 'plan_type', config.planTypes[planType].code);
+    return setUrlParam(withType, 'year', planYear);
+}
+
+/**
+ * Fill scenario fields missing from entries written by older runs
+ * @param {Object} entry - State or output entry with a zipcode
+ * @returns {Object} The same entry with its scenario fields and key set
+ */
+export function fillScenarioDefaults(entry) {
+    Object.assign(entry, pickScenario(entry));
+    entry.key = scenarioKey(entry);
+    return entry;
+}
@@ -0,0 +1,160 @@
+/**
+ * HTML snapshots - save the rendered search results and plan details pages while crawling
+ * so parser fixes can be re-run offline with src/reextract.js instead of recrawling
+ *
+ * Layout (under config.outputDir):
+ *   snapshots/<zipcode>/<scenario>/<fips>/results-p1.html.gz
+ *   snapshots/<zipcode>/<scenario>/<fips>/plan-<planId>.html.gz
+ *   snapshots/<zipcode>/<scenario>/<fips>/plan-<planId>.pharmacy-<key>.html.gz
+ *   snapshots/manifest.jsonl - one line per snapshot with the zipcode, scenario, county and URL
+ */
+
+import { readFile, writeFile, mkdir, appendFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import { gzip, gunzip } from 'zlib';
+import { promisify } from 'util';
+import { config } from './config.js';
+import { pickScenario, scenarioKey } from './scenarios.js';
+
+const gzipAsync = promisify(gzip);
+const gunzipAsync = promisify(gunzip);
+
+const SNAPSHOT_DIR = 'snapshots';
+const MANIFEST_FILE = 'manifest.jsonl';
+
+// Set by enableSnapshots() - snapshots are only written when --snapshots is given
+let snapshotRoot = null;
+
+/**
+ * Directory holding the snapshots of an output directory
+ * @param {string} outputDir - Crawl output directory
+ * @returns {string} Snapshot directory
+ */
+export function getSnapshotDir(outputDir = config.outputDir) {
+    return `${outputDir}/${SNAPSHOT_DIR}`;
+}
+
+/**
+ * Turn on snapshot capture for this run
+ * @param {string} outputDir - Crawl output directory
+ */
+export function enableSnapshots(outputDir = config.outputDir) {
+    snapshotRoot = getSnapshotDir(outputDir);
+    console.log(`Saving HTML snapshots to ${snapshotRoot}`);
+}
+
+/**
+ * Make a value safe to use in a file name
+ */
+function safeName(value) {
+    return String(value).replace(/[^A-Za-z0-9_-]+/g, '_');
+}
+
+/**
+ * Relative snapshot path for a page
+ */
+function snapshotPath(info, kind, extra) {
+    const scenarioDir = safeName(scenarioKey(info).split('|').slice(1).join('_'));
+    const dir = `${safeName(info.zipcode)}/${scenarioDir}/${safeName(info.fips || 'default')}`;
+
+    if (kind === 'results') {
+        return `${dir}/results-p${extra.pageNumber || 1}.html.gz`;
+    }
+    if (kind === 'pharmacy') {
+        return `${dir}/plan-${safeName(extra.planId)}.pharmacy-${safeName(extra.pharmacyKey)}.html.gz`;
+    }
+    return `${dir}/plan-${safeName(extra.planId)}.html.gz`;
+}
+
+/**
+ * Save the rendered HTML of the current page
+ * Failures are logged and never interrupt the crawl
+ * @param {import('playwright').Page} page - Playwright page object
+ * @param {Object} info - Zipcode, scenario and county the page was crawled for
+ * @param {string} kind - "results", "details" or "pharmacy"
+ * @param {Object} extra - pageNumber (results), planId (details), pharmacyKey/pharmacyLabel (pharmacy)
+ * @returns {Promise<string|null>} Relative path of the snapshot
+ */
+export async function saveSnapshot(page, info, kind, extra = {}) {
+    if (!snapshotRoot) return null;
+
+    try {
+        const file = snapshotPath(info, kind, extra);
+        const html = await page.content();
+        const compressed = await gzipAsync(html);
+
+        const filePath = `${snapshotRoot}/${file}`;
+        await mkdir(filePath.slice(0, filePath.lastIndexOf('/')), { recursive: true });
+        await writeFile(filePath, compressed);
+
+        const record = {
+            file,
+            kind,
+            zipcode: info.zipcode,
+            state: info.state || null,
+            city: info.city || null,
+            ...pickScenario(info),
+            countyName: info.countyName || null,
+            fips: info.fips || null,
+            ...extra,
+            url: page.url(),
+            savedAt: new Date().toISOString()
+        };
+        await appendFile(`${snapshotRoot}/${MANIFEST_FILE}`, JSON.stringify(record) + '\n');
+
+        return file;
+    } catch (err) {
+        console.warn(`  [Snapshot] Could not save ${kind} snapshot: ${err.message}`);
+        return null;
+    }
+}
+
+/**
+ * Snapshot callback for extractPlanDetails()
+ * @param {import('playwright').Page} page - Playwright page object
+ * @param {Object} info - Zipcode, scenario and county of the plan
+ * @param {string} planId - Plan ID
+ * @returns {Function|null} (kind, extra) => Promise, or null when snapshots are off
+ */
+export function detailsSnapshotHook(page, info, planId) {
+    if (!snapshotRoot || !planId) return null;
+    return (kind, extra = {}) => saveSnapshot(page, info, kind, { planId, ...extra });
+}
+
+/**
+ * Read the snapshot manifest
+ * A page saved more than once (retries, resumed runs) keeps its latest record
+ * @param {string} snapshotDir - Snapshot directory
+ * @returns {Promise<Array>} Manifest records
+ */
+export async function loadManifest(snapshotDir = getSnapshotDir()) {
+    const manifestPath = `${snapshotDir}/${MANIFEST_FILE}`;
+    if (!existsSync(manifestPath)) {
+        throw new Error(`No snapshot manifest found at ${manifestPath} - crawl with --snapshots first`);
+    }
+
+    const content = await readFile(manifestPath, 'utf-8');
+    const records = new Map();
+    for (const line of content.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+            const record = JSON.parse(line);
+            records.set(record.file, record);
+        } catch {
+            // Skip a line cut short by a crash
+        }
+    }
+
+    return [...records.values()];
+}
+
+/**
+ * Read and decompress one snapshot
+ * @param {string} snapshotDir - Snapshot directory
+ * @param {string} file - Relative path from the manifest
+ * @returns {Promise<string>} HTML
+ */
+export async function readSnapshot(snapshotDir, file) {
+    const compressed = await readFile(`${snapshotDir}/${file}`);
+    return (await gunzipAsync(compressed)).toString('utf-8');
+}
@@ -0,0 +1,38 @@
+/**
+ * Subsidy step of the wizard - "Do you get help paying for Medicare"
+ * Selects the programs of a subsidy profile (Medicaid, SSI, Medicare Savings Program, Extra Help)
+ */
+
+import { config, sleep } from './config.js';
+import { subsidyPrograms } from './scenarios.js';
+import { clickFirst, clickLabel } from './pageUtils.js';
+
+/**
+ * Check one program's checkbox, trying its selectors first and then the label text
+ * @returns {Promise<boolean>} True if the program is selected
+ */
+async function selectProgram(page, program) {
+    const { selectors, labelText } = config.subsidyPrograms[program];
+    return await clickFirst(page, selectors, { check: true }) || clickLabel(page, labelText, { check: true });
+}
+
+/**
+ * Select every program of a subsidy profile on the help step
+ * Throws if a program cannot be found, so the zipcode is not crawled with the wrong answers
+ * @param {import('playwright').Page} page - Playwright page object
+ * @param {string} subsidy - Profile such as "extra-help" or "medicaid+msp"
+ * @returns {Promise<Array<string>>} Programs selected
+ */
+export async function selectSubsidyPrograms(page, subsidy) {
+    const programs = subsidyPrograms(subsidy);
+
+    for (const program of programs) {
+        if (!await selectProgram(page, program)) {
+            throw new Error(`Could not select subsidy program "${program}" in the wizard`);
+        }
+        console.log(`  Selected help program: ${program}`);
+        await sleep(config.delays.betweenActions);
+    }
+
+    return programs;
+}
@@ -0,0 +1,161 @@
+/**
+ * Benefit taxonomy - map the benefit labels the site shows to stable canonical keys
+ * The labels and keys live in benefitTaxonomy.json; bump its version whenever a key changes meaning.
+ * Labels without a mapping keep their text-derived key and are collected for the unmapped report
+ * written after each run, so the taxonomy can be extended instead of columns silently changing.
+ */
+
+import { readFileSync } from 'fs';
+import { writeFile, mkdir } from 'fs/promises';
+import { config } from './config.js';
+
+const REPORT_FILE = 'unmapped_benefit_labels.json';
+
+const taxonomy = JSON.parse(readFileSync(new URL('./benefitTaxonomy.json', import.meta.url), 'utf-8'));
+
+export const TAXONOMY_VERSION = taxonomy.version;
+
+// Unmapped labels seen in this run - "kind|label" -> { kind, label, count, example }
+const unmapped = new Map();
+
+/**
+ * Normalize a label for lookup - "Eyeglasses (frames & lenses)" -> "eyeglasses frames lenses"
+ * @param {string} label - Label text or a text-derived key such as "doctor_services"
+ * @returns {string} Lowercase words separated by single spaces
+ */
+export function normalizeLabel(label) {
+    return String(label || '')
+        .toLowerCase()
+        .replace(/&/g, ' ')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+/**
+ * Lookup table of one list of the taxonomy - exact labels first, then patterns in file order
+ */
+function buildMatcher(entries) {
+    const byLabel = new Map();
+    for (const entry of entries) {
+        for (const label of entry.labels || []) byLabel.set(normalizeLabel(label), entry.key);
+    }
+    const patterns = entries.flatMap(entry =>
+        (entry.patterns || []).map(pattern => ({ key: entry.key, pattern: new RegExp(pattern, 'i') })));
+    return { byLabel, patterns };
+}
+
+const matchers = {
+    section: buildMatcher(taxonomy.sections),
+    benefit: buildMatcher(taxonomy.benefits)
+};
+
+/**
+ * Canonical key of a label
+ * @param {string} kind - 'section' (section captions) or 'benefit' (card benefits and extra benefit rows)
+ * @param {string} label - Label as shown on the site
+ * @returns {string|null} Canonical key, null when the taxonomy has no mapping
+ */
+export function canonicalKey(kind, label) {
+    const matcher = matchers[kind];
+    const text = normalizeLabel(label);
+    if (!matcher || !text) return null;
+
+    if (matcher.byLabel.has(text)) return matcher.byLabel.get(text);
+    const found = matcher.patterns.find(p => p.pattern.test(text));
+    return found ? found.key : null;
+}
+
+/**
+ * Remember a label without a mapping for the unmapped report
+ */
+function recordUnmapped(kind, label, example) {
+    const id = `${kind}|${label}`;
+    const entry = unmapped.get(id);
+    if (entry) {
+        entry.count++;
+    } else {
+        unmapped.set(id, { kind, label, count: 1, example: example || null });
+    }
+}
+
+/**
+ * Card benefits keyed by canonical key - { "Fitness benefits": false } -> { fitness: false }
+ * @param {Object} benefits - { label: offered } from the plan card
+ * @param {string} example - Plan name, shown next to unmapped labels in the report
+ * @returns {Object} { key: offered } - unmapped labels keep their lowercase text as key
+ */
+export function canonicalizeCardBenefits(benefits, example = null) {
+    const result = {};
+    for (const [label, offered] of Object.entries(benefits || {})) {
+        let key = canonicalKey('benefit', label);
+        if (!key) {
+            recordUnmapped('card', label, example);
+            key = label.toLowerCase();
+        }
+        result[key] = result[key] || offered;
+    }
+    return result;
+}
+
+/**
+ * Details sections keyed by canonical section key, each row with its canonical benefit key
+ * @param {Object} sections - { section_name: [row] } from extractPlanDetails (extraBenefits or benefitsCosts)
+ * @param {string} labelField - Row field holding the row label ("benefit" or "service"), null to leave rows alone
+ * @param {string} example - Plan name, shown next to unmapped labels in the report
+ * @returns {Object} { key: [row] } - unmapped sections keep their text-derived name; rows get key (null when unmapped)
+ */
+export function canonicalizeSections(sections, labelField = null, example = null) {
+    const result = {};
+    for (const [name, rows] of Object.entries(sections || {})) {
+        let key = canonicalKey('section', name);
+        if (!key) {
+            recordUnmapped('section', name, example);
+            key = name;
+        }
+
+        if (labelField) {
+            for (const row of rows) {
+                row.key = canonicalKey('benefit', row[labelField]);
+                if (!row.key) recordUnmapped('benefit', row[labelField], example);
+            }
+        }
+        result[key] = (result[key] || []).concat(rows);
+    }
+    return result;
+}
+
+/**
+ * Labels without a mapping seen so far in this run, most frequent first
+ * @returns {Array<Object>} { kind, label, count, example }
+ */
+export function getUnmappedLabels() {
+    return [...unmapped.values()].sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+}
+
+/**
+ * Write the unmapped label report of this run and log a summary
+ * Failures are logged and never fail the run
+ * @param {string} outputDir - Crawl output directory
+ * @returns {Promise<number>} Number of unmapped labels
+ */
+export async function writeUnmappedReport(outputDir = config.outputDir) {
+    const labels = getUnmappedLabels();
+    try {
+        await mkdir(outputDir, { recursive: true });
+        await writeFile(`${outputDir}/${REPORT_FILE}`, JSON.stringify({
+            taxonomyVersion: TAXONOMY_VERSION,
+            generatedAt: new Date().toISOString(),
+            labels
+        }, null, 2));
+    } catch (err) {
+        console.warn(`Could not write ${REPORT_FILE}: ${err.message}`);
+    }
+
+    if (labels.length > 0) {
+        console.log(`\n[Taxonomy ${TAXONOMY_VERSION}] ${labels.length} unmapped benefit labels - see ${outputDir}/${REPORT_FILE}`);
+        for (const { kind, label, count } of labels.slice(0, 10)) {
+            console.log(`  ${kind}: "${label}" (${count}x)`);
+        }
+    }
+    return labels.length;
+}
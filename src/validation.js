@@ -0,0 +1,224 @@
+/**
+ * Data quality - cross-check the plan card values against the plan details page
+ * Card fields (extractPlanList) and details (extractPlanDetails) overlap in name, carrier, premium,
+ * deductibles, maximum out-of-pocket, doctor copays and star rating. A disagreement usually means a
+ * partially loaded details page or a parser bug, so every plan is checked and the issues are written
+ * to a report; parallel.js can requeue the affected plans for Phase 2 (--requeue-mismatches).
+ */
+
+import { writeFile, mkdir } from 'fs/promises';
+import { config } from './config.js';
+import { parseCost, parseDollars, normalizeDetailCosts, parseBenefitCost } from './normalize.js';
+
+const REPORT_FILE = 'data_quality_report.json';
+
+// Dollar amounts and ratings closer than this are equal
+const TOLERANCE = 0.005;
+
+/**
+ * Amount of a parsed cost, the in-network amount when the text names one
+ */
+function costValue(cost) {
+    if (!cost) return null;
+    return cost.inNetwork !== null ? cost.inNetwork : cost.amount;
+}
+
+/**
+ * First value that is not null
+ */
+function firstValue(...values) {
+    const found = values.find(v => v !== null && v !== undefined);
+    return found === undefined ? null : found;
+}
+
+/**
+ * In-network copay of the first benefitsCosts service whose name matches
+ */
+function serviceCopay(benefitsCosts, pattern) {
+    for (const rows of Object.values(benefitsCosts || {})) {
+        const row = rows.find(r => pattern.test(r.service || ''));
+        if (!row) continue;
+        const entries = row.costDetails || parseBenefitCost(row.cost);
+        const entry = entries.find(e => e.network === 'inNetwork' && e.copay !== null) || entries.find(e => e.copay !== null);
+        return entry ? entry.copay : null;
+    }
+    return null;
+}
+
+/**
+ * Maximum you pay of the details page - the in-network amount of the first row with one
+ */
+function detailsMaxOutOfPocket(costs) {
+    const values = [...Object.values(costs.maximumYouPay), costs.whatYouPay.maximum_you_pay].filter(Boolean);
+    const inNetwork = values.find(c => c.inNetwork !== null);
+    return inNetwork ? inNetwork.inNetwork : firstValue(...values.map(c => c.amount));
+}
+
+/**
+ * Star rating as a number
+ */
+function ratingValue(value) {
+    const rating = parseFloat(value);
+    return Number.isNaN(rating) ? null : rating;
+}
+
+// Overlapping fields - required fields are always on the details page, so a missing value is an issue too
+const CHECKS = [
+    {
+        field: 'planName',
+        type: 'text',
+        required: true,
+        card: plan => plan.planName,
+        details: details => details.planName
+    },
+    {
+        field: 'carrier',
+        type: 'text',
+        card: plan => plan.carrier,
+        details: details => details.carrier
+    },
+    {
+        field: 'monthlyPremium',
+        type: 'number',
+        required: true,
+        card: plan => costValue(parseCost(plan.monthlyPremium)),
+        details: (details, costs) => firstValue(costValue(costs.premiums.total_monthly_premium), costValue(costs.whatYouPay.monthly_premium))
+    },
+    {
+        field: 'healthDeductible',
+        type: 'number',
+        card: plan => costValue(parseCost(plan.healthDeductible)),
+        details: (details, costs) => costValue(costs.deductibles.health_deductible)
+    },
+    {
+        field: 'drugDeductible',
+        type: 'number',
+        card: plan => costValue(parseCost(plan.drugDeductible)),
+        details: (details, costs) => costValue(costs.deductibles.drug_deductible)
+    },
+    {
+        field: 'maxOutOfPocket',
+        type: 'number',
+        card: plan => costValue(parseCost(plan.maxOutOfPocket)),
+        details: (details, costs) => detailsMaxOutOfPocket(costs)
+    },
+    {
+        field: 'primaryDoctorCopay',
+        type: 'number',
+        card: plan => parseDollars(plan.primaryDoctorCopay),
+        details: details => serviceCopay(details.benefitsCosts, /primary/i)
+    },
+    {
+        field: 'specialistCopay',
+        type: 'number',
+        card: plan => parseDollars(plan.specialistCopay),
+        details: details => serviceCopay(details.benefitsCosts, /specialist/i)
+    },
+    {
+        field: 'starRating',
+        type: 'number',
+        card: plan => ratingValue(plan.starRating),
+        details: details => ratingValue(details.starRatings && details.starRatings.overall)
+    }
+];
+
+/**
+ * Whether a card value and a details value agree
+ */
+function sameValue(type, a, b) {
+    if (type === 'number') return Math.abs(a - b) < TOLERANCE;
+    return String(a).replace(/\s+/g, ' ').trim().toLowerCase() === String(b).replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Compare the overlapping card and details fields of one plan
+ * Fields missing on the card are skipped; plans without details (or with a details error) are not checked
+ * @param {Object} plan - Plan card fields (plan record or parallel.js plan entry)
+ * @param {Object} details - extractPlanDetails() result
+ * @returns {Array<Object>} { field, issue: 'mismatch'|'missing', card, details }
+ */
+export function crossCheckPlan(plan, details) {
+    if (!plan || !details || details.error) return [];
+
+    const costs = normalizeDetailCosts(details);
+    const issues = [];
+    for (const check of CHECKS) {
+        const cardValue = firstValue(check.card(plan));
+        if (cardValue === null || cardValue === '') continue;
+
+        const detailsValue = firstValue(check.details(details, costs));
+        if (detailsValue === null || detailsValue === '') {
+            if (check.required) issues.push({ field: check.field, issue: 'missing', card: cardValue, details: null });
+            continue;
+        }
+        if (!sameValue(check.type, cardValue, detailsValue)) {
+            issues.push({ field: check.field, issue: 'mismatch', card: cardValue, details: detailsValue });
+        }
+    }
+    return issues;
+}
+
+/**
+ * Data quality report of a crawl
+ * @param {Array<Object>} records - Plan records with their card fields and details, e.g. main.js results
+ * @returns {Object} { generatedAt, plansChecked, plansWithIssues, byField, issues } - one issue per plan and field,
+ *   with the zipcode, scenario, county and plan it belongs to
+ */
+export function buildQualityReport(records) {
+    const issues = [];
+    const byField = {};
+    let plansChecked = 0;
+    let plansWithIssues = 0;
+
+    for (const record of records) {
+        if (!record.details || record.details.error) continue;
+        plansChecked++;
+
+        const planIssues = crossCheckPlan(record, record.details);
+        if (planIssues.length === 0) continue;
+        plansWithIssues++;
+
+        for (const issue of planIssues) {
+            byField[issue.field] = (byField[issue.field] || 0) + 1;
+            issues.push({
+                zipcode: record.zipcode || null,
+                fips: record.fips || null,
+                planType: record.planType || null,
+                planYear: record.planYear || null,
+                subsidy: record.subsidy || null,
+                drugList: record.drugList || null,
+                providerList: record.providerList || null,
+                planId: record.planId || null,
+                planName: record.planName || null,
+                ...issue
+            });
+        }
+    }
+
+    return { generatedAt: new Date().toISOString(), plansChecked, plansWithIssues, byField, issues };
+}
+
+/**
+ * Write the data quality report and log a summary
+ * Failures are logged and never fail the run
+ * @param {Object} report - buildQualityReport() result
+ * @param {string} outputDir - Crawl output directory
+ * @param {string} fileName - Report file name
+ * @returns {Promise<string|null>} Path of the report
+ */
+export async function writeQualityReport(report, outputDir = config.outputDir, fileName = REPORT_FILE) {
+    const filePath = `${outputDir}/${fileName}`;
+    try {
+        await mkdir(outputDir, { recursive: true });
+        await writeFile(filePath, JSON.stringify(report, null, 2));
+    } catch (err) {
+        console.warn(`Could not write ${fileName}: ${err.message}`);
+        return null;
+    }
+
+    console.log(`\n[Data quality] ${report.plansWithIssues}/${report.plansChecked} plans with card/details issues - see ${filePath}`);
+    for (const [field, count] of Object.entries(report.byField)) {
+        console.log(`  ${field}: ${count}`);
+    }
+    return filePath;
+}
@@ -0,0 +1,438 @@
+/**
+ * Wizard navigation - a state machine over the screens of the plan compare wizard, used by main.js and parallel.js
+ * Each round reads the current screen (from the URL, the headings and the controls on the page) and hands it
+ * to the first step handler that detects it. The handler answers the screen, then verifies where the wizard went.
+ * Scenario options (plan type, subsidy, drugs, providers) are handlers checked before the site's default answers.
+ * A screen no handler answers, or a step that does not take, ends the navigation with a WizardError naming the screen:
+ *   Could not navigate wizard - stuck on the coverage screen: Select the coverage you are looking for
+ */
+
+import { config, sleep } from './config.js';
+import { applyScenarioToUrl, pickScenario, describeScenario } from './scenarios.js';
+import { selectCounty, completeCountySelection } from './counties.js';
+import { selectSubsidyPrograms } from './subsidy.js';
+import { enterDrugs } from './drugs.js';
+import { enterProviders } from './providers.js';
+import { clickFirst, clickLabel } from './pageUtils.js';
+
+// Screens recognized by their URL
+const URL_SCREENS = [
+    { screen: 'results', pattern: /search-results/ },
+    { screen: 'login', pattern: /\/(?:account\/)?(?:login|sign-?in)\b/i }
+];
+
+// Screens recognized by their main heading - title: the page title is checked too (error pages may have no heading)
+const HEADING_SCREENS = [
+    { screen: 'login', pattern: /\b(?:log|sign) ?in\b|create an account/i },
+    { screen: 'maintenance', pattern: /maintenance|temporarily unavailable|be back soon/i, title: true },
+    { screen: 'error', pattern: /something went wrong|page not found|we're sorry|an error (?:has )?occurred|access denied/i, title: true },
+    { screen: 'coverage', pattern: /what coverage|type of coverage/i },
+    { screen: 'help', pattern: /help (?:paying|with your costs)/i },
+    { screen: 'pharmacy', pattern: /pharmac(?:y|ies)/i },
+    { screen: 'drug-search', pattern: /add (?:your )?(?:prescription )?drugs|drug list/i },
+    { screen: 'drugs', pattern: /drug costs|drug coverage/i },
+    { screen: 'providers', pattern: /doctors|providers/i }
+];
+
+// Screens recognized by a visible control, in order - the zip screen shows the county choice once a zipcode is entered
+const ELEMENT_SCREENS = [
+    ['login', 'password'],
+    ['results', 'planCards'],
+    ['county', 'countyChoice'],
+    ['zip', 'zipInput'],
+    ['coverage', 'coverage'],
+    ['help', 'helpQuestion'],
+    ['drugs', 'drugsQuestion'],
+    ['drug-search', 'drugSearch'],
+    ['providers', 'providerSearch']
+];
+
+/**
+ * Navigation error naming the wizard screen it stopped on
+ */
+export class WizardError extends Error {
+    /**
+     * @param {Object} current - readScreen() result of the screen the wizard is stuck on
+     * @param {string} reason - What went wrong there
+     */
+    constructor(current, reason) {
+        const where = current.screen === 'unknown' ? 'an unknown screen' : `the ${current.screen} screen`;
+        super(`Could not navigate wizard - stuck on ${where}: ${reason}`);
+        this.name = 'WizardError';
+        this.screen = current.screen;
+        this.url = current.url;
+    }
+}
+
+/**
+ * Name the wizard screen a page snapshot shows
+ * The URL wins over the headings, the headings over the page title and the title over the controls on the page
+ * @param {Object} snapshot - { url, title, headings, alerts, elements: { name: visible } }, see readScreen()
+ * @returns {string} zip, county, coverage, help, drugs, drug-search, pharmacy, providers, results,
+ *                   login, maintenance, error or unknown
+ */
+export function identifyScreen(snapshot) {
+    const { url = '', title = '', headings = [], alerts = [], elements = {} } = snapshot || {};
+
+    const byUrl = URL_SCREENS.find(s => s.pattern.test(url));
+    if (byUrl) return byUrl.screen;
+
+    // Main headings only - side panels ("Log in or create an account") have their own h2
+    for (const heading of headings) {
+        const byHeading = HEADING_SCREENS.find(s => s.pattern.test(heading));
+        if (byHeading) return byHeading.screen;
+    }
+
+    const byTitle = HEADING_SCREENS.find(s => s.title && s.pattern.test(title));
+    if (byTitle) return byTitle.screen;
+
+    const byElement = ELEMENT_SCREENS.find(([, name]) => elements[name]);
+    if (byElement) return byElement[0];
+
+    // Nothing to answer but an alert - the wizard could not be loaded
+    return alerts.length > 0 ? 'error' : 'unknown';
+}
+
+/**
+ * Selectors of the controls identifyScreen() looks for
+ */
+function screenElements() {
+    const coverage = [...new Set(Object.values(config.planTypes).flatMap(t => t.coverageSelectors))];
+    return {
+        password: config.wizardSelectors.password,
+        planCards: config.selectors.planCards,
+        countyChoice: config.wizardSelectors.countyChoice,
+        zipInput: config.wizardSelectors.zipInput,
+        coverage: coverage.join(', '),
+        helpQuestion: config.wizardSelectors.helpQuestion,
+        drugsQuestion: config.wizardSelectors.drugsQuestion,
+        drugSearch: config.drugSelectors.searchInput,
+        providerSearch: config.providerSelectors.searchInput
+    };
+}
+
+/**
+ * Read the current wizard screen
+ * @param {import('playwright').Page} page - Playwright page object
+ * @returns {Promise<Object>} { screen, url, title, headings, alerts, elements }
+ */
+export async function readScreen(page) {
+    const snapshot = { url: page.url(), title: '', headings: [], alerts: [], elements: {} };
+
+    try {
+        Object.assign(snapshot, await page.evaluate(() => {
+            const visible = el => !!(el.offsetWidth || el.offsetHeight || el.getClientRects().length);
+            const texts = selector => Array.from(document.querySelectorAll(selector))
+                .filter(visible)
+                .map(el => el.textContent.replace(/\s+/g, ' ').trim())
+                .filter(Boolean);
+
+            return {
+                title: document.title,
+                headings: texts('h1, [role="heading"][aria-level="1"]'),
+                alerts: texts('[role="alert"], .ds-c-alert--error')
+            };
+        }));
+    } catch { }
+
+    for (const [name, selector] of Object.entries(screenElements())) {
+        try {
+            const element = await page.$(selector);
+            snapshot.elements[name] = !!element && await element.isVisible();
+        } catch {
+            snapshot.elements[name] = false;
+        }
+    }
+
+    return { screen: identifyScreen(snapshot), ...snapshot };
+}
+
+/**
+ * Wait for the wizard to show a screen other than the previous one, or a new alert on it
+ * @param {import('playwright').Page} page - Playwright page object
+ * @param {Object|null} previous - readScreen() result before the last answer, null for the first screen
+ * @returns {Promise<Object>} readScreen() result - the previous screen again when the wizard did not move
+ */
+async function waitForScreen(page, previous) {
+    const deadline = Date.now() + config.timeouts.wizardScreen;
+    const previousAlerts = previous ? previous.alerts.join('\n') : '';
+
+    while (true) {
+        const current = await readScreen(page);
+        const moved = previous
+            ? current.screen !== previous.screen || (current.alerts.length > 0 && current.alerts.join('\n') !== previousAlerts)
+            : current.screen !== 'unknown';
+
+        if (moved || Date.now() >= deadline) return current;
+        await sleep(500);
+    }
+}
+
+/**
+ * Click the first visible element of a list of selectors, or fail the screen
+ */
+async function clickOrFail(page, selectors, missing) {
+    if (!await clickFirst(page, selectors)) {
+        throw new Error(missing);
+    }
+}
+
+/**
+ * Select the requested county, keeping the county options for completeCountySelection()
+ */
+async function chooseCounty(context) {
+    const selection = await selectCounty(context.page, context.fips);
+    if (selection.counties.length > 0 || !context.countySelection) {
+        context.countySelection = selection;
+    }
+
+    if (selection.counties.length > 0) {
+        const { countyName, fips } = selection.county;
+        console.log(`  [${context.zipcode}] Selected county ${countyName} (${fips}) - ${selection.counties.length} options available`);
+    }
+}
+
+async function clickContinue(page) {
+    await sleep(config.delays.betweenActions);
+    await clickOrFail(page, config.wizardSelectors.continueButton, 'no Continue button');
+}
+
+/**
+ * Default check of a step - the wizard left the screen the step answered
+ * @returns {string|null} What went wrong, null when the step took
+ */
+function leftScreen(before, after) {
+    if (after.screen !== before.screen) return null;
+    return after.alerts[0] || 'still shown after answering it';
+}
+
+/**
+ * Check of a site step - the screen it answered must be gone
+ * @param {string} reason - What went wrong when the screen is still shown and it shows no alert
+ * @returns {Function} verify() of the step
+ */
+function mustLeave(reason) {
+    return (before, after) => (after.screen === before.screen ? after.alerts[0] || reason : null);
+}
+
+/**
+ * Wizard step handler - the first handler whose detect() accepts a screen answers it
+ * @typedef {Object} WizardStep
+ * @property {string} name - Shown in the log
+ * @property {Function} detect - (current, context) => boolean, current is a readScreen() result
+ * @property {Function} act - async (context) => void, answers the screen and moves on; throws when it cannot
+ * @property {Function} [verify] - async (before, after, context) => string|null, what went wrong once the
+ *                                 wizard settled on the next screen (defaults to leftScreen)
+ */
+
+// Answers of the site's own screens, used when no scenario step claims the screen
+const SITE_STEPS = [
+    {
+        name: 'zipcode',
+        detect: current => current.screen === 'zip',
+        async act(context) {
+            const input = await context.page.$(config.wizardSelectors.zipInput);
+            await input.click({ clickCount: 3 });
+            await input.fill(context.zipcode);
+            await sleep(config.delays.betweenActions);
+            await sleep(1000); // Wait for county options to appear
+
+            await chooseCounty(context);
+            await clickContinue(context.page);
+        },
+        verify: mustLeave('the zipcode was not accepted')
+    },
+    {
+        name: 'county',
+        detect: current => current.screen === 'county',
+        async act(context) {
+            await chooseCounty(context);
+            await clickContinue(context.page);
+        },
+        verify: mustLeave('the county was not accepted')
+    },
+    {
+        name: 'no help',
+        detect: current => current.screen === 'help',
+        async act({ page }) {
+            if (!await clickFirst(page, config.wizardSelectors.noHelp) && !await clickLabel(page, "don't get help")) {
+                throw new Error('no "I don\'t get help" option');
+            }
+            await clickContinue(page);
+        },
+        verify: mustLeave('the help question was not answered')
+    },
+    {
+        name: 'no drugs',
+        detect: current => current.screen === 'drugs',
+        async act({ page }) {
+            await clickOrFail(page, config.wizardSelectors.noDrugs, 'no "No" answer to the drug coverage question');
+            await clickContinue(page);
+        },
+        verify(before, after) {
+            if (after.screen === 'drug-search') return 'the "No" answer led to the drug search';
+            return mustLeave('the drug coverage question was not answered')(before, after);
+        }
+    },
+    {
+        name: 'skip pharmacies',
+        detect: current => current.screen === 'pharmacy',
+        async act({ page }) {
+            await clickOrFail(page, [config.drugSelectors.skipPharmacy], 'no button to skip adding pharmacies');
+        },
+        verify: mustLeave('skipping the pharmacies did not move on')
+    },
+    {
+        name: 'skip providers',
+        detect: current => current.screen === 'providers',
+        async act({ page }) {
+            await clickOrFail(page, config.wizardSelectors.skipProviders, 'no Skip Adding Providers button');
+        },
+        verify: mustLeave('skipping the providers did not move on')
+    }
+];
+
+// Answers for the scenario options - checked before the site steps
+const SCENARIO_STEPS = [
+    {
+        name: 'plan type',
+        detect: current => current.screen === 'coverage',
+        async act({ page, planType }) {
+            await clickOrFail(page, config.planTypes[planType].coverageSelectors, `no ${planType} coverage option`);
+            await sleep(config.delays.betweenActions);
+            await clickOrFail(page, config.wizardSelectors.findPlans, 'no Find Plans button');
+        },
+        // A submit/continue button instead of Find Plans leads to the login prompt
+        verify: (before, after) => (after.screen === 'login' ? 'Find Plans led to the login prompt' : leftScreen(before, after))
+    },
+    {
+        name: 'subsidy programs',
+        detect: (current, context) => current.screen === 'help' && context.subsidy !== 'none',
+        async act({ page, subsidy }) {
+            await selectSubsidyPrograms(page, subsidy);
+            await clickContinue(page);
+        }
+    },
+    {
+        name: 'drug list',
+        detect: (current, context) => current.screen === 'drugs' && context.drugList !== 'none',
+        async act({ page }) {
+            await clickOrFail(page, config.drugSelectors.yesDrugs, 'no "Yes" answer to the drug coverage question');
+            await clickContinue(page);
+        },
+        verify: (before, after) => (after.screen === 'providers' ? 'the drug search was skipped' : leftScreen(before, after))
+    },
+    {
+        name: 'drug search',
+        detect: (current, context) => current.screen === 'drug-search' && context.drugList !== 'none',
+        async act({ page, drugList }) {
+            await enterDrugs(page, drugList);
+        }
+    },
+    {
+        name: 'provider list',
+        detect: (current, context) => current.screen === 'providers' && context.providerList !== 'none',
+        async act({ page, providerList }) {
+            await enterProviders(page, providerList);
+        }
+    }
+];
+
+// Set by registerWizardStep() - checked before the built-in steps, latest first
+const registeredSteps = [];
+
+/**
+ * Add a wizard step handler, for a new scenario option or a screen the built-in steps do not answer
+ * It is checked before the built-in steps and the handlers registered earlier
+ * @param {WizardStep} step - Step handler
+ * @returns {Function} Removes the handler again
+ */
+export function registerWizardStep(step) {
+    if (!step || !step.name || typeof step.detect !== 'function' || typeof step.act !== 'function') {
+        throw new Error('A wizard step needs a name, a detect() and an act() function');
+    }
+    registeredSteps.unshift(step);
+
+    return () => {
+        const index = registeredSteps.indexOf(step);
+        if (index !== -1) registeredSteps.splice(index, 1);
+    };
+}
+
+/**
+ * Step handler that answers a screen
+ * @param {Object} current - readScreen() result
+ * @param {Object} context - Navigation context: zipcode, fips, planType, subsidy, drugList, providerList
+ * @returns {WizardStep|null} First handler whose detect() accepts the screen, null for a dead end
+ */
+export function findWizardStep(current, context) {
+    return [...registeredSteps, ...SCENARIO_STEPS, ...SITE_STEPS].find(step => step.detect(current, context)) || null;
+}
+
+/**
+ * Why a screen without an answer ends the navigation
+ */
+function deadEndReason(current) {
+    if (current.alerts.length > 0) return current.alerts[0];
+    if (current.screen === 'login') return 'the wizard asks to log in';
+    if (current.headings.length > 0) return `nothing to answer on "${current.headings[0]}"`;
+    return `nothing to answer at ${current.url}`;
+}
+
+/**
+ * Navigate the wizard for one zipcode, scenario and county, screen by screen
+ * @param {import('playwright').Page} page - Playwright page on the wizard start URL
+ * @param {string} zipcode - Zipcode to search for
+ * @param {Object} scenario - Plan type, plan year, subsidy profile, drug list and provider list to search for
+ * @param {string|null} fips - County to select when the zipcode spans several counties
+ * @returns {Promise<Object>} { counties, county } once the search results are shown
+ * @throws {WizardError} Naming the screen the wizard got stuck on
+ */
+export async function navigateWizard(page, zipcode, scenario, fips = null) {
+    const context = { page, zipcode, fips, ...pickScenario(scenario), countySelection: null };
+    console.log(`  [${zipcode}] Navigating wizard (${describeScenario(scenario)})...`);
+
+    try {
+        await page.waitForLoadState('domcontentloaded', { timeout: config.timeouts.navigation });
+        await sleep(config.delays.afterPageLoad);
+
+        let current = await waitForScreen(page, null);
+        for (let count = 0; current.screen !== 'results'; count++) {
+            const step = findWizardStep(current, context);
+            if (!step) throw new WizardError(current, deadEndReason(current));
+            if (count >= config.wizardMaxSteps) throw new WizardError(current, `no search results after ${count} screens`);
+
+            console.log(`  [${zipcode}] Wizard: ${current.screen} screen (${step.name})`);
+            try {
+                await step.act(context);
+            } catch (err) {
+                throw new WizardError(current, err.message);
+            }
+            await sleep(config.delays.afterPageLoad);
+
+            const next = await waitForScreen(page, current);
+            const problem = await (step.verify || leftScreen)(current, next, context);
+            if (problem) throw new WizardError(next, problem);
+            current = next;
+        }
+
+        // MA and MAPD share a wizard option - make sure the results show the requested plan type and year
+        const resultsUrl = applyScenarioToUrl(page.url(), scenario);
+        if (resultsUrl !== page.url()) {
+            console.log(`  [${zipcode}] Switching results to ${describeScenario(scenario)}`);
+            await page.goto(resultsUrl, { waitUntil: 'domcontentloaded' });
+            await sleep(config.delays.afterPageLoad);
+        }
+
+        console.log(`  [${zipcode}] ✓ Wizard completed`);
+        const selection = context.countySelection || { counties: [], county: fips ? { fips, countyName: null } : null };
+        return completeCountySelection(selection, page.url());
+
+    } catch (err) {
+        console.error(`  [${zipcode}] ✗ ${err.message}`);
+        try {
+            await page.screenshot({ path: `${config.outputDir}/error_screenshot.png` });
+        } catch { }
+        throw err;
+    }
+}
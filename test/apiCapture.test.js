@@ -0,0 +1,137 @@
+/**
+ * Tests of the API payload mapping and the API/DOM merge in src/apiCapture.js
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    apiPlanId,
+    searchPayloadPlans,
+    planSummaryFromApi,
+    planDetailsFromApi,
+    mergeApiRecord,
+    mergePlanList,
+    mergePlanDetails
+} from '../src/apiCapture.js';
+
+test('apiPlanId reads joined IDs and contract, plan and segment parts', () => {
+    assert.equal(apiPlanId({ planId: 'H1234-015-1' }), 'H1234-015-1');
+    assert.equal(apiPlanId({ contract_id: 'H1234', plan_id: '15', segment_id: '1' }), 'H1234-015-1');
+    assert.equal(apiPlanId({ contractId: 'S5678', pbpId: 2 }), 'S5678-002-0');
+    assert.equal(apiPlanId({ plan_name: 'No ID' }), null);
+    assert.equal(apiPlanId(null), null);
+});
+
+test('searchPayloadPlans finds the plan list of a payload', () => {
+    assert.equal(searchPayloadPlans({ plans: [{}, {}] }).length, 2);
+    assert.equal(searchPayloadPlans({ results: [{}] }).length, 1);
+    assert.equal(searchPayloadPlans([{}]).length, 1);
+    assert.deepEqual(searchPayloadPlans({ error: 'Unknown zipcode' }), []);
+    assert.deepEqual(searchPayloadPlans(null), []);
+});
+
+test('planSummaryFromApi maps snake_case fields and formats numbers like the cards', () => {
+    const plan = planSummaryFromApi({
+        contract_id: 'H1234',
+        plan_id: '015',
+        segment_id: '0',
+        plan_name: 'Example Choice Rx (HMO-POS)',
+        organization_name: 'Example Health Co',
+        overall_star_rating: { rating: 4.5 },
+        monthly_premium: 18,
+        maximum_oopc: 4900,
+        benefits: { Vision: true, Dental: 0 }
+    });
+
+    assert.equal(plan.planId, 'H1234-015-0');
+    assert.equal(plan.planName, 'Example Choice Rx (HMO-POS)');
+    assert.equal(plan.carrier, 'Example Health Co');
+    assert.equal(plan.starRating, '4.5');
+    assert.equal(plan.monthlyPremium, '$18.00');
+    assert.equal(plan.maxOutOfPocket, '$4,900.00');
+    assert.deepEqual(plan.benefits, { vision: true, dental: false });
+    assert.equal(plan.yearlyCost, null);
+    assert.equal(plan.hasDrugCoverage, null);
+});
+
+test('planDetailsFromApi builds the details sections it has data for', () => {
+    const details = planDetailsFromApi({
+        planId: 'H1234-015-1',
+        planName: 'Example Choice Rx (HMO-POS)',
+        monthlyPremium: '$18.00',
+        drugDeductible: '$250.00',
+        website: 'https://plans.example.test/H1234-015-1',
+        phone: '1-800-555-0100',
+        tiers: [{ tier: 'Tier 1<br>Preferred generic', initialCoverage: '$0copay', catastrophic: '$0' }]
+    });
+
+    assert.equal(details.planWebsite, 'https://plans.example.test/H1234-015-1');
+    assert.equal(details.nonMemberPhone, '1-800-555-0100');
+    assert.equal(details.overview.premiums.total_monthly_premium, '$18.00');
+    assert.equal(details.overview.deductibles.drug_deductible, '$250.00');
+    assert.deepEqual(details.drugCoverage.tiers, [{ tier: 'Tier 1\nPreferred generic', initialCoverage: '$0copay', catastrophic: '$0' }]);
+    assert.equal(planDetailsFromApi({ plan: { planName: 'Wrapped' } }).planName, 'Wrapped');
+    assert.equal(planDetailsFromApi({ planId: 'H1234-015-1', url: '/api/v1/plans/H1234-015-1' }).planWebsite, null);
+});
+
+test('mergeApiRecord prefers API values and falls back to the DOM', () => {
+    const merged = mergeApiRecord(
+        { planName: 'API name', carrier: null, tiers: [], overview: { premiums: { total: '$1.00' } } },
+        { planName: 'DOM name', carrier: 'DOM carrier', tiers: ['dom'], overview: { premiums: { drug: '$2.00' }, deductibles: {} } }
+    );
+
+    assert.equal(merged.planName, 'API name');
+    assert.equal(merged.carrier, 'DOM carrier');
+    assert.deepEqual(merged.tiers, ['dom']);
+    assert.deepEqual(merged.overview, { premiums: { drug: '$2.00', total: '$1.00' }, deductibles: {} });
+});
+
+test('mergePlanList keeps the card order and appends plans only in the payload', () => {
+    const domPlans = [
+        { planId: 'H1234-001-0', planName: 'Card one', monthlyPremium: '$0.00', detailsUrl: 'https://example.test/1', cardIndex: 0 },
+        { planId: 'H9999-001-0', planName: 'Card only', monthlyPremium: '$5.00', detailsUrl: 'https://example.test/2', cardIndex: 1 }
+    ];
+    const payload = {
+        plans: [
+            { planId: 'H1234-001-0', planName: 'API one', monthlyPremium: '$12.50' },
+            { contract_id: 'H1234', plan_id: '2', plan_name: 'API only' }
+        ]
+    };
+
+    const plans = mergePlanList(payload, domPlans);
+    assert.deepEqual(plans.map(p => [p.planId, p.planName, p.dataSource]), [
+        ['H1234-001-0', 'API one', 'api'],
+        ['H9999-001-0', 'Card only', 'dom'],
+        ['H1234-002-0', 'API only', 'api']
+    ]);
+    assert.equal(plans[0].detailsUrl, 'https://example.test/1');
+    assert.equal(plans[0].costs.monthlyPremium.amount, 12.5);
+    assert.equal(plans[2].detailsUrl, null);
+    assert.deepEqual(plans.map(p => [p.cardIndex, p.payloadIndex]), [[0, 0], [1, undefined], [undefined, 1]]);
+    assert.equal(plans[2].contractType, 'local_ma');
+    assert.deepEqual(mergePlanList(null, domPlans).map(p => p.dataSource), ['dom', 'dom']);
+});
+
+test('mergePlanDetails recomputes costs and the tier matrix from the merged details', () => {
+    const domDetails = {
+        planName: 'Example Dual Choice (HMO D-SNP)',
+        planType: 'Medicare Advantage with drug coverage',
+        whatYouPay: { monthly_premium: '$0.00' },
+        overview: { premiums: {}, deductibles: {}, maximumYouPay: {} },
+        drugCoverage: { tiers: [] },
+        documents: []
+    };
+    const details = mergePlanDetails({
+        planId: 'H1234-015-1',
+        monthlyPremium: 18,
+        tiers: [{ tier: 'Tier 2<br>Generic', initialCoverage: '$10 copay', catastrophic: '$0' }]
+    }, domDetails);
+
+    assert.equal(details.dataSource, 'api');
+    assert.equal(details.planName, 'Example Dual Choice (HMO D-SNP)');
+    assert.equal(details.snpType, 'D-SNP');
+    assert.equal(details.costs.whatYouPay.monthly_premium.amount, 18);
+    assert.equal(details.drugCoverage.tierMatrix.length, 2);
+    assert.deepEqual(details.documents, []);
+    assert.equal(mergePlanDetails(null, domDetails).dataSource, 'dom');
+});
@@ -0,0 +1,204 @@
+/**
+ * End-to-end tests of createCrawler() against the mock plan compare site (test/mock-site)
+ * Covers the wizard, multi-county zipcodes, pagination, direct mode and injected failures
+ */
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, readdir } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { startMockSite } from './mock-site/server.js';
+import { launchBrowser, browserSkip } from './helpers/browser.js';
+
+const browser = await launchBrowser();
+const skip = browserSkip(browser);
+if (browser) await browser.close();
+
+// The site URL and Crawlee storage are read when the crawler modules load
+const site = await startMockSite();
+const workDir = await mkdtemp(join(tmpdir(), 'medicare-crawler-e2e-'));
+process.env.MEDICARE_SITE_URL = site.origin;
+process.env.CRAWLEE_STORAGE_DIR = join(workDir, 'storage');
+
+const { config } = await import('../src/config.js');
+const { createCrawler } = await import('../src/crawler.js');
+const { buildStartUrl, buildScenarios } = await import('../src/scenarios.js');
+const { buildSearchUrl } = await import('../src/direct.js');
+const { enableApiCapture } = await import('../src/apiCapture.js');
+const { enableSortRanks } = await import('../src/ranking.js');
+
+const [scenario] = buildScenarios({});
+let runCount = 0;
+
+/**
+ * Crawl zipcodes the way main.js does and return the crawler with its results and errors
+ * @param {Array<Object>} zipcodes - { zipcode, fips } - fips only for direct mode
+ */
+async function crawl(zipcodes, options = {}) {
+    runCount++;
+    const crawler = createCrawler(zipcodes, options);
+    await crawler.run(zipcodes.map(({ zipcode, fips = null }) => ({
+        url: options.direct && fips ? buildSearchUrl(zipcode, fips, scenario) : buildStartUrl(scenario),
+        // Every run shares Crawlee's default request queue, so keys must not repeat between tests
+        uniqueKey: `run-${runCount}-${zipcode}-${fips || 'wizard'}`,
+        userData: { zipcode, state: 'MO', city: 'Test', ...scenario, fips }
+    })));
+    return crawler;
+}
+
+function searchRequests(zipcode) {
+    return site.requests.filter(r => r.path === '/api/search' && r.query.zip === zipcode);
+}
+
+before(() => {
+    Object.assign(config, {
+        outputDir: join(workDir, 'output'),
+        slowMo: 0,
+        maxRequestRetries: 0,
+        delays: {
+            betweenActions: { min: 0, max: 0 },
+            afterPageLoad: { min: 200, max: 200 },
+            betweenPlans: { min: 0, max: 0 },
+            betweenZipcodes: { min: 0, max: 0 }
+        },
+        timeouts: { navigation: 15000, element: 5000, planLoad: 5000, directResults: 3000, wizardScreen: 3000 }
+    });
+});
+
+beforeEach(() => site.reset());
+
+after(async () => {
+    await site.close();
+    await rm(workDir, { recursive: true, force: true });
+});
+
+test('crawls every results page and plan details page through the wizard', { skip }, async () => {
+    const crawler = await crawl([{ zipcode: '63101' }]);
+
+    assert.deepEqual(crawler.errors, []);
+    assert.equal(crawler.allResults.length, 23);
+    assert.equal(new Set(crawler.allResults.map(p => p.planId)).size, 23);
+    assert.ok(crawler.allResults.every(p => p.fips === '29510' && p.details && p.details.planName === p.planName));
+    assert.deepEqual(searchRequests('63101').map(r => r.query.page), ['1', '2', '3']);
+});
+
+test('crawls each county of a multi-county zipcode', { skip }, async () => {
+    const crawler = await crawl([{ zipcode: '64735' }]);
+
+    const byCounty = {};
+    for (const plan of crawler.allResults) {
+        byCounty[plan.fips] = (byCounty[plan.fips] || 0) + 1;
+    }
+    assert.deepEqual(byCounty, { '29083': 7, '29185': 4 });
+    assert.deepEqual(crawler.errors, []);
+});
+
+test('returns no plans for an empty search', { skip }, async () => {
+    site.fail({ target: 'search', type: 'empty', zipcode: '63101' });
+    const crawler = await crawl([{ zipcode: '63101' }]);
+
+    assert.equal(crawler.allResults.length, 0);
+    assert.deepEqual(crawler.errors, []);
+});
+
+test('reports a wizard failure when the zipcode input is missing', { skip }, async () => {
+    site.fail({ target: 'zip-input', type: 'missing' });
+    const crawler = await crawl([{ zipcode: '63101' }]);
+
+    assert.equal(crawler.allResults.length, 0);
+    assert.equal(crawler.errors.length, 1);
+    assert.match(crawler.errors[0].error, /navigate wizard - stuck on an unknown screen/);
+    assert.equal(crawler.errors[0].wizardScreen, 'unknown');
+    assert.equal(searchRequests('63101').length, 0);
+});
+
+test('names the wizard screen that could not be answered', { skip }, async () => {
+    site.fail({ target: 'coverage', type: 'missing' });
+    const crawler = await crawl([{ zipcode: '63101' }]);
+
+    assert.equal(crawler.allResults.length, 0);
+    assert.equal(crawler.errors.length, 1);
+    assert.match(crawler.errors[0].error, /stuck on the coverage screen: no MAPD coverage option/);
+    assert.equal(crawler.errors[0].wizardScreen, 'coverage');
+});
+
+test('falls back to the wizard when direct results time out', { skip }, async () => {
+    site.fail({ target: 'search', type: 'delay', ms: config.timeouts.directResults + 2000, times: 1 });
+    const crawler = await crawl([{ zipcode: '63101', fips: '29510' }], { direct: true });
+
+    assert.equal(crawler.allResults.length, 23);
+    assert.ok(site.requests.some(r => r.path === '/api/counties'), 'wizard was not used');
+});
+
+test('keeps the plan summary when its details page fails', { skip }, async () => {
+    site.fail({ target: 'plan', type: 'error', status: 500, planId: 'H9510-001-0' });
+    const crawler = await crawl([{ zipcode: '63101' }]);
+
+    const failed = crawler.allResults.find(p => p.planId === 'H9510-001-0');
+    assert.equal(crawler.allResults.length, 23);
+    assert.equal(failed.monthlyPremium, '$0.00');
+    assert.ok(failed.details.error);
+    assert.ok(crawler.allResults.filter(p => p !== failed).every(p => p.details && !p.details.error));
+});
+
+test('requeues a county whose results pages could not all be collected', { skip }, async () => {
+    site.fail({ target: 'search', type: 'error', status: 500, zipcode: '63101', page: 2, times: 1 });
+    const crawler = await crawl([{ zipcode: '63101' }]);
+
+    assert.deepEqual(crawler.errors, []);
+    assert.equal(crawler.allResults.length, 23);
+    assert.deepEqual(searchRequests('63101').map(r => r.query.page), ['1', '2', '1', '2', '3']);
+});
+
+test('keeps the ranks of later pages when a results page cannot be reached', { skip }, async () => {
+    // Every visit of page 2 shows page 1 again, so it is skipped on the first visit and both requeues
+    site.fail({ target: 'search', type: 'stale', zipcode: '63101', page: 2 });
+    const crawler = await crawl([{ zipcode: '63101' }]);
+
+    const plans = crawler.allResults;
+    assert.equal(plans.length, 13);
+    assert.deepEqual(plans.filter(p => p.pageNumber === 1).map(p => p.rank), Array.from({ length: 10 }, (_, i) => i + 1));
+    assert.deepEqual(plans.filter(p => p.pageNumber === 3).map(p => p.rank), [21, 22, 23]);
+    assert.equal(crawler.errors.length, 1);
+    assert.match(crawler.errors[0].error, /Incomplete results/);
+});
+
+test('records the overall rank of every plan under each sort order', { skip }, async () => {
+    enableSortRanks(['premium', 'star-rating']);
+    const crawler = await crawl([{ zipcode: '63101' }]).finally(() => enableSortRanks([]));
+
+    const plans = crawler.allResults;
+    assert.equal(plans.length, 23);
+    assert.deepEqual(plans.map(p => p.rank), Array.from({ length: 23 }, (_, i) => i + 1));
+    assert.ok(plans.every(p => p.sortOrder === 'drug-premium' && p.pageNumber === Math.ceil(p.rank / 10)));
+    assert.ok(plans.every(p => p.ranks['drug-premium'] === p.rank && p.ranks.premium && p.ranks['star-rating']));
+    assert.equal(plans.find(p => p.planId === 'H9510-001-0').ranks.premium, 1);
+    assert.equal(plans.find(p => p.planId === 'H9510-005-0').ranks['star-rating'], 1);
+    assert.deepEqual(searchRequests('63101').filter(r => r.query.sort === 'HIGHEST_STAR_RATING').map(r => r.query.page), ['1', '2', '3']);
+});
+
+// Last tests - API capture stays on for the rest of the process
+test('builds plan records from the captured API responses with --api', { skip }, async () => {
+    enableApiCapture(config.outputDir);
+    const crawler = await crawl([{ zipcode: '63101' }]);
+
+    assert.equal(crawler.allResults.length, 23);
+    assert.ok(crawler.allResults.every(p => p.dataSource === 'api' && p.details.dataSource === 'api'));
+    assert.ok(crawler.allResults.every(p => p.details.planWebsite === `https://plans.example.test/${p.planId}`));
+
+    const files = await readdir(join(config.outputDir, 'api', '63101'), { recursive: true });
+    assert.equal(files.filter(f => /search-p\d\.json$/.test(f)).length, 3);
+    assert.equal(files.filter(f => /plan-.+\.json$/.test(f)).length, 23);
+});
+
+test('ranks the plans a whole-list search response adds with --api', { skip }, async () => {
+    site.fail({ target: 'search', type: 'full-list', zipcode: '63101' });
+    const crawler = await crawl([{ zipcode: '63101' }]);
+
+    const plans = crawler.allResults;
+    assert.equal(plans.length, 23);
+    assert.deepEqual(plans.map(p => p.rank), Array.from({ length: 23 }, (_, i) => i + 1));
+    assert.ok(plans.every(p => p.sortOrder === 'drug-premium' && p.pageNumber === Math.ceil(p.rank / 10)));
+    assert.deepEqual(searchRequests('63101').map(r => r.query.page), ['1']);
+});
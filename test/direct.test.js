@@ -0,0 +1,22 @@
+/**
+ * Tests of the zipcode -> county crosswalk in src/direct.js
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { loadCrosswalk } from '../src/direct.js';
+
+const SAMPLE = fileURLToPath(new URL('../ZipCountyCrosswalk.sample.csv', import.meta.url));
+
+test('loadCrosswalk reads the counties of each zipcode from the sample crosswalk', async () => {
+    const crosswalk = await loadCrosswalk(SAMPLE);
+
+    assert.deepEqual(crosswalk.get('63101'), [{ fips: '29510', countyName: 'St. Louis City' }]);
+    assert.deepEqual(crosswalk.get('40202'), [{ fips: '21111', countyName: 'Jefferson' }]);
+});
+
+test('loadCrosswalk fails when direct mode has no crosswalk to use', async () => {
+    await assert.rejects(loadCrosswalk('./missing-crosswalk.csv'), /Crosswalk file not found: \.\/missing-crosswalk\.csv/);
+    await assert.rejects(loadCrosswalk(fileURLToPath(new URL('../ZipCodes.csv', import.meta.url))), /has no zipcode\/FIPS rows/);
+});
@@ -0,0 +1,119 @@
+/**
+ * Tests of the plan document links and downloads in src/documents.js
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import { existsSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { classifyDocumentLink, collectDocuments, documentLanguage, enableDocumentDownloads, downloadPlanDocuments } from '../src/documents.js';
+
+const outputDir = await mkdtemp(join(tmpdir(), 'medicare-documents-'));
+
+after(() => rm(outputDir, { recursive: true, force: true }));
+
+/**
+ * Page whose request context answers from a { url: { status, contentType, body } } table, after delay ms
+ */
+function pageServing(responses, delay = 0) {
+    const requested = [];
+    const request = {
+        get: async url => {
+            requested.push(url);
+            await new Promise(resolve => setTimeout(resolve, delay));
+            const { status = 200, contentType = 'application/pdf', body = '' } = responses[url] || { status: 404 };
+            return {
+                ok: () => status >= 200 && status < 300,
+                headers: () => ({ 'content-type': contentType }),
+                body: async () => Buffer.from(body)
+            };
+        }
+    };
+    return { requested, context: () => ({ request }) };
+}
+
+test('classifyDocumentLink reads the type, language and format', () => {
+    assert.deepEqual(classifyDocumentLink({ text: 'Evidence of Coverage', href: 'https://plan.test/eoc.pdf' }), {
+        type: 'evidence_of_coverage',
+        language: 'en',
+        label: 'Evidence of Coverage',
+        url: 'https://plan.test/eoc.pdf',
+        format: 'pdf'
+    });
+    assert.equal(classifyDocumentLink({ text: 'Summary of Benefits', href: 'https://plan.test/sb.pdf?v=2' }).format, 'pdf');
+    assert.equal(classifyDocumentLink({ text: 'Provider/Pharmacy Directory', href: 'https://plan.test/dir' }).type, 'provider_pharmacy_directory');
+    assert.equal(classifyDocumentLink({ text: 'Find a pharmacy', href: 'https://plan.test/rx' }).type, 'pharmacy_directory');
+    assert.equal(classifyDocumentLink({ text: 'Plan website', href: 'https://plan.test/' }), null);
+});
+
+test('documentLanguage prefers the lang attributes over the link text', () => {
+    assert.equal(documentLanguage({ text: 'Formulary (Spanish)' }), 'es');
+    assert.equal(documentLanguage({ text: 'Formulario', hreflang: 'es-US' }), 'es');
+    assert.equal(documentLanguage({ text: 'Formulary', lang: 'zh' }), 'zh');
+    assert.equal(documentLanguage({ text: 'Formulary' }), 'en');
+});
+
+test('collectDocuments keeps one document per URL', () => {
+    const documents = collectDocuments([
+        { text: 'Evidence of Coverage', href: 'https://plan.test/eoc.pdf' },
+        { text: 'EOC', href: 'https://plan.test/eoc.pdf' },
+        { text: 'Compare plans', href: 'https://plan.test/compare' }
+    ]);
+    assert.deepEqual(documents.map(d => d.url), ['https://plan.test/eoc.pdf']);
+    assert.deepEqual(collectDocuments(undefined), []);
+});
+
+test('downloadPlanDocuments saves PDFs once per plan and year', async () => {
+    const documents = collectDocuments([
+        { text: 'Evidence of Coverage', href: 'https://plan.test/eoc.pdf' },
+        { text: 'Evidence of Coverage (Spanish)', href: 'https://plan.test/eoc-es.pdf' },
+        { text: 'Provider directory', href: 'https://plan.test/find-a-doctor' }
+    ]);
+    const page = pageServing({
+        'https://plan.test/eoc.pdf': { body: '%PDF-1.7 english' },
+        'https://plan.test/eoc-es.pdf': { body: '%PDF-1.7 spanish' },
+        'https://plan.test/find-a-doctor': { contentType: 'text/html', body: '<html></html>' }
+    });
+    const plan = { planId: 'H1234-015-0', planYear: '2026' };
+
+    // Off until --documents
+    assert.equal(await downloadPlanDocuments(page, plan, documents), 0);
+    assert.equal(page.requested.length, 0);
+
+    enableDocumentDownloads(outputDir);
+    assert.equal(await downloadPlanDocuments(page, plan, documents), 2);
+    assert.deepEqual(documents.map(d => d.file), [
+        '2026/H1234-015-0/evidence_of_coverage-en.pdf',
+        '2026/H1234-015-0/evidence_of_coverage-es.pdf',
+        null
+    ]);
+    assert.equal(await readFile(join(outputDir, 'documents', documents[1].file), 'utf-8'), '%PDF-1.7 spanish');
+    assert.ok(!existsSync(join(outputDir, 'documents', '2026/H1234-015-0/provider_directory-en.pdf')));
+
+    // The same plan in another zipcode reuses the files on disk
+    const again = pageServing({});
+    assert.equal(await downloadPlanDocuments(again, plan, collectDocuments([{ text: 'EOC', href: 'https://plan.test/eoc.pdf' }])), 1);
+    assert.deepEqual(again.requested, []);
+});
+
+test('downloadPlanDocuments waits for a download another worker started', async () => {
+    enableDocumentDownloads(outputDir);
+    const plan = { planId: 'H5678-001-0', planYear: '2026' };
+    const link = [{ text: 'Evidence of Coverage', href: 'https://plan.test/h5678.pdf' }];
+
+    // Not a PDF - neither worker may point at the file
+    const failing = pageServing({ 'https://plan.test/h5678.pdf': { contentType: 'text/html', body: '<html></html>' } }, 20);
+    const [first, second] = [collectDocuments(link), collectDocuments(link)];
+    assert.deepEqual(await Promise.all([downloadPlanDocuments(failing, plan, first), downloadPlanDocuments(failing, plan, second)]), [0, 0]);
+    assert.deepEqual([first[0].file, second[0].file], [null, null]);
+    assert.equal(failing.requested.length, 1);
+
+    const serving = pageServing({ 'https://plan.test/h5678.pdf': { body: '%PDF-1.7' } }, 20);
+    const [third, fourth] = [collectDocuments(link), collectDocuments(link)];
+    assert.deepEqual(await Promise.all([downloadPlanDocuments(serving, plan, third), downloadPlanDocuments(serving, plan, fourth)]), [1, 1]);
+    assert.equal(fourth[0].file, '2026/H5678-001-0/evidence_of_coverage-en.pdf');
+    assert.ok(existsSync(join(outputDir, 'documents', fourth[0].file)));
+    assert.equal(serving.requested.length, 1);
+});
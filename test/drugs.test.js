@@ -0,0 +1,35 @@
+/**
+ * Tests of the drug list loading in src/drugs.js
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { loadDrugLists, getDrugList } from '../src/drugs.js';
+
+const workDir = await mkdtemp(join(tmpdir(), 'medicare-drugs-'));
+after(() => rm(workDir, { recursive: true, force: true }));
+
+async function drugFile(path, ...drugs) {
+    await mkdir(join(workDir, path, '..'), { recursive: true });
+    await writeFile(join(workDir, path), ['Drug;Dosage;Quantity;Frequency', ...drugs].join('\n'));
+    return join(workDir, path);
+}
+
+test('loadDrugLists names each list after its file', async () => {
+    const diabetes = await drugFile('diabetes.csv', 'Metformin;500 mg tablet;60;Every month');
+
+    assert.deepEqual(await loadDrugLists(['none', diabetes, diabetes]), ['none', 'diabetes']);
+    assert.equal(getDrugList('diabetes')[0].name, 'Metformin');
+});
+
+test('loadDrugLists rejects two drug lists with the same file name', async () => {
+    const first = await drugFile('a/list.csv', 'Metformin;500 mg tablet;60;Every month');
+    const second = await drugFile('b/list.csv', 'Lisinopril;10 mg tablet;30;Every month');
+
+    await assert.rejects(loadDrugLists([first, second]), /Drug lists .*list\.csv and .*list\.csv are both named "list"/);
+    assert.equal(getDrugList('list')[0].name, 'Metformin');
+    await assert.rejects(loadDrugLists([await drugFile('none.csv', 'Metformin;;;')]), /named "none"/);
+});
@@ -0,0 +1,37 @@
+/**
+ * Tests of the long-format tables in src/exporters.js
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { longFormatRows } from '../src/exporters.js';
+import { normalizeBenefitsCosts } from '../src/normalize.js';
+
+test('longFormatRows builds one row per benefit line, tier cell and allowance', () => {
+    const plan = {
+        zipcode: '63101',
+        fips: '29510',
+        planType: 'MAPD',
+        planYear: 2026,
+        subsidy: 'none',
+        drugList: 'none',
+        providerList: 'none',
+        planId: 'H1234-001-0',
+        details: {
+            benefitsCosts: normalizeBenefitsCosts({
+                doctor_services: [{ service: 'Specialist visit', cost: 'In-network: $35 copay\nOut-of-network: 40% coinsurance', limits: 'Referral required' }]
+            }),
+            drugCoverage: { tierMatrix: [{ pharmacyType: 'standard_retail', daysSupply: 30, tierNumber: 1, phase: 'initialCoverage', copay: 0, coinsurance: null, text: '$0' }] },
+            allowances: { otc: { section: 'extra_benefits', benefit: 'Over-the-counter items', amount: 50, period: 'quarter', annualAmount: 200 } }
+        }
+    };
+
+    const tables = longFormatRows([plan, { ...plan, planId: 'H1234-002-0', details: null }]);
+    assert.deepEqual(tables.benefits.map(r => [r.plan_id, r.network, r.copay, r.coinsurance, r.referral_required]), [
+        ['H1234-001-0', 'inNetwork', 35, null, true],
+        ['H1234-001-0', 'outOfNetwork', null, 40, true]
+    ]);
+    assert.equal(tables.benefits[0].plan_type, 'MAPD');
+    assert.deepEqual(tables.drugTiers.map(r => [r.pharmacy_type, r.tier_number, r.copay, r.cost_text]), [['standard_retail', 1, 0, '$0']]);
+    assert.deepEqual(tables.allowances.map(r => [r.benefit_key, r.annual_amount]), [['otc', 200]]);
+});
@@ -0,0 +1,78 @@
+/**
+ * Extractor tests against saved medicare.gov markup
+ * A failing test here means the site changed, before a multi-hour crawl finds out
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    extractPlanList,
+    extractPlanDetails,
+    extractCurrentTierData,
+    getTotalPlanInfo
+} from '../src/extractors.js';
+import { launchBrowser, browserSkip, loadFixture, golden } from './helpers/browser.js';
+
+const RESULTS_URL = 'https://www.medicare.gov/plan-compare/#/search-results?plan_type=PLAN_TYPE_MAPD&zip=63101&fips=29510&year=2026&lang=en';
+const DETAILS_URL = 'https://www.medicare.gov/plan-compare/#/plan-details/2026-H1234-015-1?fips=29510&plan_type=PLAN_TYPE_MAPD&zip=63101&year=2026&lang=en';
+
+const browser = await launchBrowser();
+const skip = browserSkip(browser);
+let page;
+
+before(async () => {
+    if (browser) page = await browser.newPage();
+});
+
+after(async () => {
+    if (browser) await browser.close();
+});
+
+test('extractPlanList reads every plan card', { skip }, async () => {
+    await loadFixture(page, 'plan-list', RESULTS_URL);
+    const plans = await extractPlanList(page);
+
+    assert.equal(plans.length, 3);
+    assert.deepEqual(plans, await golden('plan-list', plans));
+});
+
+test('getTotalPlanInfo parses "Showing X of Y"', { skip }, async () => {
+    await loadFixture(page, 'plan-list', RESULTS_URL);
+
+    assert.deepEqual(await getTotalPlanInfo(page), { totalPlans: 12, totalPages: 4, plansPerPage: 3 });
+});
+
+test('extractPlanDetails reads every section of the details page', { skip }, async () => {
+    await loadFixture(page, 'plan-details', DETAILS_URL);
+    const snapshots = [];
+    const details = await extractPlanDetails(page, { onSnapshot: kind => snapshots.push(kind) });
+
+    assert.equal(details.error, undefined);
+    assert.deepEqual(snapshots, ['details']);
+    assert.deepEqual(details, await golden('plan-details', details));
+});
+
+test('extractPlanDetails reads star rating domains and measures', { skip }, async () => {
+    await loadFixture(page, 'plan-details', DETAILS_URL);
+    const { starRatings } = await extractPlanDetails(page, { interactive: false });
+
+    assert.equal(starRatings.overall, '3');
+    assert.deepEqual(starRatings.healthPlan, { rating: 3.5, note: null });
+    assert.deepEqual(starRatings.domains.map(d => [d.part, d.rating]), [['healthPlan', 4], ['healthPlan', null], ['drugPlan', 2]]);
+    assert.equal(starRatings.domains[1].note, 'Plan too new to be measured');
+    assert.deepEqual(starRatings.domains[0].measures[0], { name: 'Breast cancer screening', rating: 4, note: null, value: null });
+    assert.equal(starRatings.domains[2].measures[1].value, '85%');
+});
+
+test('extractCurrentTierData reads the drug tier table', { skip }, async () => {
+    await loadFixture(page, 'drug-tiers', DETAILS_URL);
+    const tiers = await extractCurrentTierData(page);
+
+    assert.deepEqual(tiers, await golden('drug-tiers', tiers));
+});
+
+test('extractCurrentTierData returns no tiers without a tier table', { skip }, async () => {
+    await loadFixture(page, 'plan-list', RESULTS_URL);
+
+    assert.deepEqual(await extractCurrentTierData(page), []);
+});
@@ -0,0 +1,80 @@
+/**
+ * Test helpers - a local Chromium page that serves saved HTML fixtures, and golden JSON files
+ *
+ * Fixtures live in test/fixtures/<name>.html, their expected output in <name>.expected.json.
+ * Run with UPDATE_GOLDEN=1 to rewrite the golden files after an intended extractor change.
+ */
+
+import { readFile, writeFile } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { chromium } from 'playwright';
+
+export const FIXTURE_DIR = fileURLToPath(new URL('../fixtures/', import.meta.url));
+
+/**
+ * Launch headless Chromium
+ * CHROMIUM_PATH points at a browser other than the one installed by Playwright
+ * @returns {Promise<import('playwright').Browser|null>} Browser, or null if none is installed
+ */
+export async function launchBrowser() {
+    try {
+        return await chromium.launch({
+            headless: true,
+            executablePath: process.env.CHROMIUM_PATH || undefined
+        });
+    } catch (err) {
+        console.warn(`Could not launch Chromium: ${err.message.split('\n')[0]}`);
+        return null;
+    }
+}
+
+/**
+ * Skip reason for the browser tests
+ * Under CI a missing browser is an error, so a broken setup cannot pass as skipped tests
+ * @param {import('playwright').Browser|null} browser - Result of launchBrowser()
+ * @returns {string|false} Reason to skip, or false when the browser launched
+ */
+export function browserSkip(browser) {
+    if (browser) return false;
+    if (process.env.CI) throw new Error('Chromium could not be launched and CI is set - the browser tests cannot run');
+    return 'Chromium is not installed (npx playwright install chromium)';
+}
+
+/**
+ * Open a fixture in a page as if it had been served from the given URL
+ * Navigations get the fixture, every other request is blocked, so no test touches the network
+ * @param {import('playwright').Page} page - Playwright page object
+ * @param {string} name - Fixture name without extension
+ * @param {string} url - URL the page pretends to have (links and location.href resolve against it)
+ */
+export async function loadFixture(page, name, url) {
+    const html = await readFile(`${FIXTURE_DIR}${name}.html`, 'utf-8');
+
+    await page.unrouteAll();
+    await page.route('**/*', route => {
+        if (route.request().isNavigationRequest()) {
+            return route.fulfill({ status: 200, contentType: 'text/html; charset=utf-8', body: html });
+        }
+        return route.abort();
+    });
+
+    await page.goto('about:blank');
+    await page.goto(url, { waitUntil: 'domcontentloaded' });
+}
+
+/**
+ * Expected output of a fixture, or write it when UPDATE_GOLDEN is set
+ * @param {string} name - Fixture name without extension
+ * @param {*} actual - Extracted value
+ * @returns {Promise<*>} Golden value to compare against
+ */
+export async function golden(name, actual) {
+    const filePath = `${FIXTURE_DIR}${name}.expected.json`;
+
+    if (process.env.UPDATE_GOLDEN) {
+        await writeFile(filePath, JSON.stringify(actual, null, 2) + '\n');
+        return actual;
+    }
+
+    return JSON.parse(await readFile(filePath, 'utf-8'));
+}
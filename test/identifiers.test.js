@@ -0,0 +1,53 @@
+/**
+ * Tests of the Plan ID parsing and SNP classification in src/identifiers.js
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePlanId, classifySnp, describePlan } from '../src/identifiers.js';
+
+test('parsePlanId splits contract, plan benefit package and segment', () => {
+    assert.deepEqual(parsePlanId('H1234-005-0'), {
+        contractId: 'H1234',
+        pbpId: '005',
+        segmentId: '0',
+        contractPrefix: 'H',
+        contractType: 'local_ma'
+    });
+    assert.equal(parsePlanId('R5826-001-2').contractType, 'regional_ppo');
+    assert.equal(parsePlanId('S4802-078-0').contractType, 'pdp');
+    assert.equal(parsePlanId('E3014-801-0').contractType, 'employer_pdp');
+});
+
+test('parsePlanId reads the other forms of a Plan ID', () => {
+    assert.equal(parsePlanId('Plan ID: H1234-005-0').contractId, 'H1234');
+    assert.deepEqual(parsePlanId('2026-H1234-015-1'), parsePlanId('H1234-015-1'));
+    assert.equal(parsePlanId('h1234-5').pbpId, '005');
+    assert.equal(parsePlanId('H1234-005').segmentId, null);
+    assert.equal(parsePlanId('X1234-005-0'), null);
+    assert.equal(parsePlanId(null), null);
+});
+
+test('classifySnp reads the SNP type from plan type and name text', () => {
+    assert.equal(classifySnp('Medicare Advantage Plan (HMO D-SNP)'), 'D-SNP');
+    assert.equal(classifySnp(null, 'Example Dual Complete (HMO-POS DSNP)'), 'D-SNP');
+    assert.equal(classifySnp('Special Needs Plan (dual eligible)'), 'D-SNP');
+    assert.equal(classifySnp('Example Heart Care (PPO C-SNP)'), 'C-SNP');
+    assert.equal(classifySnp('Example Nursing Home Plan (HMO I-SNP)'), 'I-SNP');
+    assert.equal(classifySnp('Special Needs Plan'), 'SNP');
+    assert.equal(classifySnp('Medicare Advantage with drug coverage', 'Example Advantage Plus (HMO)'), null);
+    assert.equal(classifySnp(), null);
+});
+
+test('describePlan merges both into flat fields', () => {
+    assert.deepEqual(describePlan('S4802-078-0', 'Example Rx Saver (PDP)'), {
+        contractId: 'S4802',
+        pbpId: '078',
+        segmentId: '0',
+        contractPrefix: 'S',
+        contractType: 'pdp',
+        snpType: null
+    });
+    assert.equal(describePlan(null, 'Example (HMO C-SNP)').contractId, null);
+    assert.equal(describePlan(null, 'Example (HMO C-SNP)').snpType, 'C-SNP');
+});
@@ -0,0 +1,399 @@
+/**
+ * Client app of the mock plan compare site - served to the browser by server.js
+ * Renders the wizard, search results and plan details with the markup the crawler's selectors expect
+ *
+ * Elements that a "missing" failure can leave out:
+ *   zip-input, county-choice, continue, coverage, find-plans, help, drugs, skip-providers,
+ *   total, sort, plan-cards, pagination, plan-info, drug-tiers
+ */
+
+(function () {
+    const site = window.__MOCK_SITE__ || { missing: [] };
+    const app = document.getElementById('app');
+
+    // Bumped on every route change, so a late API response cannot overwrite a newer screen
+    let routeId = 0;
+
+    // Wizard answers - kept in memory like the real app, so a reload starts over
+    const wizard = { step: 'zip', year: '2026', zipcode: '', counties: [], fips: null, coverage: null, help: [], drugs: null };
+
+    // Options of the sort dropdown, the first is the default order - see SORT_ORDERS in data.js
+    const SORT_OPTIONS = [
+        ['LOWEST_DRUG_PLUS_PREMIUM', 'Lowest drug + premium cost'],
+        ['LOWEST_MONTHLY_PREMIUM', 'Lowest monthly premium'],
+        ['HIGHEST_STAR_RATING', 'Highest star rating']
+    ];
+
+    const PLAN_TYPE_TITLES = {
+        PLAN_TYPE_MAPD: 'Medicare Advantage Plans',
+        PLAN_TYPE_MA: 'Medicare Advantage Plans',
+        PLAN_TYPE_PDP: 'Medicare Drug Plans'
+    };
+
+    function isMissing(name) {
+        return site.missing.indexOf(name) !== -1;
+    }
+
+    // Leave an element out of the page when a test asked for it
+    function part(name, html) {
+        return isMissing(name) ? '' : html;
+    }
+
+    function escape(value) {
+        return String(value === null || value === undefined ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    function continueButton() {
+        return part('continue', '<button type="button" class="ds-c-button" data-action="continue">Continue</button>');
+    }
+
+    function showError(message) {
+        const alert = document.createElement('div');
+        alert.className = 'ds-c-alert ds-c-alert--error';
+        alert.setAttribute('role', 'alert');
+        alert.textContent = message;
+        app.prepend(alert);
+    }
+
+    async function getJson(url) {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`Request failed with status ${response.status}`);
+        return response.json();
+    }
+
+    // ------------------------------------------------------------------
+    // Wizard
+    // ------------------------------------------------------------------
+
+    function renderCounties() {
+        const container = document.getElementById('county-options');
+        if (!container) return;
+        if (wizard.counties.length < 2 || isMissing('county-choice')) {
+            container.innerHTML = '';
+            return;
+        }
+
+        container.innerHTML = '<fieldset><legend>Select your county</legend>' + wizard.counties.map(c => `
+            <div class="mct-c-coverage-selector-v2__county-choice" data-testid="coverage-selector-fips-${c.fips}">
+                <input type="radio" name="county" id="county-${c.fips}" value="${c.fips}"${c.fips === wizard.fips ? ' checked' : ''}>
+                <label for="county-${c.fips}">${escape(c.countyName)}</label>
+            </div>`).join('') + '</fieldset>';
+    }
+
+    async function lookupZipcode(zipcode) {
+        wizard.zipcode = zipcode;
+        wizard.counties = [];
+        wizard.fips = null;
+        renderCounties();
+        if (!/^\d{5}$/.test(zipcode)) return;
+
+        try {
+            const data = await getJson(`/api/counties?zip=${zipcode}`);
+            if (wizard.zipcode !== zipcode) return;
+            wizard.counties = data.counties;
+            if (data.counties.length === 1) wizard.fips = data.counties[0].fips;
+            renderCounties();
+        } catch {
+            wizard.counties = [];
+        }
+    }
+
+    const STEPS = {
+        zip() {
+            return `
+                <h1>Find a Medicare plan</h1>
+                ${part('zip-input', `<label for="zip-code">ZIP code</label>
+                <input type="text" id="zip-code" name="zip-code" inputmode="numeric" maxlength="5" value="${escape(wizard.zipcode)}">`)}
+                <div id="county-options"></div>
+                ${continueButton()}`;
+        },
+        coverage() {
+            return `
+                <h1>What coverage are you looking for?</h1>
+                ${part('coverage', `<fieldset>
+                    <div><input type="radio" id="what-coverage-mapd" name="coverage-selector-select-plan-type" value="MEDICARE_ADVANTAGE_PLAN">
+                    <label for="what-coverage-mapd">Medicare Advantage Plan (Part C)</label></div>
+                    <div><input type="radio" id="what-coverage-pdp" name="coverage-selector-select-plan-type" value="PRESCRIPTION_DRUG_PLAN">
+                    <label for="what-coverage-pdp">Drug plan (Part D)</label></div>
+                </fieldset>`)}
+                ${part('find-plans', '<button type="button" class="ds-c-button ds-c-button--primary" data-action="find-plans">Find Plans</button>')}`;
+        },
+        help() {
+            const programs = [
+                ['medicaid', 'medicaid', 'Medicaid'],
+                ['ssi', 'ssi', 'Supplemental Security Income (SSI)'],
+                ['msp', 'msp', 'Medicare Savings Program'],
+                ['extra-help', 'lis', 'Extra Help'],
+                ['none', 'none', "I don't get help from any of these programs"]
+            ];
+            return `
+                <h1>Do you get help with your costs from one of these programs?</h1>
+                ${part('help', '<fieldset>' + programs.map(([id, value, label]) => `
+                    <div><input type="checkbox" id="${id}" name="subsidyTypes" value="${value}">
+                    <label for="${id}">${escape(label)}</label></div>`).join('') + '</fieldset>')}
+                ${continueButton()}`;
+        },
+        drugs() {
+            return `
+                <h1>Do you want to see your drug costs when you compare plans?</h1>
+                ${part('drugs', `<fieldset>
+                    <div><input type="radio" id="yes-drugs" name="drugs" value="yes"><label for="yes-drugs">Yes</label></div>
+                    <div><input type="radio" id="no-drugs" name="drugs" value="no"><label for="no-drugs">No</label></div>
+                </fieldset>`)}
+                ${continueButton()}`;
+        },
+        drugSearch() {
+            return '<h1>Add your prescription drugs</h1><p>Drug search is not part of the mock site.</p>';
+        },
+        providers() {
+            return `
+                <h1>Add your doctors and other providers</h1>
+                ${part('skip-providers', '<button type="button" class="ds-c-button" data-testid="continue-to-plans" data-action="skip-providers">Skip Adding Providers</button>')}`;
+        }
+    };
+
+    function renderWizard() {
+        app.innerHTML = `<main class="mct-c-coverage-selector">${STEPS[wizard.step]()}</main>`;
+        if (wizard.step === 'zip') renderCounties();
+    }
+
+    function goToStep(step) {
+        wizard.step = step;
+        renderWizard();
+    }
+
+    function showResults() {
+        const planType = wizard.coverage === 'PRESCRIPTION_DRUG_PLAN' ? 'PLAN_TYPE_PDP' : 'PLAN_TYPE_MAPD';
+        location.hash = `#/search-results?plan_type=${planType}&zip=${wizard.zipcode}&fips=${wizard.fips}&year=${wizard.year}&lang=en`;
+    }
+
+    const ACTIONS = {
+        continue() {
+            if (wizard.step === 'zip') {
+                if (!wizard.counties.length) return showError('Enter a valid ZIP code');
+                if (!wizard.fips) return showError('Select your county');
+                return goToStep('coverage');
+            }
+            if (wizard.step === 'help') {
+                if (!wizard.help.length) return showError('Select an option');
+                return goToStep('drugs');
+            }
+            if (wizard.step === 'drugs') {
+                if (!wizard.drugs) return showError('Select Yes or No');
+                return goToStep(wizard.drugs === 'yes' ? 'drugSearch' : 'providers');
+            }
+        },
+        'find-plans'() {
+            if (!wizard.coverage) return showError('Select the coverage you are looking for');
+            goToStep('help');
+        },
+        'skip-providers'() {
+            showResults();
+        }
+    };
+
+    app.addEventListener('input', event => {
+        if (event.target.id === 'zip-code') lookupZipcode(event.target.value.trim());
+    });
+
+    app.addEventListener('change', event => {
+        const input = event.target;
+        if (input.name === 'county') wizard.fips = input.value;
+        if (input.name === 'coverage-selector-select-plan-type') wizard.coverage = input.value;
+        if (input.name === 'drugs') wizard.drugs = input.value;
+        if (input.name === 'subsidyTypes') {
+            // "None" and the programs exclude each other
+            if (input.value === 'none' && input.checked) {
+                app.querySelectorAll('input[name="subsidyTypes"]').forEach(box => { box.checked = box === input; });
+            } else if (input.checked) {
+                app.querySelector('#none').checked = false;
+            }
+            wizard.help = Array.from(app.querySelectorAll('input[name="subsidyTypes"]:checked')).map(box => box.value);
+        }
+    });
+
+    app.addEventListener('click', event => {
+        const button = event.target.closest('[data-action]');
+        if (button && ACTIONS[button.dataset.action]) ACTIONS[button.dataset.action]();
+    });
+
+    // ------------------------------------------------------------------
+    // Search results
+    // ------------------------------------------------------------------
+
+    function planCard(plan, params) {
+        const detailsQuery = `fips=${params.get('fips')}&plan_type=${params.get('plan_type')}&zip=${params.get('zip')}&year=${params.get('year')}&lang=en`;
+        const otherCosts = [
+            ['Health deductible', plan.healthDeductible],
+            ['Drug deductible', plan.drugDeductible],
+            ['Maximum you pay for health services', plan.maxOutOfPocket]
+        ].filter(([, value]) => value);
+        const benefits = Object.keys(plan.benefits);
+
+        return `
+            <li class="SearchResults__plan-card e2e-plan-card" data-cy="e2e-plan-card-plan-type-${plan.planType.toLowerCase()}">
+                <h2 class="PlanCard__header" data-cy="plan-card-header" id="${escape(plan.planId)}-heading">${escape(plan.planName)}</h2>
+                <div class="PlanCard__sub_header"><span>${escape(plan.carrier)}</span><span>|</span><span>Plan ID: ${escape(plan.planId)}</span></div>
+                <div class="StarRating__stars e2e-star-rating" data-stars="${plan.starRating}"></div>
+                <div data-testid="monthlyPremium"><span class="mct-c-benefit">${plan.monthlyPremium}</span></div>
+                <div data-testid="yearlyCost"><button class="Tooltip__trigger">${escape(plan.yearlyCostLabel)}</button><span class="mct-c-benefit">${plan.yearlyCost}</span></div>
+                ${otherCosts.length ? `<div data-testid="otherCosts">${otherCosts.map(([label, value]) =>
+                    `<div class="PlanCard__info_group"><button class="Tooltip__trigger">${label}</button><span class="mct-c-benefit">${value}</span></div>`).join('')}</div>` : ''}
+                ${benefits.length ? `<div data-testid="benefits"><ul class="PlanCard__benefits">${benefits.map(name =>
+                    `<li><span data-testid="${plan.benefits[name] ? 'checkmarkIcon' : 'xIcon'}"></span>${name}<span class="ds-u-visibility--screen-reader"> ${plan.benefits[name] ? 'is available' : 'is not available'}</span></li>`).join('')}</ul></div>` : ''}
+                ${plan.primaryDoctorCopay ? `<div data-testid="copays">
+                    <div class="PlanCard__info_group">Primary doctor<span class="PlanCard__copay">${plan.primaryDoctorCopay}</span></div>
+                    <div class="PlanCard__info_group">Specialist<span class="PlanCard__copay">${plan.specialistCopay}</span></div></div>` : ''}
+                <div data-testid="drugs"><span data-testid="${plan.hasDrugCoverage ? 'checkmarkIcon' : 'xIcon'}"></span>${plan.hasDrugCoverage ? 'Includes drug coverage' : 'No drug coverage'}</div>
+                <a class="e2e-plan-details-btn" href="#/plan-details/${encodeURIComponent(plan.planId)}?${detailsQuery}">Plan details</a>
+            </li>`;
+    }
+
+    function pagination(data, params) {
+        if (data.totalPages < 2) return '';
+        const pages = [];
+        for (let p = 1; p <= data.totalPages; p++) {
+            pages.push(`<li class="ds-c-pagination__item"><button type="button" data-page="${p}" aria-label="Page ${p}"${p === data.page ? ' aria-current="page"' : ''}>${p}</button></li>`);
+        }
+        // The next button has no "Next" text, so the wizard's Continue/Next fallback never clicks it
+        const next = data.page < data.totalPages
+            ? `<li class="ds-c-pagination__item--next"><button type="button" data-page="${data.page + 1}" aria-label="Go to next page">&rsaquo;</button></li>`
+            : '';
+        return part('pagination', `<nav class="ds-c-pagination" aria-label="Pagination"><ul>${pages.join('')}${next}</ul></nav>`);
+    }
+
+    async function renderResults(params) {
+        const id = routeId;
+        const page = parseInt(params.get('page') || '1', 10);
+        const sort = params.get('sort') || SORT_OPTIONS[0][0];
+        app.innerHTML = '<p class="mct-c-loading">Loading plans...</p>';
+
+        let data;
+        try {
+            const query = `zip=${params.get('zip')}&fips=${params.get('fips')}&plan_type=${params.get('plan_type')}&year=${params.get('year')}&page=${page}&sort=${sort}`;
+            data = await getJson(`/api/search?${query}`);
+        } catch (err) {
+            if (id !== routeId) return;
+            app.innerHTML = '';
+            return showError(`We couldn't load plans right now. ${err.message}`);
+        }
+
+        if (id !== routeId) return;
+
+        // A response with the whole list is paged here, as the site does
+        const cards = data.plans.length > data.perPage ? data.plans.slice((data.page - 1) * data.perPage, data.page * data.perPage) : data.plans;
+        const title = PLAN_TYPE_TITLES[params.get('plan_type')] || 'Plans';
+        app.innerHTML = `
+            <main class="SearchResults">
+                <h1 id="mct-sr-title">${title}</h1>
+                ${part('total', `<p id="total-plan-results">Showing ${cards.length} of ${data.total} ${title}</p>`)}
+                ${part('sort', `<label for="sort-by">Sort plans by</label><select id="sort-by" name="sort">${SORT_OPTIONS.map(([value, label]) =>
+                    `<option value="${value}"${value === sort ? ' selected' : ''}>${label}</option>`).join('')}</select>`)}
+                ${part('plan-cards', `<ol class="SearchResults__results-list e2e-search-results-list">${cards.map(plan => planCard(plan, params)).join('')}</ol>`)}
+                ${pagination(data, params)}
+            </main>`;
+
+        const sortSelect = app.querySelector('#sort-by');
+        if (sortSelect) {
+            sortSelect.addEventListener('change', () => {
+                params.set('sort', sortSelect.value);
+                params.set('page', '1');
+                location.hash = `#/search-results?${params.toString()}`;
+            });
+        }
+
+        app.querySelectorAll('[data-page]').forEach(button => {
+            button.addEventListener('click', () => {
+                params.set('page', button.dataset.page);
+                location.hash = `#/search-results?${params.toString()}`;
+            });
+        });
+    }
+
+    // ------------------------------------------------------------------
+    // Plan details
+    // ------------------------------------------------------------------
+
+    async function renderDetails(planId, params) {
+        const id = routeId;
+        app.innerHTML = '<p class="mct-c-loading">Loading plan...</p>';
+
+        let plan;
+        try {
+            plan = await getJson(`/api/plans/${encodeURIComponent(planId)}?zip=${params.get('zip')}&fips=${params.get('fips')}&year=${params.get('year')}`);
+        } catch (err) {
+            if (id !== routeId) return;
+            app.innerHTML = '';
+            return showError(`We couldn't load this plan. ${err.message}`);
+        }
+
+        if (id !== routeId) return;
+
+        const row = (label, value) => `<tr><th>${label}</th><td>${value || 'Not covered'}</td></tr>`;
+        const typeText = plan.planType === 'PDP' ? 'Medicare drug plan (Part D)' : plan.planType === 'MA' ? 'Medicare Advantage Plan' : 'Medicare Advantage with drug coverage';
+
+        app.innerHTML = `
+            <main class="e2e-plan-details-page">
+                ${part('plan-info', `<div class="PlanDetailsPagePlanInfo">
+                    <h1 class="e2e-plan-details-plan-header">${escape(plan.planName)}</h1>
+                    <p class="e2e-plan-details-plan-type">${typeText}</p>
+                    <h2>${escape(plan.carrier)}</h2>
+                </div>`)}
+                <div class="PlanDetailsPagePlanContact">
+                    <a id="plan-contact" href="${escape(plan.website)}">Plan website</a>
+                    <p>Non-members: <span id="non-members-number">${plan.phone}</span></p>
+                </div>
+                <section id="overview">
+                    <table><caption><h3>Premiums</h3></caption><tbody>${row('Total monthly premium', plan.monthlyPremium)}</tbody></table>
+                    <table><caption><h3>Deductibles</h3></caption><tbody>
+                        ${plan.healthDeductible ? row('Health deductible', plan.healthDeductible) : ''}
+                        ${plan.drugDeductible ? row('Drug deductible', plan.drugDeductible) : ''}
+                    </tbody></table>
+                    ${plan.maxOutOfPocket ? `<table><caption><h3>Maximum you pay for health services</h3></caption><tbody>${row('In-network', plan.maxOutOfPocket.replace(' In-network', ''))}</tbody></table>` : ''}
+                </section>
+                ${plan.primaryDoctorCopay ? `<section id="benefits">
+                    <table><caption><h3>Doctor services</h3></caption><tbody>
+                        ${row('Primary doctor visit', `In-network:${plan.primaryDoctorCopay}`)}
+                        ${row('Specialist visit', `In-network:${plan.specialistCopay}`)}
+                    </tbody></table>
+                </section>` : ''}
+                ${plan.tiers.length ? `<section id="drug-coverage">
+                    ${part('drug-tiers', `<table id="CostsByDrugTierTable">
+                        <thead><tr><th>Tier</th><th>Initial coverage</th><th>Catastrophic coverage</th></tr></thead>
+                        <tbody>${plan.tiers.map((tier, i) => `<tr>
+                            <th>${tier.tier}</th>
+                            <td data-testid="initial_coverage_tier_${i + 1}">${tier.initialCoverage}</td>
+                            <td data-testid="catastrophic_tier_${i + 1}">${tier.catastrophic}</td>
+                        </tr>`).join('')}</tbody>
+                    </table>`)}
+                </section>` : ''}
+                <section id="star-ratings"><div class="StarRating__stars e2e-star-rating" data-stars="${plan.starRating}"></div></section>
+            </main>`;
+    }
+
+    // ------------------------------------------------------------------
+    // Hash routing
+    // ------------------------------------------------------------------
+
+    function route() {
+        routeId++;
+        const hash = location.hash.replace(/^#/, '') || '/';
+        const queryStart = hash.indexOf('?');
+        const path = queryStart === -1 ? hash : hash.slice(0, queryStart);
+        const params = new URLSearchParams(queryStart === -1 ? '' : hash.slice(queryStart + 1));
+
+        if (path.indexOf('/search-results') === 0) return renderResults(params);
+        if (path.indexOf('/plan-details/') === 0) return renderDetails(decodeURIComponent(path.slice('/plan-details/'.length)), params);
+
+        wizard.year = params.get('year') || wizard.year;
+        wizard.step = 'zip';
+        renderWizard();
+    }
+
+    window.addEventListener('hashchange', route);
+    route();
+})();
@@ -0,0 +1,123 @@
+/**
+ * Plan data served by the mock plan compare site
+ * Plans are generated from the county and plan type so every run sees the same IDs and prices
+ */
+
+// Zipcodes known to the mock site - plans: number of plans per plan type in each county
+export const DEFAULT_ZIPCODES = {
+    '63101': {
+        state: 'MO',
+        city: 'St. Louis',
+        counties: [
+            { fips: '29510', countyName: 'St. Louis City', plans: { MAPD: 23, MA: 4, PDP: 12 } }
+        ]
+    },
+    '64735': {
+        state: 'MO',
+        city: 'Clinton',
+        counties: [
+            { fips: '29083', countyName: 'Henry County', plans: { MAPD: 7, MA: 2, PDP: 5 } },
+            { fips: '29185', countyName: 'St. Clair County', plans: { MAPD: 4, MA: 1, PDP: 5 } }
+        ]
+    },
+    '99501': {
+        state: 'AK',
+        city: 'Anchorage',
+        counties: [
+            { fips: '02020', countyName: 'Anchorage Municipality', plans: { MAPD: 0, MA: 0, PDP: 9 } }
+        ]
+    }
+};
+
+// plan_type URL parameter -> plan type
+export const PLAN_TYPE_CODES = {
+    PLAN_TYPE_MAPD: 'MAPD',
+    PLAN_TYPE_MA: 'MA',
+    PLAN_TYPE_PDP: 'PDP'
+};
+
+const CARRIERS = ['Example Health Co', 'Gateway Senior Care', 'Riverbend Insurance', 'Show-Me Health Plans'];
+const NETWORKS = ['HMO', 'PPO', 'HMO-POS'];
+
+/**
+ * Format a dollar amount the way the site shows it
+ */
+function dollars(amount, decimals = 2) {
+    return '$' + amount.toLocaleString('en-US', { minimumFractionDigits: decimals, maximumFractionDigits: decimals });
+}
+
+/**
+ * Generate one plan
+ */
+function makePlan(county, planType, index) {
+    const isPdp = planType === 'PDP';
+    const prefix = isPdp ? 'S' : 'H';
+    const contract = `${prefix}${county.fips.slice(1)}`;
+    const pbp = String(index + 1 + (planType === 'MA' ? 500 : 0)).padStart(3, '0');
+    const planId = `${contract}-${pbp}-0`;
+    const carrier = CARRIERS[index % CARRIERS.length];
+    const premium = (index * 7.5) % 60;
+    const hasDrugs = planType !== 'MA';
+
+    const name = isPdp
+        ? `${carrier.split(' ')[0]} Rx ${index % 2 === 0 ? 'Saver' : 'Plus'} (PDP)`
+        : `${carrier.split(' ')[0]} Advantage ${index + 1} (${NETWORKS[index % NETWORKS.length]})`;
+
+    return {
+        planId,
+        planName: name,
+        carrier,
+        planType,
+        starRating: String(3 + (index % 5) * 0.5),
+        monthlyPremium: dollars(premium),
+        yearlyCost: dollars(premium * 12 + (hasDrugs ? 600 + index * 25 : 0)),
+        yearlyCostLabel: hasDrugs ? 'Total yearly drug & premium cost' : 'Total yearly premium cost',
+        healthDeductible: isPdp ? null : dollars(index % 3 === 0 ? 0 : 250),
+        drugDeductible: hasDrugs ? dollars(index % 2 === 0 ? 0 : 590) : null,
+        maxOutOfPocket: isPdp ? null : `${dollars(3400 + index * 100, 0)} In-network`,
+        benefits: isPdp ? {} : { Vision: true, Dental: index % 2 === 0, Hearing: index % 3 !== 0, Fitness: index % 4 !== 1 },
+        primaryDoctorCopay: isPdp ? null : `$${index % 3 === 0 ? 0 : 5} copay`,
+        specialistCopay: isPdp ? null : `$${30 + (index % 4) * 5} copay`,
+        hasDrugCoverage: hasDrugs,
+        tiers: hasDrugs
+            ? [
+                { tier: 'Tier 1<br>Preferred generic', initialCoverage: '$0copay', catastrophic: '$0' },
+                { tier: 'Tier 2<br>Generic', initialCoverage: `$${5 + index % 5}copay`, catastrophic: '$0' },
+                { tier: 'Tier 3<br>Preferred brand', initialCoverage: '$47copay', catastrophic: '$0' }
+            ]
+            : [],
+        website: `https://plans.example.test/${planId}`,
+        phone: `1-800-555-${String(1000 + index).slice(-4)}`
+    };
+}
+
+/**
+ * Plans of one county and plan type
+ * @param {Object} county - County from the zipcode table
+ * @param {string} planType - MAPD, MA or PDP
+ * @returns {Array<Object>} Plans
+ */
+export function plansFor(county, planType) {
+    const count = (county.plans && county.plans[planType]) || 0;
+    return Array.from({ length: count }, (_, index) => makePlan(county, planType, index));
+}
+
+const amount = text => parseFloat(String(text).replace(/[$,]/g, ''));
+
+// Sort orders of the results dropdown - the generated order stands in for the site's default order
+export const SORT_ORDERS = {
+    LOWEST_DRUG_PLUS_PREMIUM: { label: 'Lowest drug + premium cost', compare: null },
+    LOWEST_MONTHLY_PREMIUM: { label: 'Lowest monthly premium', compare: (a, b) => amount(a.monthlyPremium) - amount(b.monthlyPremium) },
+    HIGHEST_STAR_RATING: { label: 'Highest star rating', compare: (a, b) => amount(b.starRating) - amount(a.starRating) }
+};
+
+/**
+ * Plans in a sort order of the results dropdown
+ * @param {Array<Object>} plans - Plans of plansFor()
+ * @param {string} sort - Key of SORT_ORDERS, the default order when unknown
+ * @returns {Array<Object>} Sorted copy
+ */
+export function sortPlans(plans, sort) {
+    const order = SORT_ORDERS[sort];
+    return order && order.compare ? [...plans].sort(order.compare) : plans;
+}
@@ -0,0 +1,216 @@
+/**
+ * Mock medicare.gov plan compare site for end-to-end crawler tests
+ *
+ * Serves a small single-page app (app.js) that walks the same screens as the real wizard -
+ * zipcode, county choice, coverage type, help question, drug question, providers - then
+ * paginated search results and plan details, backed by a JSON API with generated plans (data.js).
+ *
+ * Failures can be injected per test with site.fail():
+ *   { target: 'search', type: 'delay', ms: 5000 }        - slow API response (timeouts)
+ *   { target: 'plan', type: 'error', status: 500 }       - API error
+ *   { target: 'search', type: 'empty', zipcode: '63101' } - no plans for the search
+ *   { target: 'search', type: 'stale', page: 2 }         - answer with page 1 again, as if the page click did not take
+ *   { target: 'search', type: 'full-list' }              - answer with every plan, the app pages them itself
+ *   { target: 'find-plans', type: 'missing' }            - leave an element out of the page
+ * API targets are "counties", "search" and "plan"; a failure can be narrowed to a zipcode,
+ * page or planId, and "times" limits it to the first N matching requests.
+ * Element names for "missing" are listed in app.js.
+ *
+ * Usage:
+ *   node test/mock-site/server.js --port 4000
+ *   MEDICARE_SITE_URL=http://127.0.0.1:4000 node src/main.js --test --zipcode 63101
+ */
+
+import { createServer } from 'http';
+import { readFile } from 'fs/promises';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { DEFAULT_ZIPCODES, PLAN_TYPE_CODES, plansFor, sortPlans } from './data.js';
+
+const APP_FILE = fileURLToPath(new URL('./app.js', import.meta.url));
+const PER_PAGE = 10;
+
+/**
+ * HTML shell of the app - active "missing" failures are handed to the app with the page
+ */
+function appShell(missing) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><title>Medicare Plan Finder (mock)</title></head>
+<body>
+<div id="app"><p class="mct-c-loading">Loading...</p></div>
+<script>window.__MOCK_SITE__ = ${JSON.stringify({ missing })};</script>
+<script src="/plan-compare/app.js"></script>
+</body>
+</html>`;
+}
+
+/**
+ * Start the mock site
+ * @param {Object} options - Server options
+ * @param {number} options.port - Port to listen on (0 = any free port)
+ * @param {Object} options.zipcodes - Zipcode table, see DEFAULT_ZIPCODES in data.js
+ * @param {number} options.perPage - Plans per results page
+ * @returns {Promise<Object>} { origin, requests, fail(failure), reset(), close() }
+ */
+export async function startMockSite(options = {}) {
+    const { port = 0, zipcodes = DEFAULT_ZIPCODES, perPage = PER_PAGE } = options;
+    const appScript = await readFile(APP_FILE, 'utf-8');
+
+    let failures = [];
+    const requests = [];
+    const timers = new Set();
+
+    /**
+     * Active failures for a target, counting down their "times"
+     */
+    const takeFailures = (target, request = {}) => {
+        const matched = failures.filter(f => f.target === target &&
+            (f.zipcode === undefined || f.zipcode === request.zipcode) &&
+            (f.page === undefined || f.page === request.page) &&
+            (f.planId === undefined || f.planId === request.planId));
+
+        for (const failure of matched) {
+            if (failure.times !== undefined) failure.times--;
+        }
+        failures = failures.filter(f => f.times === undefined || f.times > 0);
+
+        return matched;
+    };
+
+    const send = (res, status, body, contentType = 'application/json') => {
+        res.writeHead(status, { 'Content-Type': `${contentType}; charset=utf-8`, 'Cache-Control': 'no-store' });
+        res.end(typeof body === 'string' ? body : JSON.stringify(body));
+    };
+
+    /**
+     * Answer an API request, applying its delay, error and empty failures
+     * build(empty, active) also gets the active failures, for failures only one target knows
+     */
+    const respond = (res, target, request, build) => {
+        const active = takeFailures(target, request);
+        const delay = active.filter(f => f.type === 'delay').reduce((sum, f) => sum + (f.ms || 0), 0);
+        const error = active.find(f => f.type === 'error');
+        const empty = active.some(f => f.type === 'empty');
+
+        const finish = () => {
+            if (error) return send(res, error.status || 500, { error: 'Injected failure' });
+            const { status = 200, body } = build(empty, active);
+            return send(res, status, body);
+        };
+
+        if (delay > 0) {
+            const timer = setTimeout(() => {
+                timers.delete(timer);
+                finish();
+            }, delay);
+            timers.add(timer);
+        } else {
+            finish();
+        }
+    };
+
+    const findCounty = (zipcode, fips) => {
+        const zip = zipcodes[zipcode];
+        if (!zip) return null;
+        return zip.counties.find(c => c.fips === fips) || (fips ? null : zip.counties[0]);
+    };
+
+    const server = createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const query = Object.fromEntries(url.searchParams);
+        requests.push({ method: req.method, path: url.pathname, query, time: Date.now() });
+
+        // App shell and script
+        if (url.pathname === '/plan-compare' || url.pathname === '/plan-compare/') {
+            // "missing" failures count one page load each
+            const missing = failures.filter(f => f.type === 'missing');
+            for (const failure of missing) {
+                if (failure.times !== undefined) failure.times--;
+            }
+            failures = failures.filter(f => f.times === undefined || f.times > 0);
+            return send(res, 200, appShell(missing.map(f => f.target)), 'text/html');
+        }
+        if (url.pathname === '/plan-compare/app.js') {
+            return send(res, 200, appScript, 'text/javascript');
+        }
+
+        // Counties of a zipcode
+        if (url.pathname === '/api/counties') {
+            const zipcode = query.zip;
+            return respond(res, 'counties', { zipcode }, () => {
+                const zip = zipcodes[zipcode];
+                if (!zip) return { status: 404, body: { error: 'Unknown zipcode' } };
+                return { body: { zipcode, counties: zip.counties.map(c => ({ fips: c.fips, countyName: c.countyName })) } };
+            });
+        }
+
+        // One page of search results
+        if (url.pathname === '/api/search') {
+            const zipcode = query.zip;
+            const page = parseInt(query.page || '1', 10);
+            return respond(res, 'search', { zipcode, page }, (empty, active) => {
+                const county = findCounty(zipcode, query.fips);
+                const planType = PLAN_TYPE_CODES[query.plan_type];
+                if (!county || !planType) return { status: 404, body: { error: 'Unknown zipcode, county or plan type' } };
+
+                const plans = empty ? [] : sortPlans(plansFor(county, planType), query.sort);
+                const shown = active.some(f => f.type === 'stale') ? 1 : page;
+                return {
+                    body: {
+                        total: plans.length,
+                        page: shown,
+                        perPage,
+                        totalPages: Math.max(1, Math.ceil(plans.length / perPage)),
+                        plans: active.some(f => f.type === 'full-list') ? plans : plans.slice((shown - 1) * perPage, shown * perPage)
+                    }
+                };
+            });
+        }
+
+        // Details of one plan
+        const planMatch = url.pathname.match(/^\/api\/plans\/([^/]+)$/);
+        if (planMatch) {
+            const planId = decodeURIComponent(planMatch[1]);
+            return respond(res, 'plan', { zipcode: query.zip, planId }, () => {
+                const county = findCounty(query.zip, query.fips);
+                const plan = county
+                    ? Object.keys(county.plans).flatMap(type => plansFor(county, type)).find(p => p.planId === planId)
+                    : null;
+                return plan ? { body: plan } : { status: 404, body: { error: 'Plan not found' } };
+            });
+        }
+
+        return send(res, 404, 'Not found', 'text/plain');
+    });
+
+    await new Promise(resolve => server.listen(port, '127.0.0.1', resolve));
+    const origin = `http://127.0.0.1:${server.address().port}`;
+
+    return {
+        origin,
+        requests,
+        fail(failure) {
+            failures.push({ ...failure });
+        },
+        reset() {
+            failures = [];
+            requests.length = 0;
+        },
+        async close() {
+            for (const timer of timers) clearTimeout(timer);
+            timers.clear();
+            server.closeAllConnections();
+            await new Promise(resolve => server.close(resolve));
+        }
+    };
+}
+
+// Run on its own for manual crawls against the mock site
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const portIndex = process.argv.indexOf('--port');
+    const port = portIndex > -1 ? parseInt(process.argv[portIndex + 1], 10) : 4000;
+    const site = await startMockSite({ port });
+    console.log(`Mock plan compare site on ${site.origin}/plan-compare/`);
+    console.log(`Zipcodes: ${Object.keys(DEFAULT_ZIPCODES).join(', ')}`);
+    console.log(`Crawl it with MEDICARE_SITE_URL=${site.origin}`);
+}
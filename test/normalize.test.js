@@ -0,0 +1,298 @@
+/**
+ * Tests of the cost, benefit and drug tier normalization in src/normalize.js
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    parseDollars,
+    parseCost,
+    parseCostMap,
+    normalizePlanCosts,
+    normalizeDetailCosts,
+    parseBenefitCost,
+    normalizeBenefitsCosts,
+    benefitCostRows,
+    parseAllowance,
+    normalizeExtraBenefits,
+    summarizeAllowances,
+    parseLimitFlags,
+    summarizeLimitFlags,
+    canonicalPharmacyType,
+    parseDaysSupply,
+    parseTierLabel,
+    buildDrugTierMatrix
+} from '../src/normalize.js';
+
+test('parseDollars reads the first dollar amount', () => {
+    assert.equal(parseDollars('$0.00'), 0);
+    assert.equal(parseDollars('$1,200.50 per year'), 1200.5);
+    assert.equal(parseDollars('Tiers 3, 4, 5: $590'), 590);
+    assert.equal(parseDollars('Not offered'), null);
+    assert.equal(parseDollars(null), null);
+});
+
+test('parseCost keeps the text and reads single qualifiers', () => {
+    assert.deepEqual(parseCost('$1,200 In-network'), {
+        text: '$1,200 In-network',
+        amount: 1200,
+        qualifier: 'inNetwork',
+        inNetwork: 1200,
+        outOfNetwork: null,
+        combined: null
+    });
+    assert.equal(parseCost('$4,900 In and Out-of-network').qualifier, 'combined');
+    assert.equal(parseCost('$4,900 In and Out-of-network').combined, 4900);
+    assert.equal(parseCost('$7,550 Out-of-network').outOfNetwork, 7550);
+    assert.equal(parseCost('$0.00').qualifier, null);
+});
+
+test('parseCost reads one amount per line', () => {
+    const cost = parseCost('In-network: $4,900\nIn and out-of-network: $7,550');
+    assert.equal(cost.amount, 4900);
+    assert.equal(cost.qualifier, 'inNetwork');
+    assert.equal(cost.inNetwork, 4900);
+    assert.equal(cost.combined, 7550);
+    assert.equal(cost.outOfNetwork, null);
+});
+
+test('parseCost leaves non-dollar text without an amount', () => {
+    assert.equal(parseCost(null), null);
+    assert.equal(parseCost(undefined), null);
+    assert.equal(parseCost('Not applicable').amount, null);
+    assert.equal(parseCost('Not applicable').text, 'Not applicable');
+});
+
+test('parseCostMap and the plan helpers parse every cost field', () => {
+    assert.deepEqual(Object.keys(parseCostMap({ health_deductible: '$0.00', drug_deductible: '$250.00' })), ['health_deductible', 'drug_deductible']);
+    assert.deepEqual(parseCostMap(undefined), {});
+
+    const planCosts = normalizePlanCosts({ monthlyPremium: '$32.50', maxOutOfPocket: null });
+    assert.equal(planCosts.monthlyPremium.amount, 32.5);
+    assert.equal(planCosts.maxOutOfPocket, null);
+
+    const detailCosts = normalizeDetailCosts({
+        whatYouPay: { monthly_premium: '$18.00' },
+        overview: { premiums: {}, deductibles: { drug_deductible: '$250.00\nTiers 3, 4, 5' }, maximumYouPay: {} }
+    });
+    assert.equal(detailCosts.whatYouPay.monthly_premium.amount, 18);
+    assert.equal(detailCosts.deductibles.drug_deductible.amount, 250);
+    assert.deepEqual(normalizeDetailCosts({ error: 'timeout' }).premiums, {});
+});
+
+test('parseBenefitCost splits network lines into copay and coinsurance', () => {
+    const [inNetwork, outOfNetwork] = parseBenefitCost('In-network: $0 copay\nOut-of-network: 40% coinsurance');
+    assert.equal(inNetwork.network, 'inNetwork');
+    assert.equal(inNetwork.copay, 0);
+    assert.equal(inNetwork.coinsurance, null);
+    assert.equal(outOfNetwork.network, 'outOfNetwork');
+    assert.equal(outOfNetwork.copay, null);
+    assert.equal(outOfNetwork.coinsurance, 40);
+});
+
+test('parseBenefitCost reads per-day units and inpatient day ranges', () => {
+    const entries = parseBenefitCost('In-network:\n$325 copay per day for days 1-5\n$0 copay per day for days 6-90\n$1,800 copay per stay');
+    assert.deepEqual(entries.map(e => [e.network, e.copay, e.per, e.dayFrom, e.dayTo]), [
+        ['inNetwork', 325, 'day', 1, 5],
+        ['inNetwork', 0, 'day', 6, 90],
+        ['inNetwork', 1800, 'stay', null, null]
+    ]);
+    assert.equal(parseBenefitCost('$0 copay per day for days 91 and beyond')[0].dayFrom, 91);
+});
+
+test('parseBenefitCost reads ranges and skips text without amounts', () => {
+    const [range] = parseBenefitCost('$0-$395 copay');
+    assert.equal(range.copay, 0);
+    assert.equal(range.copayMax, 395);
+    assert.equal(parseBenefitCost('20%-40% coinsurance')[0].coinsuranceMax, 40);
+    assert.deepEqual(parseBenefitCost('Not covered'), []);
+    assert.deepEqual(parseBenefitCost(null), []);
+});
+
+test('parseBenefitCost keeps caps and deductibles out of the copay', () => {
+    const [capped] = parseBenefitCost('20% coinsurance, up to $50');
+    assert.deepEqual([capped.copay, capped.coinsurance, capped.maxCost, capped.deductible], [null, 20, 50, null]);
+
+    const [deductible] = parseBenefitCost('$1,632 deductible');
+    assert.deepEqual([deductible.copay, deductible.deductible, deductible.maxCost], [null, 1632, null]);
+
+    const [both] = parseBenefitCost('$0 copay after $250 deductible');
+    assert.deepEqual([both.copay, both.deductible], [0, 250]);
+    assert.equal(parseBenefitCost('$35 per visit')[0].copay, null);
+    assert.equal(parseBenefitCost('$500 maximum per year')[0].maxCost, 500);
+});
+
+test('benefitCostRows flattens each service and network line', () => {
+    const benefitsCosts = normalizeBenefitsCosts({
+        doctor_services: [
+            { service: 'Primary doctor visit', cost: 'In-network: $0 copay\nOut-of-network: 40% coinsurance', limits: null },
+            { service: 'Acupuncture', cost: 'Not covered', limits: null }
+        ]
+    });
+    assert.equal(benefitsCosts.doctor_services[0].costDetails.length, 2);
+
+    const rows = benefitCostRows(benefitsCosts);
+    assert.deepEqual(rows.map(r => [r.service, r.network, r.copay, r.coinsurance, r.costText]), [
+        ['Primary doctor visit', 'inNetwork', 0, null, 'In-network: $0 copay'],
+        ['Primary doctor visit', 'outOfNetwork', null, 40, 'Out-of-network: 40% coinsurance'],
+        ['Acupuncture', null, null, null, 'Not covered']
+    ]);
+    assert.equal(rows[0].section, 'doctor_services');
+    assert.deepEqual(benefitCostRows(undefined), []);
+});
+
+test('parseAllowance reads dollar allowances and scales them to a year', () => {
+    assert.deepEqual(parseAllowance('$50 every three months'), {
+        amount: 50,
+        count: null,
+        countUnit: null,
+        period: 'quarter',
+        periodMonths: 3,
+        annualAmount: 200,
+        annualCount: null
+    });
+    assert.equal(parseAllowance('$1,500 maximum benefit per year').annualAmount, 1500);
+    assert.equal(parseAllowance('$200 allowance\nEvery 2 years').annualAmount, 100);
+    assert.equal(parseAllowance('$100 per month').annualAmount, 1200);
+    assert.equal(parseAllowance('$500 allowance').period, null);
+});
+
+test('parseAllowance reads counts and skips cost sharing', () => {
+    const trips = parseAllowance('$0 copay\n24 one-way trips per year');
+    assert.equal(trips.amount, null);
+    assert.equal(trips.count, 24);
+    assert.equal(trips.countUnit, 'trip');
+    assert.equal(trips.annualCount, 24);
+    assert.equal(parseAllowance('2 hearing aids every year').countUnit, 'hearing aid');
+    assert.equal(parseAllowance('1 every year').count, 1);
+    assert.equal(parseAllowance('$10 copay\n$100 per month').amount, 100);
+    assert.equal(parseAllowance('$0 copay'), null);
+    assert.equal(parseAllowance('20% coinsurance'), null);
+    assert.equal(parseAllowance(null), null);
+});
+
+test('summarizeAllowances keys allowances by benefit and prefers dollar amounts', () => {
+    const extraBenefits = normalizeExtraBenefits({
+        vision: [
+            { benefit: 'Routine eye exam', coverage: '$0 copay', limits: '1 every year', key: 'vision-exam' },
+            { benefit: 'Contact lenses', coverage: 'Not covered', limits: null, key: 'vision-eyewear' },
+            { benefit: 'Eyeglass frames', coverage: '$0 copay', limits: '1 pair every year', key: 'vision-eyewear' },
+            { benefit: 'Eyeglass lenses', coverage: '$150 allowance', limits: 'Every year', key: 'vision-eyewear' }
+        ],
+        wellness_extras: [{ benefit: 'Massage', coverage: '$25 per month', limits: null, key: null }]
+    });
+    assert.equal(extraBenefits.vision[1].allowance, null);
+
+    const allowances = summarizeAllowances(extraBenefits);
+    assert.deepEqual(Object.keys(allowances), ['vision-exam', 'vision-eyewear', 'wellness_extras']);
+    assert.equal(allowances['vision-eyewear'].benefit, 'Eyeglass lenses');
+    assert.equal(allowances['vision-eyewear'].amount, 150);
+    assert.equal(allowances.wellness_extras.annualAmount, 300);
+    assert.deepEqual(summarizeAllowances(undefined), {});
+});
+
+test('parseLimitFlags reads the restrictions of the limits text', () => {
+    assert.deepEqual(parseLimitFlags('Limits apply\nReferral required\nPrior authorization may be required'), {
+        priorAuthorization: true,
+        referralRequired: true,
+        stepTherapy: false,
+        quantityLimit: false
+    });
+    assert.equal(parseLimitFlags('Step therapy and quantity limits apply').stepTherapy, true);
+    assert.equal(parseLimitFlags('Step therapy and quantity limits apply').quantityLimit, true);
+    assert.equal(parseLimitFlags('Pre-authorization required').priorAuthorization, true);
+    assert.equal(parseLimitFlags('No referral required\nPrior authorization is not required').referralRequired, false);
+    assert.equal(parseLimitFlags('No referral required\nPrior authorization is not required').priorAuthorization, false);
+    assert.deepEqual(parseLimitFlags('No prior authorization or referral required'), {
+        priorAuthorization: false,
+        referralRequired: false,
+        stepTherapy: false,
+        quantityLimit: false
+    });
+    assert.equal(parseLimitFlags('Prior authorization or referral is not required').priorAuthorization, false);
+    assert.equal(parseLimitFlags("Referral isn't needed").referralRequired, false);
+    assert.equal(parseLimitFlags('Referral not required, prior authorization required').priorAuthorization, true);
+    assert.equal(parseLimitFlags('Prior authorization required, referral not required').priorAuthorization, true);
+    assert.equal(parseLimitFlags('No referral required but prior authorization applies').priorAuthorization, true);
+    assert.equal(parseLimitFlags('Limits apply').priorAuthorization, false);
+    assert.equal(parseLimitFlags(null).referralRequired, false);
+});
+
+test('summarizeLimitFlags flags every row and rolls the flags up per plan', () => {
+    const details = {
+        benefitsCosts: {
+            'doctor-services': [{ service: 'Specialist visit', cost: '$35 copay', limits: 'Referral required' }]
+        },
+        extraBenefits: {
+            hearing: [{ benefit: 'Hearing aids', coverage: '$500 allowance', limits: 'Prior authorization required' }]
+        },
+        drugCoverage: {
+            partBDrugs: [{ drug: 'Chemotherapy drugs', cost: '20% coinsurance', limits: 'Prior authorization and step therapy required' }]
+        }
+    };
+
+    assert.deepEqual(summarizeLimitFlags(details), {
+        priorAuthorization: true,
+        referralRequired: true,
+        stepTherapy: true,
+        quantityLimit: false,
+        services: {
+            priorAuthorization: ['Hearing aids', 'Chemotherapy drugs'],
+            referralRequired: ['Specialist visit'],
+            stepTherapy: ['Chemotherapy drugs'],
+            quantityLimit: []
+        }
+    });
+    assert.equal(details.benefitsCosts['doctor-services'][0].limitFlags.referralRequired, true);
+    assert.equal(benefitCostRows(details.benefitsCosts)[0].referralRequired, true);
+    assert.equal(summarizeLimitFlags({}).priorAuthorization, false);
+});
+
+test('canonicalPharmacyType maps dropdown keys and labels', () => {
+    assert.equal(canonicalPharmacyType('Drug cost for Standard retail pharmacy'), 'standard_retail');
+    assert.equal(canonicalPharmacyType('preferred_retail'), 'preferred_retail');
+    assert.equal(canonicalPharmacyType('Preferred mail order pharmacy'), 'preferred_mail_order');
+    assert.equal(canonicalPharmacyType('mail_order'), 'standard_mail_order');
+    assert.equal(canonicalPharmacyType('default'), null);
+    assert.equal(canonicalPharmacyType(null), null);
+});
+
+test('parseDaysSupply and parseTierLabel read tier rows', () => {
+    assert.equal(parseDaysSupply('$0 copay\n90-day supply'), 90);
+    assert.equal(parseDaysSupply('$0 copay'), null);
+    assert.deepEqual(parseTierLabel('Tier 1 Preferred generic'), { tierNumber: 1, tierName: 'Preferred generic' });
+    assert.deepEqual(parseTierLabel('Tier 3\n$325'), { tierNumber: 3, tierName: null });
+    assert.deepEqual(parseTierLabel('Tier 5\nSpecialty'), { tierNumber: 5, tierName: 'Specialty' });
+});
+
+test('buildDrugTierMatrix has one cell per pharmacy, tier and phase', () => {
+    const matrix = buildDrugTierMatrix({
+        tiers: [],
+        tiersByPharmacy: {
+            standard_retail: {
+                label: 'Drug cost for Standard retail pharmacy',
+                tiers: [{ tier: 'Tier 1 Preferred generic', initialCoverage: '$5 copay\n30-day supply', catastrophic: '$0' }]
+            },
+            preferred_mail_order: {
+                label: 'Drug cost for Preferred mail order pharmacy',
+                tiers: [{ tier: 'Tier 5\nSpecialty', initialCoverage: '25%coinsurance', catastrophic: null }]
+            }
+        }
+    });
+
+    assert.deepEqual(matrix.map(c => [c.pharmacyType, c.daysSupply, c.tierNumber, c.phase, c.copay, c.coinsurance]), [
+        ['standard_retail', 30, 1, 'initialCoverage', 5, null],
+        ['standard_retail', 30, 1, 'catastrophic', 0, null],
+        ['preferred_mail_order', null, 5, 'initialCoverage', null, 25]
+    ]);
+    assert.equal(matrix[2].tierName, 'Specialty');
+    assert.equal(matrix[2].text, '25%coinsurance');
+});
+
+test('buildDrugTierMatrix falls back to the basic tiers table', () => {
+    const matrix = buildDrugTierMatrix({ tiers: [{ tier: 'Tier 2 Generic', initialCoverage: '$10 copay', catastrophic: '$0' }] });
+    assert.equal(matrix.length, 2);
+    assert.equal(matrix[0].pharmacyKey, 'default');
+    assert.equal(matrix[0].pharmacyType, null);
+    assert.deepEqual(buildDrugTierMatrix(undefined), []);
+});
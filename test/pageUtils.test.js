@@ -0,0 +1,41 @@
+/**
+ * Tests of the shared click helpers in src/pageUtils.js
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { clickFirst, clickLabel } from '../src/pageUtils.js';
+
+function element({ visible = true, checked = false, text = '' } = {}) {
+    const el = {
+        clicks: 0,
+        isVisible: async () => visible,
+        isChecked: async () => checked,
+        textContent: async () => text,
+        click: async () => { el.clicks++; },
+        $: async () => el
+    };
+    return el;
+}
+
+test('clickFirst clicks the first visible element of the selector list', async () => {
+    const hidden = element({ visible: false });
+    const shown = element();
+    const page = { $: async selector => ({ '#hidden': hidden, '#shown': shown })[selector] || null };
+
+    assert.equal(await clickFirst(page, ['#missing', '#hidden', '#shown']), true);
+    assert.deepEqual([hidden.clicks, shown.clicks], [0, 1]);
+    assert.equal(await clickFirst(page, ['#missing']), false);
+});
+
+test('clickFirst and clickLabel leave a checked box checked with check', async () => {
+    const checked = element({ checked: true, text: 'Extra Help' });
+    const page = { $: async () => checked, $$: async () => [element({ text: 'Medicaid' }), checked] };
+
+    assert.equal(await clickFirst(page, ['#extra-help'], { check: true }), true);
+    assert.equal(await clickLabel(page, 'extra help', { check: true }), true);
+    assert.equal(checked.clicks, 0);
+    assert.equal(await clickLabel(page, 'Extra help'), true);
+    assert.equal(checked.clicks, 1);
+    assert.equal(await clickLabel(page, 'SSI'), false);
+});
@@ -0,0 +1,164 @@
+/**
+ * End-to-end tests of src/parallel.js against the mock plan compare site (test/mock-site)
+ * Each test runs the script in its own working directory, so state and outputs start empty
+ */
+
+import { test, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import { mkdtemp, writeFile, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { startMockSite } from './mock-site/server.js';
+import { launchBrowser, browserSkip } from './helpers/browser.js';
+
+const PARALLEL_SCRIPT = fileURLToPath(new URL('../src/parallel.js', import.meta.url));
+const RUN_TIMEOUT_MS = 10 * 60 * 1000;
+
+const browser = await launchBrowser();
+const skip = browserSkip(browser);
+if (browser) await browser.close();
+
+// Small counties keep Phase 2 short - 63101 still needs two results pages
+const site = await startMockSite({
+    zipcodes: {
+        '63101': { state: 'MO', city: 'St. Louis', counties: [{ fips: '29510', countyName: 'St. Louis City', plans: { MAPD: 12 } }] },
+        '64735': {
+            state: 'MO',
+            city: 'Clinton',
+            counties: [
+                { fips: '29083', countyName: 'Henry County', plans: { MAPD: 3 } },
+                { fips: '29185', countyName: 'St. Clair County', plans: { MAPD: 2 } }
+            ]
+        }
+    }
+});
+const workDirs = [];
+
+/**
+ * Working directory with a ZipCodes.csv for the mock site's zipcodes
+ */
+async function createWorkDir() {
+    const dir = await mkdtemp(join(tmpdir(), 'medicare-parallel-e2e-'));
+    workDirs.push(dir);
+    await writeFile(join(dir, 'ZipCodes.csv'), 'State;City;Zip Code\nMO;St. Louis;63101\nMO;Clinton;64735\n');
+    return dir;
+}
+
+/**
+ * Run parallel.js to completion in a working directory
+ * @returns {Promise<Object>} { code, output }
+ */
+function runParallel(cwd, args = []) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(process.execPath, [PARALLEL_SCRIPT, '--workers', '1', ...args], {
+            cwd,
+            env: { ...process.env, MEDICARE_SITE_URL: site.origin }
+        });
+
+        let output = '';
+        child.stdout.on('data', chunk => { output += chunk; });
+        child.stderr.on('data', chunk => { output += chunk; });
+
+        const timer = setTimeout(() => {
+            child.kill();
+            reject(new Error(`parallel.js did not finish in ${RUN_TIMEOUT_MS / 1000}s\n${output}`));
+        }, RUN_TIMEOUT_MS);
+
+        child.on('close', code => {
+            clearTimeout(timer);
+            resolve({ code, output });
+        });
+    });
+}
+
+async function readState(cwd) {
+    return JSON.parse(await readFile(join(cwd, 'output', 'crawler_state.json'), 'utf-8'));
+}
+
+function searchRequests(zipcode) {
+    return site.requests.filter(r => r.path === '/api/search' && r.query.zip === zipcode);
+}
+
+const KEY_63101 = '63101|MAPD|2026|none|none|none';
+const KEY_64735 = '64735|MAPD|2026|none|none|none';
+
+beforeEach(() => site.reset());
+
+after(async () => {
+    await site.close();
+    for (const dir of workDirs) {
+        await rm(dir, { recursive: true, force: true });
+    }
+});
+
+test('collects every page, county and plan detail', { skip, timeout: RUN_TIMEOUT_MS }, async () => {
+    const cwd = await createWorkDir();
+    const { code, output } = await runParallel(cwd);
+    assert.equal(code, 0, output);
+
+    const state = await readState(cwd);
+    const first = state.zipcodes[KEY_63101];
+    const second = state.zipcodes[KEY_64735];
+
+    assert.equal(first.status, 'completed');
+    assert.equal(first.plans.length, 12);
+    assert.deepEqual(searchRequests('63101').map(r => r.query.page), ['1', '2']);
+
+    assert.equal(second.status, 'completed');
+    assert.deepEqual(Object.keys(second.counties).sort(), ['29083', '29185']);
+    assert.equal(second.plans.length, 5);
+
+    const plans = [...first.plans, ...second.plans];
+    assert.ok(plans.every(p => p.status === 'completed' && p.details && p.details.planName === p.planName));
+});
+
+test('resumes without crawling finished zipcodes again', { skip, timeout: RUN_TIMEOUT_MS }, async () => {
+    const cwd = await createWorkDir();
+
+    const firstRun = await runParallel(cwd, ['--limit', '1']);
+    assert.equal(firstRun.code, 0, firstRun.output);
+    assert.equal((await readState(cwd)).zipcodes[KEY_63101].status, 'completed');
+
+    site.reset();
+    const secondRun = await runParallel(cwd);
+    assert.equal(secondRun.code, 0, secondRun.output);
+
+    const state = await readState(cwd);
+    assert.equal(searchRequests('63101').length, 0);
+    assert.equal(site.requests.filter(r => r.path.startsWith('/api/plans/H9510')).length, 0);
+    assert.equal(state.zipcodes[KEY_63101].plans.length, 12);
+    assert.equal(state.zipcodes[KEY_64735].status, 'completed');
+});
+
+test('recrawls zipcodes that came back empty with --retry-empty', { skip, timeout: RUN_TIMEOUT_MS }, async () => {
+    const cwd = await createWorkDir();
+
+    site.fail({ target: 'search', type: 'empty', zipcode: '63101' });
+    const firstRun = await runParallel(cwd);
+    assert.equal(firstRun.code, 0, firstRun.output);
+    assert.equal((await readState(cwd)).zipcodes[KEY_63101].totalPlans, 0);
+
+    site.reset();
+    const secondRun = await runParallel(cwd, ['--retry-empty']);
+    assert.equal(secondRun.code, 0, secondRun.output);
+
+    const state = await readState(cwd);
+    assert.equal(state.zipcodes[KEY_63101].plans.length, 12);
+    assert.ok(state.zipcodes[KEY_63101].plans.every(p => p.status === 'completed'));
+    assert.equal(searchRequests('64735').length, 0);
+});
+
+test('requeues a county whose results pages could not all be collected', { skip, timeout: RUN_TIMEOUT_MS }, async () => {
+    const cwd = await createWorkDir();
+
+    site.fail({ target: 'search', type: 'error', status: 500, zipcode: '63101', page: 2, times: 1 });
+    const { code, output } = await runParallel(cwd, ['--limit', '1']);
+    assert.equal(code, 0, output);
+
+    const entry = (await readState(cwd)).zipcodes[KEY_63101];
+    assert.equal(entry.plans.length, 12);
+    assert.equal(entry.incomplete, false);
+    assert.deepEqual(searchRequests('63101').map(r => r.query.page), ['1', '2', '1', '2']);
+});
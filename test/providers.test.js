@@ -0,0 +1,28 @@
+/**
+ * Tests of the provider list loading in src/providers.js
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { loadProviderLists, getProviderList } from '../src/providers.js';
+
+const workDir = await mkdtemp(join(tmpdir(), 'medicare-providers-'));
+after(() => rm(workDir, { recursive: true, force: true }));
+
+async function providerFile(path, ...providers) {
+    await mkdir(join(workDir, path, '..'), { recursive: true });
+    await writeFile(join(workDir, path), ['Provider;Type;Location', ...providers].join('\n'));
+    return join(workDir, path);
+}
+
+test('loadProviderLists rejects two provider lists with the same file name', async () => {
+    const first = await providerFile('a/doctors.csv', 'Jane Smith;doctor;St. Louis');
+    const second = await providerFile('b/doctors.csv', 'Barnes-Jewish Hospital;facility;');
+
+    assert.deepEqual(await loadProviderLists(['none', first, first]), ['none', 'doctors']);
+    await assert.rejects(loadProviderLists([second]), /Provider lists .*doctors\.csv and .*doctors\.csv are both named "doctors"/);
+    assert.equal(getProviderList('doctors')[0].name, 'Jane Smith');
+});
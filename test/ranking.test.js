@@ -0,0 +1,60 @@
+/**
+ * Tests of the search results rank helpers in src/ranking.js
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSortOrders, sortOrderKey, rankPlans, getActiveSortOrder } from '../src/ranking.js';
+
+test('parseSortOrders reads sort order keys and "all"', () => {
+    assert.deepEqual(parseSortOrders('premium, Star-Rating,premium'), ['premium', 'star-rating']);
+    assert.deepEqual(parseSortOrders('all'), ['drug-premium', 'premium', 'star-rating']);
+    assert.deepEqual(parseSortOrders(''), []);
+    assert.throws(() => parseSortOrders('cheapest'), /Unknown sort order "cheapest"/);
+});
+
+test('sortOrderKey maps the dropdown options to sort order keys', () => {
+    assert.equal(sortOrderKey('Lowest drug + premium cost'), 'drug-premium');
+    assert.equal(sortOrderKey('Lowest drug and premium cost'), 'drug-premium');
+    assert.equal(sortOrderKey('Lowest monthly premium'), 'premium');
+    assert.equal(sortOrderKey('Highest star rating'), 'star-rating');
+    assert.equal(sortOrderKey('Lowest yearly drug deductible'), null);
+    assert.equal(sortOrderKey(null), null);
+});
+
+test('rankPlans numbers the cards over all results pages', () => {
+    const plans = rankPlans([
+        { planId: 'H1234-001-0', cardIndex: 0 },
+        { planId: 'H1234-002-0', cardIndex: 1 },
+        { planId: 'H1234-003-0', dataSource: 'api' }
+    ], 2, 10, 'premium');
+
+    assert.deepEqual(plans.map(p => [p.pageNumber, p.rank, p.sortOrder]), [
+        [2, 11, 'premium'],
+        [2, 12, 'premium'],
+        [2, null, 'premium']
+    ]);
+});
+
+test('rankPlans ranks the plans only in the API payload by their position in it', () => {
+    const onePage = rankPlans([
+        { planId: 'H1234-001-0', cardIndex: 0, payloadIndex: 0 },
+        { planId: 'H1234-002-0', payloadIndex: 1 }
+    ], 3, 10, 'premium');
+    assert.deepEqual(onePage.map(p => [p.pageNumber, p.rank]), [[3, 21], [3, 22]]);
+
+    // More plans than a page - the payload holds the whole list
+    const wholeList = rankPlans(Array.from({ length: 12 }, (_, i) => ({ planId: `H1234-${i}-0`, cardIndex: i < 10 ? i : undefined, payloadIndex: i })), 1, 10, null);
+    assert.deepEqual(wholeList.map(p => p.rank), Array.from({ length: 12 }, (_, i) => i + 1));
+    assert.deepEqual(wholeList.slice(9).map(p => p.pageNumber), [1, 2, 2]);
+});
+
+test('getActiveSortOrder skips sort options config.sortOrders does not know', async () => {
+    const resultsPage = label => ({
+        $: async () => ({ evaluate: async read => read({ selectedOptions: [{ textContent: label }], value: '' }) })
+    });
+
+    assert.equal(await getActiveSortOrder(resultsPage('Lowest monthly premium')), 'premium');
+    assert.equal(await getActiveSortOrder(resultsPage('Lowest yearly drug deductible')), null);
+    assert.equal(await getActiveSortOrder({ $: async () => null }), null);
+});
@@ -0,0 +1,62 @@
+/**
+ * Tests of the benefit taxonomy in src/taxonomy.js
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    TAXONOMY_VERSION,
+    normalizeLabel,
+    canonicalKey,
+    canonicalizeCardBenefits,
+    canonicalizeSections,
+    getUnmappedLabels
+} from '../src/taxonomy.js';
+
+test('the taxonomy file has a version', () => {
+    assert.match(TAXONOMY_VERSION, /^\d{4}\.\d+$/);
+});
+
+test('normalizeLabel ignores case, punctuation and underscores', () => {
+    assert.equal(normalizeLabel('Eyeglasses (frames & lenses)'), 'eyeglasses frames lenses');
+    assert.equal(normalizeLabel('doctor_services'), 'doctor services');
+    assert.equal(normalizeLabel(null), '');
+});
+
+test('canonicalKey maps label variants to one key', () => {
+    assert.equal(canonicalKey('benefit', 'Fitness benefits'), 'fitness');
+    assert.equal(canonicalKey('benefit', 'Gym membership'), 'fitness');
+    assert.equal(canonicalKey('benefit', 'Over-the-Counter items'), 'otc');
+    assert.equal(canonicalKey('benefit', 'Eyeglass frames'), 'vision-eyewear');
+    assert.equal(canonicalKey('benefit', 'Hearing aids - inner ear'), 'hearing-aids');
+    assert.equal(canonicalKey('benefit', 'Dental x-rays'), 'dental-preventive');
+    assert.equal(canonicalKey('section', 'Skilled nursing facility (SNF)'), 'skilled-nursing');
+    assert.equal(canonicalKey('section', 'outpatient_hospital_services'), 'outpatient-surgery');
+    assert.equal(canonicalKey('section', 'Inpatient hospital care'), 'hospital-services');
+    assert.equal(canonicalKey('benefit', 'Pet insurance'), null);
+    assert.equal(canonicalKey('unknown', 'Vision'), null);
+});
+
+test('canonicalizeCardBenefits rekeys the card benefits and reports unknown labels', () => {
+    const benefits = canonicalizeCardBenefits({ 'Vision': true, 'Fitness benefits': false, 'Gym membership': true, 'Pet grooming': true }, 'Example Plan');
+
+    assert.deepEqual(benefits, { vision: true, fitness: true, 'pet grooming': true });
+    assert.deepEqual(getUnmappedLabels().find(l => l.label === 'Pet grooming'), { kind: 'card', label: 'Pet grooming', count: 1, example: 'Example Plan' });
+});
+
+test('canonicalizeSections rekeys sections and tags rows', () => {
+    const sections = canonicalizeSections({
+        preventive_dental: [{ benefit: 'Oral exam', coverage: '$0 copay', limits: null }],
+        hearing_services: [{ benefit: 'Hearing aids', coverage: '$500 allowance', limits: null }],
+        wellness_extras: [{ benefit: 'Massage therapy', coverage: 'Not covered', limits: null }]
+    }, 'benefit', 'Example Plan');
+
+    assert.deepEqual(Object.keys(sections), ['dental-preventive', 'hearing', 'wellness_extras']);
+    assert.equal(sections['dental-preventive'][0].key, 'dental-preventive');
+    assert.equal(sections.hearing[0].key, 'hearing-aids');
+    assert.equal(sections.wellness_extras[0].key, null);
+
+    const unmapped = getUnmappedLabels().map(l => `${l.kind}:${l.label}`);
+    assert.ok(unmapped.includes('section:wellness_extras'));
+    assert.ok(unmapped.includes('benefit:Massage therapy'));
+});
@@ -0,0 +1,62 @@
+/**
+ * Tests of the card/details cross-check in src/validation.js
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { crossCheckPlan, buildQualityReport } from '../src/validation.js';
+
+const details = JSON.parse(readFileSync(new URL('./fixtures/plan-details.expected.json', import.meta.url), 'utf8'));
+
+// Card of the plan of the plan-details fixture
+const card = {
+    planName: 'Example Choice Rx (HMO-POS)',
+    planId: 'H1234-015-1',
+    carrier: 'Example Health Co',
+    starRating: '3',
+    monthlyPremium: '$18.00',
+    healthDeductible: '$0.00',
+    drugDeductible: '$250.00',
+    maxOutOfPocket: '$4,900 In-network',
+    primaryDoctorCopay: '$0 copay',
+    specialistCopay: '$35 copay'
+};
+
+test('crossCheckPlan finds no issues when the card matches the details', () => {
+    assert.deepEqual(crossCheckPlan(card, details), []);
+});
+
+test('crossCheckPlan reports mismatching values', () => {
+    const issues = crossCheckPlan({ ...card, monthlyPremium: '$21.50', specialistCopay: '$40 copay', planName: 'example choice rx  (hmo-pos)' }, details);
+
+    assert.deepEqual(issues, [
+        { field: 'monthlyPremium', issue: 'mismatch', card: 21.5, details: 18 },
+        { field: 'specialistCopay', issue: 'mismatch', card: 40, details: 35 }
+    ]);
+});
+
+test('crossCheckPlan reports required fields missing from the details', () => {
+    const partial = { ...details, planName: null, whatYouPay: {}, overview: {} };
+    const issues = crossCheckPlan(card, partial);
+
+    assert.deepEqual(issues.filter(i => i.issue === 'missing').map(i => i.field), ['planName', 'monthlyPremium']);
+    assert.deepEqual(crossCheckPlan(card, { error: 'Timeout' }), []);
+    assert.deepEqual(crossCheckPlan({ planName: card.planName }, details), []);
+});
+
+test('buildQualityReport counts plans and issues by field', () => {
+    const report = buildQualityReport([
+        { zipcode: '63101', fips: '29510', planType: 'MAPD', ...card, details },
+        { zipcode: '63101', fips: '29510', planType: 'MAPD', ...card, starRating: '4', details },
+        { zipcode: '63101', fips: '29510', planType: 'MAPD', ...card, details: null }
+    ]);
+
+    assert.equal(report.plansChecked, 2);
+    assert.equal(report.plansWithIssues, 1);
+    assert.deepEqual(report.byField, { starRating: 1 });
+    assert.equal(report.issues[0].zipcode, '63101');
+    assert.equal(report.issues[0].planId, 'H1234-015-1');
+    assert.equal(report.issues[0].card, 4);
+    assert.equal(report.issues[0].details, 3);
+});
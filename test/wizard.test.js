@@ -0,0 +1,92 @@
+/**
+ * Tests of the wizard screen identification and step handlers in src/wizard.js
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { identifyScreen, WizardError, findWizardStep, registerWizardStep } from '../src/wizard.js';
+
+const START_URL = 'https://www.medicare.gov/plan-compare/#/?year=2026&lang=en';
+
+function screen(headings, elements = {}, extra = {}) {
+    return identifyScreen({ url: START_URL, title: 'Medicare.gov', headings, alerts: [], elements, ...extra });
+}
+
+test('identifyScreen names the wizard questions by their heading', () => {
+    assert.equal(screen(['What coverage are you looking for?']), 'coverage');
+    assert.equal(screen(['Do you get help with your costs from one of these programs?']), 'help');
+    assert.equal(screen(['Do you want to see your drug costs when you compare plans?']), 'drugs');
+    assert.equal(screen(['Add your prescription drugs']), 'drug-search');
+    assert.equal(screen(['Select up to 5 pharmacies']), 'pharmacy');
+    assert.equal(screen(['Add your doctors and other providers']), 'providers');
+});
+
+test('identifyScreen tells the zip and county screens apart by their controls', () => {
+    assert.equal(screen(['Find a Medicare plan'], { zipInput: true }), 'zip');
+    assert.equal(screen(['Find a Medicare plan'], { zipInput: true, countyChoice: true }), 'county');
+    assert.equal(screen(['Find a Medicare plan']), 'unknown');
+    assert.equal(screen([], { helpQuestion: true }), 'help');
+});
+
+test('identifyScreen recognizes the results and dead-end screens', () => {
+    assert.equal(screen(['Medicare Advantage Plans'], {}, { url: 'https://www.medicare.gov/plan-compare/#/search-results?zip=63101' }), 'results');
+    assert.equal(screen(['Log in or create an account']), 'login');
+    assert.equal(screen([], {}, { url: 'https://www.medicare.gov/account/login' }), 'login');
+    assert.equal(screen([], { password: true, zipInput: true }), 'login');
+    assert.equal(screen(['We are down for scheduled maintenance']), 'maintenance');
+    assert.equal(screen([], {}, { title: 'Site temporarily unavailable' }), 'maintenance');
+    assert.equal(screen(['Something went wrong']), 'error');
+    assert.equal(screen([], {}, { alerts: ['We could not load this page'] }), 'error');
+});
+
+test('WizardError names the screen the wizard got stuck on', () => {
+    const err = new WizardError({ screen: 'coverage', url: START_URL }, 'no MAPD coverage option');
+    assert.equal(err.message, 'Could not navigate wizard - stuck on the coverage screen: no MAPD coverage option');
+    assert.equal(err.screen, 'coverage');
+    assert.match(new WizardError({ screen: 'unknown', url: START_URL }, 'nothing to answer').message, /stuck on an unknown screen/);
+});
+
+test('findWizardStep picks the scenario steps before the site defaults', () => {
+    const defaults = { planType: 'MAPD', subsidy: 'none', drugList: 'none', providerList: 'none' };
+    const scenario = { planType: 'PDP', subsidy: 'extra-help', drugList: 'diabetes', providerList: 'cardiology' };
+    const stepName = (name, context) => {
+        const step = findWizardStep({ screen: name }, context);
+        return step ? step.name : null;
+    };
+
+    assert.deepEqual(['zip', 'county', 'coverage', 'help', 'drugs', 'drug-search', 'pharmacy', 'providers'].map(s => stepName(s, defaults)),
+        ['zipcode', 'county', 'plan type', 'no help', 'no drugs', null, 'skip pharmacies', 'skip providers']);
+    assert.deepEqual(['help', 'drugs', 'drug-search', 'providers'].map(s => stepName(s, scenario)),
+        ['subsidy programs', 'drug list', 'drug search', 'provider list']);
+    assert.equal(stepName('login', defaults), null);
+    assert.equal(stepName('unknown', defaults), null);
+});
+
+test('registerWizardStep adds a handler ahead of the built-in steps', () => {
+    const step = { name: 'cookie banner', detect: current => current.screen === 'unknown', act: async () => { } };
+    const unregister = registerWizardStep(step);
+
+    try {
+        assert.equal(findWizardStep({ screen: 'unknown' }, {}), step);
+        assert.equal(findWizardStep({ screen: 'zip' }, {}).name, 'zipcode');
+        assert.throws(() => registerWizardStep({ name: 'no act', detect: () => true }), /needs a name, a detect\(\) and an act\(\)/);
+    } finally {
+        unregister();
+    }
+    assert.equal(findWizardStep({ screen: 'unknown' }, {}), null);
+});
+
+test('the site steps fail when the wizard stays on their screen', () => {
+    const defaults = { planType: 'MAPD', subsidy: 'none', drugList: 'none', providerList: 'none' };
+    const shown = (name, alerts = []) => ({ screen: name, url: START_URL, headings: [], alerts });
+
+    for (const name of ['zip', 'county', 'help', 'drugs', 'pharmacy', 'providers']) {
+        const step = findWizardStep(shown(name), defaults);
+        assert.equal(typeof step.verify, 'function', `${step.name} has no verify()`);
+        assert.equal(step.verify(shown(name), shown('results')), null);
+        assert.ok(step.verify(shown(name), shown(name)), `${step.name} accepts staying on its screen`);
+    }
+    const zipcode = findWizardStep(shown('zip'), defaults);
+    assert.equal(zipcode.verify(shown('zip'), shown('zip', ['Enter a valid ZIP code'])), 'Enter a valid ZIP code');
+    assert.equal(findWizardStep(shown('drugs'), defaults).verify(shown('drugs'), shown('drug-search')), 'the "No" answer led to the drug search');
+});